@@ -0,0 +1,172 @@
+/**
+ * ARCHIVE Protocol - Encoding and Parsing Benchmarks
+ * Measures a 10k-message burst of state updates
+ */
+
+const zlib = require('zlib');
+const { ArchiveWriter } = require('./writer');
+const { ArchiveParser, ArchiveReader } = require('./parser');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('./constants');
+
+const BURST_SIZE = 10000;
+const ROUNDS = 5;
+
+/**
+ * Reference writer that builds the payload with Buffer.concat for every parameter,
+ * the way ArchiveWriter worked before it wrote into a pooled buffer
+ */
+class ConcatWriter {
+    constructor(messageType, operationCode) {
+        this.messageType = messageType;
+        this.operationCode = operationCode;
+        this.payload = Buffer.alloc(0);
+    }
+
+    addParameter(paramCode, dataType, value) {
+        const headerBuffer = Buffer.alloc(2);
+        headerBuffer.writeUInt8(paramCode, 0);
+        headerBuffer.writeUInt8(dataType, 1);
+
+        let valueBuffer;
+        switch (dataType) {
+            case DataType.INT:
+                valueBuffer = Buffer.alloc(4);
+                valueBuffer.writeInt32LE(value, 0);
+                break;
+
+            case DataType.UINT:
+                valueBuffer = Buffer.alloc(4);
+                valueBuffer.writeUInt32LE(value, 0);
+                break;
+
+            case DataType.DOUBLE:
+                valueBuffer = Buffer.alloc(8);
+                valueBuffer.writeDoubleLE(value, 0);
+                break;
+
+            case DataType.VECTOR3:
+                valueBuffer = Buffer.alloc(12);
+                valueBuffer.writeFloatLE(value[0], 0);
+                valueBuffer.writeFloatLE(value[1], 4);
+                valueBuffer.writeFloatLE(value[2], 8);
+                break;
+
+            case DataType.QUATERNION:
+                valueBuffer = Buffer.alloc(16);
+                valueBuffer.writeFloatLE(value[0], 0);
+                valueBuffer.writeFloatLE(value[1], 4);
+                valueBuffer.writeFloatLE(value[2], 8);
+                valueBuffer.writeFloatLE(value[3], 12);
+                break;
+
+            default:
+                throw new Error(`Unsupported data type: ${dataType}`);
+        }
+
+        this.payload = Buffer.concat([this.payload, Buffer.concat([headerBuffer, valueBuffer])]);
+        return this;
+    }
+
+    encode() {
+        const header = Buffer.alloc(4);
+        header.writeUInt8(this.messageType, 0);
+        header.writeUInt8(this.operationCode, 1);
+        header.writeUInt16LE(this.payload.length, 2);
+
+        const messageWithoutCRC = Buffer.concat([header, this.payload]);
+        const crcBuffer = Buffer.alloc(2);
+        crcBuffer.writeUInt16LE(zlib.crc32(messageWithoutCRC) & 0xFFFF, 0);
+
+        return Buffer.concat([messageWithoutCRC, crcBuffer]);
+    }
+}
+
+/**
+ * Write one state update with the given writer
+ */
+function writeState(writer, i) {
+    return writer
+        .addParameter(ParameterCode.PLAYER_ID, DataType.INT, i % 16)
+        .addParameter(ParameterCode.SEQUENCE, DataType.UINT, i)
+        .addParameter(ParameterCode.TIMESTAMP, DataType.DOUBLE, 1700000000000 + i)
+        .addParameter(ParameterCode.POSITION, DataType.VECTOR3, [i * 0.1, 0, -i * 0.1])
+        .addParameter(ParameterCode.ROTATION, DataType.QUATERNION, [0, 0.7071, 0, 0.7071])
+        .addParameter(ParameterCode.VELOCITY, DataType.VECTOR3, [1, 0, 1])
+        .encode();
+}
+
+/**
+ * Run a benchmark several times and report the best throughput
+ */
+function measure(name, run) {
+    // Warm up so the JIT has compiled the code being measured
+    run();
+
+    let best = Infinity;
+    for (let round = 0; round < ROUNDS; round++) {
+        const start = process.hrtime.bigint();
+        run();
+        const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+        best = Math.min(best, elapsed);
+    }
+
+    const perSecond = Math.round(BURST_SIZE / best * 1000);
+    console.log(`${name.padEnd(40)} ${best.toFixed(2).padStart(8)} ms  ${perSecond.toLocaleString().padStart(12)} msg/s`);
+    return best;
+}
+
+function runBenchmarks() {
+    console.log(`Encoding a burst of ${BURST_SIZE} state updates (best of ${ROUNDS})`);
+
+    const concat = measure('Buffer.concat writer', () => {
+        for (let i = 0; i < BURST_SIZE; i++) {
+            writeState(new ConcatWriter(MessageType.EVENT, OperationCode.EVENT.STATE), i);
+        }
+    });
+
+    const pooled = measure('ArchiveWriter', () => {
+        for (let i = 0; i < BURST_SIZE; i++) {
+            writeState(new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.STATE), i);
+        }
+    });
+
+    const writer = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.STATE);
+    const reused = measure('ArchiveWriter with reset()', () => {
+        for (let i = 0; i < BURST_SIZE; i++) {
+            writeState(writer.reset(MessageType.EVENT, OperationCode.EVENT.STATE), i);
+        }
+    });
+
+    console.log(`Writer speedup: ${(concat / pooled).toFixed(2)}x, ${(concat / reused).toFixed(2)}x with reset()`);
+    console.log();
+
+    const messages = [];
+    for (let i = 0; i < BURST_SIZE; i++) {
+        messages.push(writeState(new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.STATE), i));
+    }
+
+    console.log(`Reading the sequence number from a burst of ${BURST_SIZE} messages (best of ${ROUNDS})`);
+
+    const parsed = measure('ArchiveParser.parse', () => {
+        for (const message of messages) {
+            ArchiveParser.parse(message).parameters[ParameterCode.SEQUENCE];
+        }
+    });
+
+    const reader = new ArchiveReader(messages[0]);
+    const streamed = measure('ArchiveReader.find', () => {
+        for (const message of messages) {
+            reader.reset(message).find(ParameterCode.SEQUENCE);
+        }
+    });
+
+    const unchecked = measure('ArchiveReader.find without CRC check', () => {
+        for (const message of messages) {
+            reader.reset(message, { verifyCRC: false }).find(ParameterCode.SEQUENCE);
+        }
+    });
+
+    console.log(`Reader speedup: ${(parsed / streamed).toFixed(2)}x, ${(parsed / unchecked).toFixed(2)}x without CRC check`);
+}
+
+runBenchmarks();
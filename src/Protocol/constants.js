@@ -12,7 +12,9 @@ const MessageType = {
     ACK: 0x05,
     PING: 0x06,
     ROOM: 0x07,
-    EVENT: 0x08
+    EVENT: 0x08,
+    ENCRYPTED: 0x09,
+    BATCH: 0x0A
 };
 
 // Operation codes by message type
@@ -21,19 +23,35 @@ const OperationCode = {
         CONNECT: 0x01,
         DISCONNECT: 0x02,
         AUTH: 0x03,
-        HEARTBEAT: 0x04
+        HEARTBEAT: 0x04,
+        RESUME: 0x05
     },
     ROOM: {
         CREATE: 0x01,
         JOIN: 0x02,
         LEAVE: 0x03,
         LIST: 0x04,
-        PROPERTIES: 0x05
+        PROPERTIES: 0x05,
+        LIST_UPDATE: 0x06,
+        JOIN_RANDOM: 0x07,
+        QUEUE_JOIN: 0x08,
+        QUEUE_LEAVE: 0x09,
+        SET_MASTER: 0x0A,
+        PLAYER_PROPERTIES: 0x0B,
+        JOIN_LOBBY: 0x0C,
+        LOBBY_STATS: 0x0D,
+        PLAYER_STATUS: 0x0E
     },
     EVENT: {
         RAISE: 0x01,
         STATE: 0x02,
-        SNAPSHOT: 0x03
+        SNAPSHOT: 0x03,
+        STATE_ACK: 0x04,
+        REMOVE_CACHE: 0x05,
+        CHANGE_GROUPS: 0x06,
+        REQUEST_SNAPSHOT: 0x07,
+        INTEREST_ENTER: 0x08,
+        INTEREST_LEAVE: 0x09
     }
 };
 
@@ -49,7 +67,54 @@ const ParameterCode = {
     ACTION: 0x08,
     TARGET_ID: 0x09,
     HEALTH: 0x0A,
-    PROPERTIES: 0x0B
+    PROPERTIES: 0x0B,
+    FRAGMENT_ID: 0x0C,
+    FRAGMENT_INDEX: 0x0D,
+    FRAGMENT_COUNT: 0x0E,
+    FRAGMENT_DATA: 0x0F,
+    AUTH_TOKEN: 0x10,
+    SUCCESS: 0x11,
+    ENTITY_ID: 0x12,
+    STATE_TICK: 0x13,
+    BASELINE_TICK: 0x14,
+    PROTOCOL_VERSION: 0x15,
+    CAPABILITIES: 0x16,
+    DATA_TYPES: 0x17,
+    REASON: 0x18,
+    PUBLIC_KEY: 0x19,
+    ENCRYPTED_DATA: 0x1A,
+    BATCH_DATA: 0x1B,
+    MAX_PLAYERS: 0x1C,
+    PASSWORD: 0x1D,
+    VISIBLE: 0x1E,
+    OPEN: 0x1F,
+    EMPTY_ROOM_TTL: 0x20,
+    ERROR_CODE: 0x21,
+    ROOM_LIST: 0x22,
+    REMOVED_ROOMS: 0x23,
+    FILTER: 0x24,
+    ONLY_JOINABLE: 0x25,
+    SORT_BY: 0x26,
+    SORT_DESCENDING: 0x27,
+    LIMIT: 0x28,
+    SUBSCRIBE: 0x29,
+    PUBLIC_PROPERTIES: 0x2A,
+    FILL_STRATEGY: 0x2B,
+    CREATE_IF_NONE: 0x2C,
+    MASTER_ID: 0x2D,
+    PLAYERS: 0x2E,
+    REMOVED_PROPERTIES: 0x2F,
+    CACHING: 0x30,
+    EVENT_CODE: 0x31,
+    RECEIVERS: 0x32,
+    TARGET_PLAYERS: 0x33,
+    INTEREST_GROUP: 0x34,
+    ADD_GROUPS: 0x35,
+    REMOVE_GROUPS: 0x36,
+    LOBBY_NAME: 0x37,
+    LOBBY_STATS: 0x38,
+    RESUME_TOKEN: 0x39,
+    INACTIVE: 0x3A
 };
 
 // Data types
@@ -68,12 +133,74 @@ const DataType = {
     VECTOR3: 0x0C,
     QUATERNION: 0x0D,
     BYTE_ARRAY: 0x0E,
-    DICTIONARY: 0x0F
+    DICTIONARY: 0x0F,
+    BLOB: 0x10,
+    ARRAY: 0x11,
+    LIST: 0x12,
+    QUANTIZED_VECTOR2: 0x13,
+    QUANTIZED_VECTOR3: 0x14,
+    QUANTIZED_QUATERNION: 0x15
+};
+
+// Protocol revision spoken by this implementation
+const PROTOCOL_VERSION = 2;
+
+// Optional features negotiated during SYSTEM.CONNECT (bit flags)
+const Capability = {
+    FRAGMENTATION: 0x01,
+    DELTA_STATE: 0x02,
+    ENCRYPTION: 0x04,
+    BATCHING: 0x08
+};
+
+// Why a request failed, sent as ERROR_CODE alongside a human-readable REASON
+const ErrorCode = {
+    INVALID_REQUEST: 0x01,
+    ROOM_NOT_FOUND: 0x02,
+    ROOM_EXISTS: 0x03,
+    ROOM_FULL: 0x04,
+    ROOM_CLOSED: 0x05,
+    WRONG_PASSWORD: 0x06,
+    NOT_IN_ROOM: 0x07,
+    NO_MATCH: 0x08,
+    ALREADY_QUEUED: 0x09,
+    NOT_QUEUED: 0x0A,
+    MATCH_TIMEOUT: 0x0B,
+    NOT_MASTER: 0x0C,
+    PLAYER_NOT_FOUND: 0x0D,
+    LOBBY_NOT_FOUND: 0x0E
+};
+
+// How ROOM.JOIN_RANDOM picks among the rooms that match
+const FillStrategy = {
+    FILL_OLDEST: 0x00, // The room created first, so rooms fill up one after another
+    RANDOM: 0x01,
+    SERIAL: 0x02 // Each matching room in turn, spreading players evenly
+};
+
+// Whether the server keeps a raised event for players who join later
+const EventCaching = {
+    DO_NOT_CACHE: 0x00,
+    ADD_TO_ROOM_CACHE: 0x01, // Kept until removed or the room is gone
+    ADD_TO_PLAYER_CACHE: 0x02 // Removed when the sender leaves the room
+};
+
+// Who receives a raised event, unless it names its TARGET_PLAYERS
+const ReceiverGroup = {
+    OTHERS: 0x00, // Everyone in the room except the sender
+    ALL: 0x01, // Everyone in the room, the sender included
+    MASTER_CLIENT: 0x02
 };
 
 module.exports = {
+    PROTOCOL_VERSION,
+    Capability,
+    ErrorCode,
+    EventCaching,
+    FillStrategy,
     MessageType,
     OperationCode,
     ParameterCode,
+    ReceiverGroup,
     DataType
 };
\ No newline at end of file
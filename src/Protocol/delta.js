@@ -0,0 +1,310 @@
+/**
+ * ARCHIVE Protocol - Delta Compression
+ * Sends only the parameters of an entity's state that changed since a baseline
+ * the receiver has acknowledged
+ */
+
+const { MessageType, OperationCode, ParameterCode, DataType } = require('./constants');
+const { ArchiveWriter } = require('./writer');
+
+// Parameters that address or number a state update rather than being part of the state
+const ADDRESS_PARAMETERS = new Set([
+    ParameterCode.PLAYER_ID,
+    ParameterCode.ENTITY_ID,
+    ParameterCode.STATE_TICK,
+    ParameterCode.BASELINE_TICK,
+    ParameterCode.SEQUENCE,
+    ParameterCode.TIMESTAMP
+]);
+
+/**
+ * Extract the state parameters of an EVENT.STATE or EVENT.SNAPSHOT message
+ * @param {Object} message - Message from ArchiveParser.parse
+ * @returns {Map<number, {type: number, value: *}>} State parameters by code
+ */
+function extractState(message) {
+    const state = new Map();
+
+    for (const [code, type] of Object.entries(message.parameterTypes || {})) {
+        const paramCode = Number(code);
+
+        if (!ADDRESS_PARAMETERS.has(paramCode)) {
+            state.set(paramCode, { type, value: message.parameters[code] });
+        }
+    }
+
+    return state;
+}
+
+/**
+ * Create the acknowledgement for a received state update
+ * A tick of 0 tells the sender the baseline was lost and a full state is needed
+ * @param {number} ownerId - Player that owns the entity
+ * @param {number} entityId - The entity
+ * @param {number} tick - Tick of the state that was received
+ * @returns {ArchiveWriter} - The acknowledgement message
+ */
+function createStateAck(ownerId, entityId, tick) {
+    return ArchiveWriter.fromObject(MessageType.EVENT, OperationCode.EVENT.STATE_ACK, {
+        playerId: ownerId,
+        entityId,
+        tick
+    });
+}
+
+/**
+ * Create a plain EVENT.STATE with an entity's full state, for peers without delta compression
+ * @param {number} ownerId - Player that owns the entity
+ * @param {number} entityId - The entity
+ * @param {Map<number, {type: number, value: *}>} state - Full state parameters by code
+ * @returns {ArchiveWriter} - The state message
+ */
+function createFullState(ownerId, entityId, state) {
+    const writer = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.STATE)
+        .addParameter(ParameterCode.PLAYER_ID, DataType.INT, ownerId)
+        .addParameter(ParameterCode.ENTITY_ID, DataType.INT, entityId);
+
+    for (const [code, { type, value }] of state) {
+        writer.addParameter(code, type, value);
+    }
+
+    return writer;
+}
+
+/**
+ * Compare two parameter values, including vectors, arrays and dictionaries
+ * @private
+ */
+function sameValue(a, b) {
+    if (a === b) {
+        return true;
+    }
+
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+        return a.equals(b);
+    }
+
+    if (typeof a === 'object' && typeof b === 'object' && a !== null && b !== null) {
+        const aKeys = Object.keys(a);
+        const bKeys = Object.keys(b);
+
+        return Array.isArray(a) === Array.isArray(b) &&
+            aKeys.length === bKeys.length &&
+            aKeys.every(key => sameValue(a[key], b[key]));
+    }
+
+    return false;
+}
+
+/**
+ * Sender side of delta compression, one instance per receiving peer
+ */
+class DeltaEncoder {
+    /**
+     * @param {Object} options - Encoder options
+     * @param {number} options.historySize - Unacknowledged states kept per entity (default: 32)
+     */
+    constructor(options = {}) {
+        this.historySize = options.historySize || 32;
+        this.entities = new Map();
+    }
+
+    /**
+     * Encode an entity's full state for this peer
+     * Produces an EVENT.STATE delta against the last acknowledged state, or a full
+     * EVENT.SNAPSHOT when the peer has no usable baseline or parameters were removed
+     * @param {number} ownerId - Player that owns the entity
+     * @param {number} entityId - The entity
+     * @param {Map<number, {type: number, value: *}>} state - Full state parameters by code
+     * @returns {ArchiveWriter} - The message to send
+     */
+    encode(ownerId, entityId, state) {
+        const entity = this._getEntity(ownerId, entityId, true);
+
+        entity.tick = entity.tick % 0xFFFFFFFF + 1; // 32-bit wraparound, 0 is reserved
+        entity.history.set(entity.tick, new Map(state));
+
+        // Forget the oldest states the peer never acknowledged
+        while (entity.history.size > this.historySize) {
+            const oldestTick = entity.history.keys().next().value;
+            entity.history.delete(oldestTick);
+
+            if (oldestTick === entity.ackedTick) {
+                entity.ackedTick = null;
+            }
+        }
+
+        let baseline = entity.ackedTick !== null ? entity.history.get(entity.ackedTick) : undefined;
+
+        // A delta can only add or change parameters, a removal needs the full state
+        if (baseline && Array.from(baseline.keys()).some(code => !state.has(code))) {
+            baseline = undefined;
+        }
+
+        const operationCode = baseline ? OperationCode.EVENT.STATE : OperationCode.EVENT.SNAPSHOT;
+
+        const writer = new ArchiveWriter(MessageType.EVENT, operationCode)
+            .addParameter(ParameterCode.PLAYER_ID, DataType.INT, ownerId)
+            .addParameter(ParameterCode.ENTITY_ID, DataType.INT, entityId)
+            .addParameter(ParameterCode.STATE_TICK, DataType.UINT, entity.tick);
+
+        if (baseline) {
+            writer.addParameter(ParameterCode.BASELINE_TICK, DataType.UINT, entity.ackedTick);
+        }
+
+        for (const [code, { type, value }] of state) {
+            const previous = baseline ? baseline.get(code) : undefined;
+
+            if (!previous || previous.type !== type || !sameValue(previous.value, value)) {
+                writer.addParameter(code, type, value);
+            }
+        }
+
+        return writer;
+    }
+
+    /**
+     * Record that the peer received a state
+     * @param {number} ownerId - Player that owns the entity
+     * @param {number} entityId - The entity
+     * @param {number} tick - Acknowledged tick, or 0 if the peer lost its baseline
+     */
+    acknowledge(ownerId, entityId, tick) {
+        const entity = this._getEntity(ownerId, entityId, false);
+
+        if (!entity) {
+            return;
+        }
+
+        if (tick === 0) {
+            entity.ackedTick = null;
+            return;
+        }
+
+        if (!entity.history.has(tick)) {
+            return;
+        }
+
+        entity.ackedTick = tick;
+
+        // States older than the new baseline are no longer needed
+        for (const historyTick of Array.from(entity.history.keys())) {
+            if (historyTick === tick) {
+                break;
+            }
+            entity.history.delete(historyTick);
+        }
+    }
+
+    /**
+     * Drop all entities of a player
+     * @param {number} ownerId - The player
+     */
+    forget(ownerId) {
+        this.entities.delete(ownerId);
+    }
+
+    /**
+     * Get the tracking data for an entity
+     * @private
+     */
+    _getEntity(ownerId, entityId, create) {
+        let owned = this.entities.get(ownerId);
+
+        if (!owned) {
+            if (!create) {
+                return undefined;
+            }
+            owned = new Map();
+            this.entities.set(ownerId, owned);
+        }
+
+        let entity = owned.get(entityId);
+
+        if (!entity && create) {
+            entity = { tick: 0, ackedTick: null, history: new Map() };
+            owned.set(entityId, entity);
+        }
+
+        return entity;
+    }
+}
+
+/**
+ * Receiver side of delta compression, one instance per sending peer
+ */
+class DeltaDecoder {
+    /**
+     * @param {Object} options - Decoder options
+     * @param {number} options.historySize - Received states kept per entity (default: 32)
+     */
+    constructor(options = {}) {
+        this.historySize = options.historySize || 32;
+        this.entities = new Map();
+    }
+
+    /**
+     * Rebuild the full state of an entity from a received EVENT.STATE or EVENT.SNAPSHOT
+     * @param {Object} message - Message from ArchiveParser.parse
+     * @param {number} ownerId - Player that owns the entity (default: the PLAYER_ID parameter)
+     * @returns {Object|null} { ownerId, entityId, tick, state }, or null if the baseline was lost
+     */
+    apply(message, ownerId = message.parameters[ParameterCode.PLAYER_ID]) {
+        const entityId = message.parameters[ParameterCode.ENTITY_ID] !== undefined
+            ? message.parameters[ParameterCode.ENTITY_ID]
+            : ownerId;
+        const tick = message.parameters[ParameterCode.STATE_TICK];
+        const baselineTick = message.operationCode === OperationCode.EVENT.STATE
+            ? message.parameters[ParameterCode.BASELINE_TICK]
+            : undefined;
+
+        const key = `${ownerId}:${entityId}`;
+        let history = this.entities.get(key);
+
+        if (!history) {
+            history = new Map();
+            this.entities.set(key, history);
+        }
+
+        let state = extractState(message);
+
+        if (baselineTick !== undefined) {
+            const baseline = history.get(baselineTick);
+
+            if (!baseline) {
+                return null;
+            }
+
+            state = new Map([...baseline, ...state]);
+        }
+
+        history.delete(tick);
+        history.set(tick, state);
+
+        while (history.size > this.historySize) {
+            history.delete(history.keys().next().value);
+        }
+
+        return { ownerId, entityId, tick, state };
+    }
+
+    /**
+     * Drop all entities of a player
+     * @param {number} ownerId - The player
+     */
+    forget(ownerId) {
+        for (const key of Array.from(this.entities.keys())) {
+            if (key.startsWith(`${ownerId}:`)) {
+                this.entities.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = {
+    DeltaEncoder,
+    DeltaDecoder,
+    extractState,
+    createStateAck,
+    createFullState
+};
@@ -0,0 +1,175 @@
+/**
+ * ARCHIVE Protocol - Payload Encryption
+ * ECDH key exchange during CONNECT/AUTH and AES-256-GCM encrypted messages
+ * with replay protection
+ */
+
+const crypto = require('crypto');
+const { MessageType, ParameterCode, DataType } = require('./constants');
+const { ArchiveWriter } = require('./writer');
+
+const CURVE = 'prime256v1';
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const COUNTER_LENGTH = 8;
+const TAG_LENGTH = 16;
+
+// Counters this far behind the newest one are rejected as replays
+const REPLAY_WINDOW = 1024;
+
+// Message types encrypted by default; high-rate traffic is left in plaintext
+const DEFAULT_ENCRYPTED_TYPES = [
+    MessageType.SYSTEM,
+    MessageType.RELIABLE,
+    MessageType.FRAGMENT,
+    MessageType.ROOM,
+    MessageType.EVENT,
+    MessageType.BATCH
+];
+
+/**
+ * Per-session encryption state for one side of a connection
+ */
+class SessionCipher {
+    constructor() {
+        this.ecdh = crypto.createECDH(CURVE);
+        this.publicKey = this.ecdh.generateKeys();
+        this.sendKey = null;
+        this.receiveKey = null;
+        this.sendCounter = 0;
+        this.highestReceived = 0;
+        this.recentCounters = new Set();
+    }
+
+    /**
+     * Whether keys have been derived and messages can be encrypted
+     * @returns {boolean} True once the key exchange is complete
+     */
+    get ready() {
+        return this.sendKey !== null;
+    }
+
+    /**
+     * Derive the session keys from the peer's public key
+     * Each direction gets its own key, bound to both public keys
+     * @param {Buffer} peerPublicKey - The peer's ECDH public key
+     * @param {boolean} isServer - Whether this side accepted the connection
+     */
+    deriveKeys(peerPublicKey, isServer) {
+        const secret = this.ecdh.computeSecret(Buffer.from(peerPublicKey));
+        const salt = isServer
+            ? Buffer.concat([Buffer.from(peerPublicKey), this.publicKey])
+            : Buffer.concat([this.publicKey, Buffer.from(peerPublicKey)]);
+
+        const keys = Buffer.from(crypto.hkdfSync('sha256', secret, salt, 'ARCHIVE session keys', KEY_LENGTH * 2));
+        const clientToServer = keys.subarray(0, KEY_LENGTH);
+        const serverToClient = keys.subarray(KEY_LENGTH);
+
+        this.sendKey = isServer ? serverToClient : clientToServer;
+        this.receiveKey = isServer ? clientToServer : serverToClient;
+    }
+
+    /**
+     * Wrap an encoded message in an ENCRYPTED message
+     * @param {Buffer} messageBuffer - The encoded message
+     * @returns {Buffer} The encrypted message
+     * @throws {Error} If the message is too large to encrypt
+     */
+    encrypt(messageBuffer) {
+        this.sendCounter++;
+
+        const nonce = Buffer.alloc(12);
+        nonce.writeBigUInt64BE(BigInt(this.sendCounter), 4);
+
+        // Message type, operation code and payload; the header and CRC are rebuilt on receipt
+        const plaintext = Buffer.concat([
+            messageBuffer.subarray(0, 2),
+            messageBuffer.subarray(4, messageBuffer.length - 2)
+        ]);
+
+        const cipher = crypto.createCipheriv(CIPHER, this.sendKey, nonce);
+        const data = Buffer.concat([
+            nonce.subarray(4),
+            cipher.update(plaintext),
+            cipher.final(),
+            cipher.getAuthTag()
+        ]);
+
+        const writer = new ArchiveWriter(MessageType.ENCRYPTED, 0x00)
+            .addParameter(ParameterCode.ENCRYPTED_DATA, DataType.BLOB, data);
+
+        if (writer.payload.length > 0xFFFF) {
+            throw new Error(`Message too large to encrypt (${messageBuffer.length} bytes), use encodeFragments()`);
+        }
+
+        return writer.encode();
+    }
+
+    /**
+     * Unwrap a received ENCRYPTED message
+     * @param {Object} message - Message from ArchiveParser.parse
+     * @returns {Object} { messageType, operationCode, payload } of the inner message
+     * @throws {Error} If the message was tampered with or replayed
+     */
+    decrypt(message) {
+        const data = message.parameters[ParameterCode.ENCRYPTED_DATA];
+
+        if (!data || data.length < COUNTER_LENGTH + 2 + TAG_LENGTH) {
+            throw new Error('Malformed encrypted message');
+        }
+
+        const counter = Number(data.readBigUInt64BE(0));
+
+        if (counter <= this.highestReceived - REPLAY_WINDOW || this.recentCounters.has(counter)) {
+            throw new Error(`Replayed encrypted message (counter ${counter})`);
+        }
+
+        const nonce = Buffer.alloc(12);
+        data.copy(nonce, 4, 0, COUNTER_LENGTH);
+
+        const decipher = crypto.createDecipheriv(CIPHER, this.receiveKey, nonce);
+        decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+
+        let plaintext;
+        try {
+            plaintext = Buffer.concat([
+                decipher.update(data.subarray(COUNTER_LENGTH, data.length - TAG_LENGTH)),
+                decipher.final()
+            ]);
+        } catch (error) {
+            throw new Error('Encrypted message failed authentication');
+        }
+
+        // Only authenticated messages move the replay window
+        this._markReceived(counter);
+
+        return {
+            messageType: plaintext.readUInt8(0),
+            operationCode: plaintext.readUInt8(1),
+            payload: plaintext.subarray(2)
+        };
+    }
+
+    /**
+     * Record a received counter and forget the ones that fell out of the window
+     * @private
+     */
+    _markReceived(counter) {
+        this.recentCounters.add(counter);
+
+        if (counter > this.highestReceived) {
+            this.highestReceived = counter;
+
+            for (const recent of this.recentCounters) {
+                if (recent <= counter - REPLAY_WINDOW) {
+                    this.recentCounters.delete(recent);
+                }
+            }
+        }
+    }
+}
+
+module.exports = {
+    SessionCipher,
+    DEFAULT_ENCRYPTED_TYPES
+};
@@ -6,6 +6,7 @@ const WebSocket = require('ws');
 const { ArchiveWriter } = require("./writer");
 const { MessageType, OperationCode, ParameterCode, DataType } = require('./constants');
 const { ArchiveParser, ArchiveConnection } = require('./parser');
+const { createConnectRequest } = require('./handshake');
 
 // Example 1: Creating a player join room message
 function createJoinRoomMessage() {
@@ -60,7 +61,7 @@ function createComplexMessage() {
     const writer = new ArchiveWriter(MessageType.RELIABLE, 0x01)
         .addParameter(ParameterCode.PLAYER_ID, DataType.INT, 123)
         .addParameter(ParameterCode.SEQUENCE, DataType.UINT, 456)
-        .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, Date.now())
+        .addParameter(ParameterCode.TIMESTAMP, DataType.DOUBLE, Date.now())
         .addParameter(ParameterCode.PROPERTIES, DataType.DICTIONARY, properties);
     
     const message = writer.encode();
@@ -72,9 +73,25 @@ function createComplexMessage() {
     console.log();
 }
 
-// Example 4: Setting up a WebSocket server and client with ARCHIVE protocol
+// Example 4: Creating and decoding a message from its schema
+function createSchemaMessage() {
+    console.log("Example 4: Creating and decoding a message from its schema");
+    
+    const message = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.JOIN, {
+        playerId: 66,
+        roomId: "Game"
+    }).encode();
+    console.log("Message created:", message);
+    
+    // Decode the message back into named fields
+    const decoded = ArchiveParser.decode(message);
+    console.log("Decoded fields:", JSON.stringify(decoded.data, null, 2));
+    console.log();
+}
+
+// Example 5: Setting up a WebSocket server and client with ARCHIVE protocol
 function setupWebSocketExample() {
-    console.log("Example 4: WebSocket server and client with ARCHIVE protocol");
+    console.log("Example 5: WebSocket server and client with ARCHIVE protocol");
     console.log("Starting WebSocket server on port 8080...");
     
     // Create a WebSocket server
@@ -96,10 +113,10 @@ function setupWebSocketExample() {
                 
                 console.log("Server: Sending AUTH response");
                 
-                const authResponse = new ArchiveWriter(MessageType.SYSTEM, OperationCode.SYSTEM.AUTH)
-                    .addParameter(ParameterCode.PLAYER_ID, DataType.INT, 42)
-                    .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, Date.now())
-                    .encode();
+                const authResponse = ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.AUTH, {
+                    playerId: 42,
+                    timestamp: Date.now()
+                }).encode();
                 
                 serverConnection.send(authResponse);
             }
@@ -134,10 +151,10 @@ function setupWebSocketExample() {
                     
                     console.log("Client: Sending JOIN ROOM message");
                     
-                    const joinRoom = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.JOIN)
-                        .addParameter(ParameterCode.PLAYER_ID, DataType.INT, 42)
-                        .addParameter(ParameterCode.ROOM_ID, DataType.STRING, "Lobby")
-                        .encode();
+                    const joinRoom = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.JOIN, {
+                        playerId: 42,
+                        roomId: "Lobby"
+                    }).encode();
                     
                     clientConnection.send(joinRoom);
                     
@@ -154,10 +171,8 @@ function setupWebSocketExample() {
                 }
             };
             
-            // Send initial CONNECT message
-            const connectMsg = new ArchiveWriter(MessageType.SYSTEM, OperationCode.SYSTEM.CONNECT)
-                .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, Date.now())
-                .encode();
+            // Send initial CONNECT message announcing the supported protocol
+            const connectMsg = createConnectRequest().encode();
             
             clientConnection.send(connectMsg);
         });
@@ -177,6 +192,7 @@ function runExamples() {
     createJoinRoomMessage();
     createPositionUpdateMessage();
     createComplexMessage();
+    createSchemaMessage();
     
     // Uncommenting this would run the WebSocket example
     // setupWebSocketExample();
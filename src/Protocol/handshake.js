@@ -0,0 +1,112 @@
+/**
+ * ARCHIVE Protocol - Version Negotiation
+ * Agrees on a protocol version, capabilities and data types during SYSTEM.CONNECT
+ */
+
+const { MessageType, OperationCode, DataType, Capability, PROTOCOL_VERSION } = require('./constants');
+const { ArchiveWriter } = require('./writer');
+
+// What a peer that does not announce its protocol speaks: the original data types only
+const LEGACY_PROTOCOL = {
+    version: 1,
+    capabilities: 0,
+    dataTypes: [
+        DataType.BOOL, DataType.BYTE, DataType.SHORT, DataType.USHORT, DataType.INT,
+        DataType.UINT, DataType.LONG, DataType.FLOAT, DataType.DOUBLE, DataType.STRING,
+        DataType.VECTOR2, DataType.VECTOR3, DataType.QUATERNION, DataType.BYTE_ARRAY,
+        DataType.DICTIONARY
+    ]
+};
+
+// Everything this implementation supports
+const LOCAL_PROTOCOL = {
+    version: PROTOCOL_VERSION,
+    capabilities: Object.values(Capability).reduce((all, flag) => all | flag, 0),
+    dataTypes: Object.values(DataType)
+};
+
+/**
+ * Create the SYSTEM.CONNECT request announcing what this side supports
+ * Encryption is only offered when a public key for the key exchange is given
+ * @param {Object} protocol - Supported { version, capabilities, dataTypes } (default: everything)
+ * @param {Buffer} publicKey - Key from ArchiveConnection.createKeyExchange() (optional)
+ * @returns {ArchiveWriter} - The connect message
+ */
+function createConnectRequest(protocol = LOCAL_PROTOCOL, publicKey = undefined) {
+    return ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.CONNECT, {
+        timestamp: Date.now(),
+        version: protocol.version,
+        capabilities: publicKey ? protocol.capabilities : protocol.capabilities & ~Capability.ENCRYPTION,
+        dataTypes: protocol.dataTypes,
+        publicKey
+    });
+}
+
+/**
+ * Pick the feature set shared by this side and a connecting peer
+ * @param {Object} request - Decoded SYSTEM.CONNECT fields { version, capabilities, dataTypes, publicKey }
+ * @param {Object} options - Negotiation options
+ * @param {number} options.minVersion - Oldest protocol version to accept (default: 1)
+ * @param {Object} options.protocol - What this side supports (default: everything)
+ * @param {boolean} options.requireEncryption - Reject peers that cannot encrypt (default: false)
+ * @returns {Object} { accepted: true, protocol } or { accepted: false, reason }
+ */
+function negotiate(request, options = {}) {
+    const minVersion = options.minVersion || LEGACY_PROTOCOL.version;
+    const local = options.protocol || LOCAL_PROTOCOL;
+
+    // Encryption needs the peer's half of the key exchange
+    let remoteCapabilities = request.capabilities || 0;
+    if (!request.publicKey) {
+        remoteCapabilities &= ~Capability.ENCRYPTION;
+    }
+
+    // Peers that do not announce a version speak the original protocol
+    const remote = request.version === undefined ? LEGACY_PROTOCOL : {
+        version: request.version,
+        capabilities: remoteCapabilities,
+        dataTypes: request.dataTypes ? Array.from(request.dataTypes) : LEGACY_PROTOCOL.dataTypes
+    };
+
+    if (remote.version < minVersion) {
+        return {
+            accepted: false,
+            reason: `Protocol version ${remote.version} is no longer supported, version ${minVersion} or newer is required`
+        };
+    }
+
+    const remoteTypes = new Set(remote.dataTypes);
+    const missingTypes = LEGACY_PROTOCOL.dataTypes.filter(type => !remoteTypes.has(type));
+
+    if (missingTypes.length > 0) {
+        return {
+            accepted: false,
+            reason: `Client does not support required data types: ${missingTypes.join(', ')}`
+        };
+    }
+
+    const capabilities = remote.capabilities & local.capabilities;
+
+    if (options.requireEncryption && !(capabilities & Capability.ENCRYPTION)) {
+        return {
+            accepted: false,
+            reason: 'Encryption is required'
+        };
+    }
+
+    return {
+        accepted: true,
+        protocol: {
+            version: Math.min(remote.version, local.version),
+            capabilities,
+            dataTypes: local.dataTypes.filter(type => remoteTypes.has(type))
+        }
+    };
+}
+
+module.exports = {
+    LEGACY_PROTOCOL,
+    LOCAL_PROTOCOL,
+    createConnectRequest,
+    negotiate
+};
@@ -4,7 +4,12 @@
  */
 
 // Import constants from writer module
-const { MessageType, OperationCode, ParameterCode, DataType } = require('./constants');
+const { MessageType, OperationCode, ParameterCode, DataType, Capability } = require('./constants');
+const { ArchiveWriter, MAX_PAYLOAD_LENGTH, MESSAGE_OVERHEAD, ENCRYPTION_OVERHEAD, BATCH_OVERHEAD } = require('./writer');
+const { MessageSchemas } = require('./schema');
+const { LEGACY_PROTOCOL } = require('./handshake');
+const { SessionCipher, DEFAULT_ENCRYPTED_TYPES } = require('./encryption');
+const { CustomTypes, isCustomType } = require('./types');
 
 /**
  * ARCHIVE Message Parser class
@@ -42,11 +47,86 @@ class ArchiveParser {
             throw new Error('CRC check failed');
         }
 
+        return this.parsePayload(messageType, operationCode, payload);
+    }
+
+    /**
+     * Parse a message and decode it using its registered schema
+     * @param {Buffer} buffer - Binary data to parse
+     * @param {SchemaRegistry} registry - Schemas to use (default: MessageSchemas)
+     * @returns {Object} Parsed message object with the decoded fields in `data`
+     * @throws {Error} If the message is invalid, has no schema or breaks it
+     */
+    static decode(buffer, registry = MessageSchemas) {
+        const message = this.parse(buffer);
+        message.data = registry.decode(message);
+        return message;
+    }
+
+    /**
+     * Unpack the messages of a BATCH message
+     * @param {Object} message - The BATCH message from parse()
+     * @returns {Object[]} Parsed messages, in the order they were batched
+     * @throws {Error} If any message in the batch is invalid or corrupted
+     */
+    static parseBatch(message) {
+        const data = message.parameters[ParameterCode.BATCH_DATA];
+
+        if (!data) {
+            throw new Error('Batch has no messages');
+        }
+
+        const messages = [];
+        let offset = 0;
+
+        while (offset < data.length) {
+            if (data.length - offset < 6) {
+                throw new Error('Truncated message in batch');
+            }
+
+            const length = data.readUInt16LE(offset + 2) + 6;
+            messages.push(this.parse(data.subarray(offset, offset + length)));
+            offset += length;
+        }
+
+        return messages;
+    }
+
+    /**
+     * Parse a message from all of its fragments
+     * @param {Buffer[]} fragments - The fragments from ArchiveWriter.encodeFragments(), in order
+     * @returns {Object} Parsed message object
+     * @throws {Error} If a fragment or the message is invalid
+     */
+    static joinFragments(fragments) {
+        const body = this._fragmentBody(fragments);
+        return this.parsePayload(body.readUInt8(0), body.readUInt8(1), body.subarray(2));
+    }
+
+    /**
+     * Concatenate the data of a message's fragments: message type, operation code and payload
+     * @private
+     */
+    static _fragmentBody(fragments) {
+        return Buffer.concat(fragments.map(fragment => this.parse(fragment).parameters[ParameterCode.FRAGMENT_DATA]));
+    }
+
+    /**
+     * Build a message object from an already validated payload
+     * Used for messages reassembled from fragments, which have no header or CRC
+     * @param {number} messageType - The message type (from MessageType enum)
+     * @param {number} operationCode - The operation code
+     * @param {Buffer} payload - The encoded parameters
+     * @returns {Object} Parsed message object
+     */
+    static parsePayload(messageType, operationCode, payload) {
         // Parse message content
+        const parameterTypes = {};
         const messageContent = {
             messageType,
             operationCode,
-            parameters: this._parseParameters(payload)
+            parameters: this._parseParameters(payload, parameterTypes),
+            parameterTypes
         };
 
         // Add human-readable type and operation names if available
@@ -58,9 +138,10 @@ class ArchiveParser {
 
     /**
      * Parse parameters from payload
+     * Records the data type of each parameter code in parameterTypes
      * @private
      */
-    static _parseParameters(payload) {
+    static _parseParameters(payload, parameterTypes = {}) {
         const parameters = {};
         let offset = 0;
 
@@ -78,6 +159,7 @@ class ArchiveParser {
 
             // Store parameter using code and name if available
             parameters[paramCode] = value;
+            parameterTypes[paramCode] = dataType;
             if (paramName) {
                 parameters[paramName] = value;
             }
@@ -179,13 +261,50 @@ class ArchiveParser {
                 value = buffer.slice(offset + 2, offset + 2 + arrayLength);
                 break;
 
+            case DataType.BLOB:
+                const blobLength = buffer.readUInt32LE(offset);
+                bytesRead = 4 + blobLength;
+                value = buffer.slice(offset + 4, offset + 4 + blobLength);
+                break;
+
             case DataType.DICTIONARY:
                 const [dict, dictBytesRead] = this._parseDictionary(buffer, offset);
                 value = dict;
                 bytesRead = dictBytesRead;
                 break;
 
+            case DataType.QUANTIZED_VECTOR2:
+                [value, bytesRead] = this._parseQuantizedVector(buffer, offset, 2);
+                break;
+
+            case DataType.QUANTIZED_VECTOR3:
+                [value, bytesRead] = this._parseQuantizedVector(buffer, offset, 3);
+                break;
+
+            case DataType.QUANTIZED_QUATERNION:
+                value = this._parseSmallestThree(buffer.readUInt32LE(offset));
+                bytesRead = 4;
+                break;
+
+            case DataType.ARRAY:
+                const [array, arrayBytesRead] = this._parseArray(buffer, offset);
+                value = array;
+                bytesRead = arrayBytesRead;
+                break;
+
+            case DataType.LIST:
+                const [list, listBytesRead] = this._parseList(buffer, offset);
+                value = list;
+                bytesRead = listBytesRead;
+                break;
+
             default:
+                if (isCustomType(dataType)) {
+                    const customLength = buffer.readUInt16LE(offset);
+                    bytesRead = 2 + customLength;
+                    value = CustomTypes.decode(dataType, buffer.slice(offset + 2, offset + 2 + customLength));
+                    break;
+                }
                 throw new Error(`Unknown data type: ${dataType}`);
         }
 
@@ -223,6 +342,92 @@ class ArchiveParser {
         return [dict, bytesRead];
     }
 
+    /**
+     * Parse a fixed-point vector
+     * The header byte holds the component width minus one (high nibble) and decimals (low nibble)
+     * @private
+     */
+    static _parseQuantizedVector(buffer, offset, components) {
+        const header = buffer.readUInt8(offset);
+        const width = (header >> 4) + 1;
+        const scale = Math.pow(10, header & 0x0F);
+
+        const vector = new Array(components);
+        for (let i = 0; i < components; i++) {
+            vector[i] = buffer.readIntLE(offset + 1 + i * width, width) / scale;
+        }
+
+        return [vector, 1 + components * width];
+    }
+
+    /**
+     * Rebuild a quaternion from smallest-three compression
+     * @private
+     */
+    static _parseSmallestThree(packed) {
+        const quaternion = new Array(4);
+        const largest = Math.floor(packed / 0x40000000);
+        let sumOfSquares = 0;
+
+        // Components were packed in order after the 2-bit index, 10 bits each
+        let remaining = packed % 0x40000000;
+        for (let i = 3; i >= 0; i--) {
+            if (i === largest) {
+                continue;
+            }
+
+            // Codes 0 to 1022 map symmetrically onto [-1/√2, 1/√2], with 511 for exactly 0
+            const component = ((remaining % 1024) - 511) / 511 * Math.SQRT1_2;
+            remaining = Math.floor(remaining / 1024);
+
+            quaternion[i] = component;
+            sumOfSquares += component * component;
+        }
+
+        quaternion[largest] = Math.sqrt(Math.max(0, 1 - sumOfSquares));
+        return quaternion;
+    }
+
+    /**
+     * Parse a typed array value (all elements share one data type)
+     * @private
+     */
+    static _parseArray(buffer, offset) {
+        const elementType = buffer.readUInt8(offset);
+        const count = buffer.readUInt16LE(offset + 1);
+        let bytesRead = 3; // Element type (1 byte) + element count (2 bytes)
+
+        const array = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const [element, elementBytesRead] = this._parseValue(buffer, offset + bytesRead, elementType);
+            bytesRead += elementBytesRead;
+            array[i] = element;
+        }
+
+        return [array, bytesRead];
+    }
+
+    /**
+     * Parse a list value (each element carries its own data type)
+     * @private
+     */
+    static _parseList(buffer, offset) {
+        const count = buffer.readUInt16LE(offset);
+        let bytesRead = 2; // Start with the 2 bytes for the element count
+
+        const list = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const elementType = buffer.readUInt8(offset + bytesRead);
+            bytesRead += 1;
+
+            const [element, elementBytesRead] = this._parseValue(buffer, offset + bytesRead, elementType);
+            bytesRead += elementBytesRead;
+            list[i] = element;
+        }
+
+        return [list, bytesRead];
+    }
+
     /**
      * Calculate CRC-16 checksum (same as in writer)
      * @private
@@ -292,6 +497,230 @@ class ArchiveParser {
     }
 }
 
+// Encoded size of data types that always take the same number of bytes
+const FIXED_SIZES = {
+    [DataType.BOOL]: 1,
+    [DataType.BYTE]: 1,
+    [DataType.SHORT]: 2,
+    [DataType.USHORT]: 2,
+    [DataType.INT]: 4,
+    [DataType.UINT]: 4,
+    [DataType.LONG]: 8,
+    [DataType.FLOAT]: 4,
+    [DataType.DOUBLE]: 8,
+    [DataType.VECTOR2]: 8,
+    [DataType.VECTOR3]: 12,
+    [DataType.QUATERNION]: 16,
+    [DataType.QUANTIZED_QUATERNION]: 4
+};
+
+/**
+ * ARCHIVE streaming reader class
+ * Walks the parameters of a message with a cursor and only decodes the values
+ * that are asked for. A reader can be reset to read another message.
+ */
+class ArchiveReader {
+    /**
+     * Create a reader for a message
+     * @param {Buffer} buffer - Binary data to read
+     * @param {Object} options - Reader options
+     * @param {boolean} options.verifyCRC - Check the CRC before reading (default: true)
+     * @throws {Error} If the message is invalid or corrupted
+     */
+    constructor(buffer, options = {}) {
+        this.reset(buffer, options);
+    }
+
+    /**
+     * Start reading another message
+     * @param {Buffer} buffer - Binary data to read
+     * @param {Object} options - Reader options
+     * @param {boolean} options.verifyCRC - Check the CRC before reading (default: true)
+     * @returns {ArchiveReader} - The reader instance for chaining
+     * @throws {Error} If the message is invalid or corrupted
+     */
+    reset(buffer, options = {}) {
+        // Check minimum message size (4-byte header + 2-byte CRC)
+        if (buffer.length < 6) {
+            throw new Error('Message too short');
+        }
+
+        const payloadLength = buffer.readUInt16LE(2);
+
+        if (buffer.length !== payloadLength + 6) {
+            throw new Error(`Invalid message length. Expected ${payloadLength + 6}, got ${buffer.length}`);
+        }
+
+        if (options.verifyCRC !== false &&
+            buffer.readUInt16LE(4 + payloadLength) !== ArchiveParser._calculateCRC(buffer.subarray(0, 4 + payloadLength))) {
+            throw new Error('CRC check failed');
+        }
+
+        this.buffer = buffer;
+        this.messageType = buffer.readUInt8(0);
+        this.operationCode = buffer.readUInt8(1);
+        this.payloadEnd = 4 + payloadLength;
+        this.rewind();
+
+        return this;
+    }
+
+    /**
+     * Move the cursor back to the first parameter
+     * @returns {ArchiveReader} - The reader instance for chaining
+     */
+    rewind() {
+        this.cursor = 4;
+        this.paramCode = undefined;
+        this.dataType = undefined;
+        this.valueOffset = undefined;
+        return this;
+    }
+
+    /**
+     * Move the cursor to the next parameter without decoding its value
+     * @returns {boolean} False when there are no more parameters
+     */
+    next() {
+        if (this.cursor >= this.payloadEnd) {
+            return false;
+        }
+
+        this.paramCode = this.buffer[this.cursor];
+        this.dataType = this.buffer[this.cursor + 1];
+        this.valueOffset = this.cursor + 2;
+        this.cursor = this.valueOffset + this._valueLength(this.dataType, this.valueOffset);
+
+        return true;
+    }
+
+    /**
+     * Decode the value of the parameter under the cursor
+     * @returns {*} The parameter value
+     */
+    readValue() {
+        return ArchiveParser._parseValue(this.buffer, this.valueOffset, this.dataType)[0];
+    }
+
+    /**
+     * Decode the value of a single parameter
+     * @param {number} paramCode - The parameter code (from ParameterCode enum)
+     * @returns {*} The parameter value, or undefined if the message does not have it
+     */
+    find(paramCode) {
+        this.rewind();
+
+        while (this.next()) {
+            if (this.paramCode === paramCode) {
+                return this.readValue();
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Size of an encoded value, found without decoding it
+     * @private
+     */
+    _valueLength(dataType, offset) {
+        const fixedSize = FIXED_SIZES[dataType];
+        if (fixedSize !== undefined) {
+            return fixedSize;
+        }
+
+        const buffer = this.buffer;
+
+        switch (dataType) {
+            case DataType.STRING:
+            case DataType.BYTE_ARRAY:
+                return 2 + buffer.readUInt16LE(offset);
+
+            case DataType.BLOB:
+                return 4 + buffer.readUInt32LE(offset);
+
+            case DataType.QUANTIZED_VECTOR2:
+                return 1 + 2 * ((buffer[offset] >> 4) + 1);
+
+            case DataType.QUANTIZED_VECTOR3:
+                return 1 + 3 * ((buffer[offset] >> 4) + 1);
+
+            case DataType.DICTIONARY: {
+                const pairCount = buffer.readUInt16LE(offset);
+                let length = 2;
+
+                for (let i = 0; i < pairCount; i++) {
+                    // Key and value, each with its type tag
+                    for (let j = 0; j < 2; j++) {
+                        const type = buffer[offset + length];
+                        length += 1 + this._valueLength(type, offset + length + 1);
+                    }
+                }
+
+                return length;
+            }
+
+            case DataType.ARRAY: {
+                const elementType = buffer[offset];
+                const count = buffer.readUInt16LE(offset + 1);
+                const elementSize = FIXED_SIZES[elementType];
+
+                if (elementSize !== undefined) {
+                    return 3 + count * elementSize;
+                }
+
+                let length = 3;
+                for (let i = 0; i < count; i++) {
+                    length += this._valueLength(elementType, offset + length);
+                }
+
+                return length;
+            }
+
+            case DataType.LIST: {
+                const count = buffer.readUInt16LE(offset);
+                let length = 2;
+
+                for (let i = 0; i < count; i++) {
+                    const type = buffer[offset + length];
+                    length += 1 + this._valueLength(type, offset + length + 1);
+                }
+
+                return length;
+            }
+
+            default:
+                if (isCustomType(dataType)) {
+                    return 2 + buffer.readUInt16LE(offset);
+                }
+                throw new Error(`Unknown data type: ${dataType}`);
+        }
+    }
+}
+
+// Sequence numbers run from 1 to 0xFFFFFFFF and then start over at 1
+const SEQUENCE_SPACE = 0xFFFFFFFF;
+
+// Message types acknowledged and ordered when they carry a sequence number; besides RELIABLE
+// messages, these are numbered over transports that may lose them
+const SEQUENCED_TYPES = new Set([MessageType.RELIABLE, MessageType.SYSTEM, MessageType.ROOM, MessageType.EVENT]);
+
+/**
+ * The sequence number that follows another one
+ * @private
+ */
+function sequenceAfter(sequence) {
+    return sequence % SEQUENCE_SPACE + 1;
+}
+
+/**
+ * How far a sequence number is ahead of another one, counted across the wraparound
+ * @private
+ */
+function sequenceDistance(from, to) {
+    return ((to - from) % SEQUENCE_SPACE + SEQUENCE_SPACE) % SEQUENCE_SPACE;
+}
+
 /**
  * ARCHIVE connection helper class
  * Provides utility methods for handling ARCHIVE protocol connections
@@ -299,16 +728,99 @@ class ArchiveParser {
 class ArchiveConnection {
     /**
      * Create a new connection handler
-     * @param {WebSocket} socket - WebSocket instance or similar
+     * @param {WebSocket} socket - WebSocket instance or similar, such as a UdpSocket;
+     *        its maxMessageSize, if set, limits the size of every message sent, and reliable set to false
+     *        makes SYSTEM, ROOM and EVENT messages acknowledged like RELIABLE ones
+     * @param {Object} options - Connection options
+     * @param {number} options.fragmentTimeout - Time to wait for the rest of a fragmented message in ms (default: 10000)
+     * @param {number} options.maxReassemblyBytes - Memory limit for all partially received messages (default: 4 MB)
+     * @param {number} options.maxPartialMessages - Most fragmented messages reassembled at once (default: 64)
+     * @param {number[]} options.encryptedTypes - Message types to encrypt once keys are agreed
+     *        (default: everything except UNRELIABLE, ACK and PING)
+     * @param {number} options.batchInterval - Coalesce outgoing messages for this long in ms
+     *        before sending them as one BATCH message (default: 0, send immediately)
+     * @param {number} options.maxBatchSize - Send a batch early once it reaches this many bytes (default: 8192)
+     * @param {number} options.maxMissedBytes - Memory limit for messages held while suspended (default: 1 MB)
+     * @param {number} options.maxOutOfOrder - Most reliable messages buffered while an earlier one is missing (default: 256)
+     * @param {number} options.gapTimeout - Time in ms to wait for a missing reliable message before skipping it
+     *        (default: 20000, longer than the sender keeps retransmitting)
+     * @param {number} options.minRetransmitTimeout - Lower bound for the retransmission timeout in ms (default: 200)
+     * @param {number} options.maxRetransmitTimeout - Upper bound for the retransmission timeout in ms, also used
+     *        until the first round trip is measured (default: 3000)
+     * @param {number} options.heartbeatInterval - Send a SYSTEM.HEARTBEAT after this long in ms without
+     *        sending anything (default: 0, never)
+     * @param {number} options.heartbeatTimeout - Give up on the peer after this long in ms without receiving
+     *        anything, calling onTimeout or closing the connection (default: 0, never)
      */
-    constructor(socket) {
+    constructor(socket, options = {}) {
         this.socket = socket;
         this.sequenceNumber = 0;
+        
+        // Largest message to send, leaving room for encryption; pass it to ArchiveWriter.encodeFragments()
+        this.maxMessageSize = (socket && socket.maxMessageSize
+            ? socket.maxMessageSize
+            : MAX_PAYLOAD_LENGTH + MESSAGE_OVERHEAD) - ENCRYPTION_OVERHEAD;
         this.pendingAcks = new Map();
+        
+        // Smoothed round-trip time and its variance in ms, measured from acknowledgements
+        this.rtt = null;
+        this.rttVariance = null;
+        this.minRetransmitTimeout = options.minRetransmitTimeout || 200;
+        this.maxRetransmitTimeout = options.maxRetransmitTimeout || 3000;
+        this.retransmitTimeout = this.maxRetransmitTimeout;
+        
+        // Reliable messages that arrived ahead of a missing one, by sequence number
         this.receivedMessages = new Map();
+        this.nextSequence = sequenceAfter(0); // Senders number their first message 1
+        this.maxOutOfOrder = options.maxOutOfOrder || 256;
+        this.gapTimeout = options.gapTimeout || 20000;
+        this.gapTimer = null;
+        
+        // Transports that may lose messages (socket.reliable === false) get control messages numbered as well
+        this.sequencedTypes = socket && socket.reliable === false ? SEQUENCED_TYPES : new Set([MessageType.RELIABLE]);
+        
+        // Features agreed with the peer during SYSTEM.CONNECT, the original protocol until then
+        this.protocol = LEGACY_PROTOCOL;
+        this.negotiated = false;
+        
+        // Session keys from the ECDH exchange during CONNECT, if the peer agreed to encryption
+        this.cipher = null;
+        this.encryptedTypes = new Set(options.encryptedTypes || DEFAULT_ENCRYPTED_TYPES);
+        
+        // Outgoing messages waiting to be sent as one BATCH, if the peer agreed to batching
+        this.batchInterval = options.batchInterval || 0;
+        this.maxBatchSize = Math.min(options.maxBatchSize || 8192, this.maxMessageSize);
+        this.batch = [];
+        this.batchBytes = 0;
+        this.batchTimer = null;
+        
+        // Outgoing messages held after the socket was lost, until the session is resumed
+        this.suspended = false;
+        this.missedMessages = [];
+        this.missedBytes = 0;
+        this.maxMissedBytes = options.maxMissedBytes || 1024 * 1024;
+        this.missedOverflow = false;
+        
+        // Reused to look up sequence numbers of outgoing messages
+        this.reader = null;
+        
+        // Fragmented messages being reassembled, by fragment ID
+        this.fragmentTimeout = options.fragmentTimeout || 10000;
+        this.maxReassemblyBytes = options.maxReassemblyBytes || 4 * 1024 * 1024;
+        this.maxPartialMessages = options.maxPartialMessages || 64;
+        this.partialMessages = new Map();
+        this.reassemblyBytes = 0;
+        
+        // Heartbeats keep an idle connection alive and reveal a peer that went silent
+        this.heartbeatInterval = options.heartbeatInterval || 0;
+        this.heartbeatTimeout = options.heartbeatTimeout || 0;
+        this.heartbeatTimer = null;
+        this.lastReceived = Date.now();
+        this.lastSent = Date.now();
         
         // Set up event handlers
         this._setupEventHandlers();
+        this._startHeartbeat();
     }
     
     /**
@@ -322,6 +834,8 @@ class ArchiveConnection {
         
         this.socket.onmessage = (event) => {
             if (event.data instanceof ArrayBuffer) {
+                this.lastReceived = Date.now();
+                
                 try {
                     const message = ArchiveParser.parse(Buffer.from(event.data));
                     this._handleMessage(message);
@@ -333,104 +847,613 @@ class ArchiveConnection {
     }
     
     /**
-     * Handle received messages
+     * Check on the peer regularly if heartbeats are enabled
      * @private
      */
-    _handleMessage(message) {
-        // Check if this is an ACK message
-        if (message.messageType === MessageType.ACK) {
-            this._handleAcknowledgement(message);
-            return;
-        }
+    _startHeartbeat() {
+        const periods = [this.heartbeatInterval, this.heartbeatTimeout].filter(period => period > 0);
         
-        // For RELIABLE messages, send an acknowledgement
-        if (message.messageType === MessageType.RELIABLE && 
-            message.parameters && 
-            message.parameters[ParameterCode.SEQUENCE]) {
-            
-            this._sendAcknowledgement(message.parameters[ParameterCode.SEQUENCE]);
+        if (periods.length === 0) {
+            return;
         }
         
-        // Emit a message event for application to handle
-        if (this.onMessage) {
-            this.onMessage(message);
-        }
+        this.heartbeatTimer = setInterval(() => this._checkHeartbeat(), Math.min(...periods) / 2);
     }
     
     /**
-     * Handle acknowledgement messages
+     * Stop checking on the peer
      * @private
      */
-    _handleAcknowledgement(message) {
-        if (message.parameters && message.parameters[ParameterCode.SEQUENCE]) {
-            const seqNum = message.parameters[ParameterCode.SEQUENCE];
-            
-            // Clear any pending retransmission
-            if (this.pendingAcks.has(seqNum)) {
-                const { timer } = this.pendingAcks.get(seqNum);
-                clearTimeout(timer);
-                this.pendingAcks.delete(seqNum);
-            }
-        }
+    _stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
     }
     
     /**
-     * Send an acknowledgement for a received message
+     * Give up on a silent peer, or send a heartbeat if we have been quiet ourselves
      * @private
      */
-    _sendAcknowledgement(sequenceNumber) {
-        const ackMessage = new ArchiveWriter(MessageType.ACK, 0x01)
-            .addParameter(ParameterCode.SEQUENCE, DataType.UINT, sequenceNumber)
-            .encode();
-            
-        this._sendRaw(ackMessage);
-    }
-    
-    /**
-     * Send a message with retransmission for reliable messages
-     * @param {Buffer} messageBuffer - The encoded message
-     * @param {Object} options - Options for sending
-     * @param {number} options.timeout - Timeout for retransmission in ms (default: 3000)
-     * @param {number} options.maxRetries - Maximum number of retries (default: 5)
-     */
-    send(messageBuffer, options = {}) {
-        const timeout = options.timeout || 3000;
-        const maxRetries = options.maxRetries || 5;
-        
-        this._sendRaw(messageBuffer);
+    _checkHeartbeat() {
+        const now = Date.now();
         
-        // Check if this is a RELIABLE message that needs acknowledgement
-        try {
-            const message = ArchiveParser.parse(messageBuffer);
+        if (this.heartbeatTimeout > 0 && now - this.lastReceived > this.heartbeatTimeout) {
+            this._stopHeartbeat();
             
-            if (message.messageType === MessageType.RELIABLE &&
-                message.parameters && 
-                message.parameters[ParameterCode.SEQUENCE]) {
-                
-                const seqNum = message.parameters[ParameterCode.SEQUENCE];
-                let retries = 0;
-                
-                // Set up retransmission
-                const timer = setTimeout(() => {
-                    this._retransmit(messageBuffer, seqNum, retries + 1, timeout, maxRetries);
-                }, timeout);
-                
-                this.pendingAcks.set(seqNum, { message: messageBuffer, timer });
+            if (this.onTimeout) {
+                this.onTimeout();
+            } else {
+                if (this.onError) {
+                    this.onError({
+                        type: 'HEARTBEAT_TIMEOUT',
+                        message: `Nothing received for ${now - this.lastReceived} ms`
+                    });
+                }
+                this.close();
             }
-        } catch (error) {
-            console.error('Error processing outgoing message:', error);
+            return;
+        }
+        
+        if (this.heartbeatInterval > 0 && now - this.lastSent >= this.heartbeatInterval) {
+            this.send(ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.HEARTBEAT, {
+                timestamp: now
+            }).encode());
         }
     }
     
     /**
-     * Retransmit a message if no acknowledgement received
+     * Handle received messages
      * @private
      */
-    _retransmit(messageBuffer, sequenceNumber, retries, timeout, maxRetries) {
-        // Check if we should stop retrying
-        if (retries > maxRetries || !this.pendingAcks.has(sequenceNumber)) {
-            this.pendingAcks.delete(sequenceNumber);
-            
+    _handleMessage(message, encrypted = false) {
+        if (message.messageType === MessageType.ENCRYPTED) {
+            this._handleEncrypted(message);
+            return;
+        }
+        
+        // Once keys are agreed, plaintext is only accepted for the types allowed to skip encryption
+        if (!encrypted && this.isEncrypted() && this.encryptedTypes.has(message.messageType)) {
+            if (this.onError) {
+                this.onError({
+                    type: 'UNENCRYPTED_MESSAGE',
+                    messageType: message.messageType,
+                    message: `Dropped unencrypted ${message.messageTypeName} message`
+                });
+            }
+            return;
+        }
+        
+        // Messages in a batch are handled one by one
+        if (message.messageType === MessageType.BATCH) {
+            this._handleBatch(message, encrypted);
+            return;
+        }
+        
+        // Fragments are held back until the whole message has arrived
+        if (message.messageType === MessageType.FRAGMENT) {
+            this._handleFragment(message, encrypted);
+            return;
+        }
+        
+        // The server's answer to CONNECT carries the negotiated protocol
+        if (!this.negotiated &&
+            message.messageType === MessageType.SYSTEM &&
+            message.operationCode === OperationCode.SYSTEM.AUTH &&
+            message.parameters[ParameterCode.PROTOCOL_VERSION] !== undefined) {
+            
+            this.setProtocol({
+                version: message.parameters[ParameterCode.PROTOCOL_VERSION],
+                capabilities: message.parameters[ParameterCode.CAPABILITIES] || 0,
+                dataTypes: message.parameters[ParameterCode.DATA_TYPES]
+                    ? Array.from(message.parameters[ParameterCode.DATA_TYPES])
+                    : LEGACY_PROTOCOL.dataTypes
+            });
+            
+            // Finish the key exchange started by createKeyExchange()
+            const peerKey = message.parameters[ParameterCode.PUBLIC_KEY];
+            if (this.cipher && peerKey && this.supports(Capability.ENCRYPTION)) {
+                this.completeKeyExchange(peerKey, false);
+            }
+        }
+        
+        // Check if this is an ACK message
+        if (message.messageType === MessageType.ACK) {
+            this._handleAcknowledgement(message);
+            return;
+        }
+        
+        // RELIABLE messages, and control messages numbered over a lossy transport, are acknowledged and delivered once, in order
+        if (SEQUENCED_TYPES.has(message.messageType) && 
+            message.parameters && 
+            message.parameters[ParameterCode.SEQUENCE]) {
+            
+            this._handleReliable(message);
+            return;
+        }
+        
+        // Emit a message event for application to handle
+        if (this.onMessage) {
+            this.onMessage(message);
+        }
+    }
+    
+    /**
+     * Decrypt an ENCRYPTED message and handle the message inside it
+     * @private
+     */
+    _handleEncrypted(message) {
+        if (!this.isEncrypted()) {
+            console.warn('Dropping encrypted ARCHIVE message received before the key exchange');
+            return;
+        }
+        
+        let inner;
+        try {
+            const { messageType, operationCode, payload } = this.cipher.decrypt(message);
+            inner = ArchiveParser.parsePayload(messageType, operationCode, payload);
+        } catch (error) {
+            if (this.onError) {
+                this.onError({
+                    type: 'DECRYPTION_FAILED',
+                    message: error.message
+                });
+            }
+            return;
+        }
+        
+        this._handleMessage(inner, true);
+    }
+    
+    /**
+     * Handle every message of a received BATCH in order
+     * @private
+     */
+    _handleBatch(message, encrypted) {
+        let messages;
+        try {
+            messages = ArchiveParser.parseBatch(message);
+        } catch (error) {
+            console.error('Error unpacking ARCHIVE batch:', error);
+            return;
+        }
+        
+        for (const batched of messages) {
+            this._handleMessage(batched, encrypted);
+        }
+    }
+    
+    /**
+     * Store a received fragment and deliver the message once it is complete
+     * @private
+     */
+    _handleFragment(message, encrypted) {
+        const fragmentId = message.parameters[ParameterCode.FRAGMENT_ID];
+        const index = message.parameters[ParameterCode.FRAGMENT_INDEX];
+        const count = message.parameters[ParameterCode.FRAGMENT_COUNT];
+        const data = message.parameters[ParameterCode.FRAGMENT_DATA];
+        
+        if (fragmentId === undefined || index === undefined || !count || !data || index >= count) {
+            console.warn('Dropping malformed ARCHIVE fragment');
+            return;
+        }
+        
+        let partial = this.partialMessages.get(fragmentId);
+        
+        // Many small unfinished messages hold timers and arrays too, not only their bytes
+        if (!partial && this.partialMessages.size >= this.maxPartialMessages) {
+            if (this.onError) {
+                this.onError({
+                    type: 'FRAGMENT_LIMIT_EXCEEDED',
+                    fragmentId,
+                    message: 'Too many fragmented messages are being reassembled'
+                });
+            }
+            return;
+        }
+        
+        if (!partial) {
+            partial = {
+                count,
+                received: 0,
+                bytes: 0,
+                encrypted: true,
+                chunks: new Array(count),
+                timer: setTimeout(() => {
+                    this._discardPartialMessage(fragmentId);
+                    
+                    if (this.onError) {
+                        this.onError({
+                            type: 'FRAGMENT_TIMEOUT',
+                            fragmentId,
+                            message: 'Timed out waiting for the remaining fragments'
+                        });
+                    }
+                }, this.fragmentTimeout)
+            };
+            
+            this.partialMessages.set(fragmentId, partial);
+        }
+        
+        // Ignore duplicates and fragments that disagree with the first one
+        if (partial.count !== count || partial.chunks[index]) {
+            return;
+        }
+        
+        if (this.reassemblyBytes + data.length > this.maxReassemblyBytes) {
+            this._discardPartialMessage(fragmentId);
+            
+            if (this.onError) {
+                this.onError({
+                    type: 'FRAGMENT_LIMIT_EXCEEDED',
+                    fragmentId,
+                    message: 'Fragmented message exceeds the reassembly memory limit'
+                });
+            }
+            return;
+        }
+        
+        partial.chunks[index] = data;
+        partial.encrypted = partial.encrypted && encrypted;
+        partial.received++;
+        partial.bytes += data.length;
+        this.reassemblyBytes += data.length;
+        
+        if (partial.received < partial.count) {
+            return;
+        }
+        
+        const body = Buffer.concat(partial.chunks);
+        const { encrypted: allEncrypted } = partial;
+        this._discardPartialMessage(fragmentId);
+        
+        let reassembled;
+        try {
+            reassembled = ArchiveParser.parsePayload(body.readUInt8(0), body.readUInt8(1), body.subarray(2));
+        } catch (error) {
+            console.error('Error parsing reassembled ARCHIVE message:', error);
+            return;
+        }
+        
+        this._handleMessage(reassembled, allEncrypted);
+    }
+    
+    /**
+     * Drop a partially received message and release its memory
+     * @private
+     */
+    _discardPartialMessage(fragmentId) {
+        const partial = this.partialMessages.get(fragmentId);
+        
+        if (partial) {
+            clearTimeout(partial.timer);
+            this.reassemblyBytes -= partial.bytes;
+            this.partialMessages.delete(fragmentId);
+        }
+    }
+    
+    /**
+     * Acknowledge a reliable message and pass it on in sequence order
+     * Retransmitted copies are dropped, and messages after a gap wait for the missing ones
+     * @private
+     */
+    _handleReliable(message) {
+        const sequence = message.parameters[ParameterCode.SEQUENCE];
+        const distance = sequenceDistance(this.nextSequence, sequence);
+        const delivered = distance >= SEQUENCE_SPACE / 2;
+        
+        // Too far ahead to buffer, left unacknowledged so the peer sends it again later
+        if (!delivered && distance >= this.maxOutOfOrder) {
+            return;
+        }
+        
+        // Acknowledge duplicates too, the peer resends because our acknowledgement was lost
+        this._sendAcknowledgement(sequence);
+        
+        if (delivered || this.receivedMessages.has(sequence)) {
+            return;
+        }
+        
+        this.receivedMessages.set(sequence, message);
+        this._deliverInOrder();
+    }
+    
+    /**
+     * Pass on the buffered reliable messages that are next in sequence
+     * @private
+     */
+    _deliverInOrder() {
+        const waitingFor = this.nextSequence;
+        
+        while (this.receivedMessages.has(this.nextSequence)) {
+            const message = this.receivedMessages.get(this.nextSequence);
+            this.receivedMessages.delete(this.nextSequence);
+            this.nextSequence = sequenceAfter(this.nextSequence);
+            
+            if (this.onMessage) {
+                this.onMessage(message);
+            }
+        }
+        
+        // Wait for a missing message from the moment the gap opens or moves
+        if (this.receivedMessages.size === 0 || this.nextSequence !== waitingFor) {
+            clearTimeout(this.gapTimer);
+            this.gapTimer = null;
+        }
+        
+        if (this.receivedMessages.size > 0 && !this.gapTimer) {
+            this.gapTimer = setTimeout(() => {
+                this.gapTimer = null;
+                this._skipGap();
+            }, this.gapTimeout);
+        }
+    }
+    
+    /**
+     * Give up on missing reliable messages and continue with the next buffered one
+     * @private
+     */
+    _skipGap() {
+        let resumeAt = null;
+        
+        for (const sequence of this.receivedMessages.keys()) {
+            if (resumeAt === null ||
+                sequenceDistance(this.nextSequence, sequence) < sequenceDistance(this.nextSequence, resumeAt)) {
+                resumeAt = sequence;
+            }
+        }
+        
+        if (resumeAt === null) {
+            return;
+        }
+        
+        if (this.onError) {
+            this.onError({
+                type: 'SEQUENCE_GAP',
+                sequenceNumber: this.nextSequence,
+                skipped: sequenceDistance(this.nextSequence, resumeAt),
+                message: 'Timed out waiting for missing reliable messages'
+            });
+        }
+        
+        this.nextSequence = resumeAt;
+        this._deliverInOrder();
+    }
+    
+    /**
+     * Handle acknowledgement messages
+     * @private
+     */
+    _handleAcknowledgement(message) {
+        if (message.parameters && message.parameters[ParameterCode.SEQUENCE]) {
+            const seqNum = message.parameters[ParameterCode.SEQUENCE];
+            
+            // Clear any pending retransmission
+            if (this.pendingAcks.has(seqNum)) {
+                const { timer, sentAt, retransmitted } = this.pendingAcks.get(seqNum);
+                clearTimeout(timer);
+                this.pendingAcks.delete(seqNum);
+                
+                // An acknowledgement after a resend could belong to either copy, so only first sends are timed
+                if (!retransmitted) {
+                    this._updateRoundTripTime(Date.now() - sentAt);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Fold a round-trip sample into the smoothed RTT and derive the retransmission timeout
+     * Uses the estimator from RFC 6298
+     * @private
+     */
+    _updateRoundTripTime(sample) {
+        if (this.rtt === null) {
+            this.rtt = sample;
+            this.rttVariance = sample / 2;
+        } else {
+            this.rttVariance = 0.75 * this.rttVariance + 0.25 * Math.abs(this.rtt - sample);
+            this.rtt = 0.875 * this.rtt + 0.125 * sample;
+        }
+        
+        this.retransmitTimeout = Math.min(this.maxRetransmitTimeout,
+            Math.max(this.minRetransmitTimeout, Math.round(this.rtt + 4 * this.rttVariance)));
+    }
+    
+    /**
+     * Send an acknowledgement for a received message
+     * @private
+     */
+    _sendAcknowledgement(sequenceNumber) {
+        const ackMessage = new ArchiveWriter(MessageType.ACK, 0x01)
+            .addParameter(ParameterCode.SEQUENCE, DataType.UINT, sequenceNumber)
+            .encode();
+            
+        this._sendRaw(ackMessage);
+    }
+    
+    /**
+     * Send a message with retransmission for reliable messages
+     * @param {Buffer|Buffer[]} messageBuffer - The encoded message, or the fragments from ArchiveWriter.encodeFragments()
+     * @param {Object} options - Options for sending
+     * @param {number} options.timeout - Fixed timeout for retransmission in ms (default: retransmitTimeout,
+     *        from the measured round-trip time)
+     * @param {number} options.maxRetries - Maximum number of retries (default: 5)
+     */
+    send(messageBuffer, options = {}) {
+        const timeout = options.timeout;
+        const maxRetries = options.maxRetries || 5;
+        
+        // The message fit in one piece
+        if (Array.isArray(messageBuffer) && messageBuffer.length === 1) {
+            messageBuffer = messageBuffer[0];
+        }
+        
+        // Nobody to send to, keep the message for when the session is resumed
+        if (this.suspended) {
+            this._hold(messageBuffer);
+            return;
+        }
+        
+        // Fragments are sent in order and reassembled by the receiver
+        if (Array.isArray(messageBuffer)) {
+            if (!this.supports(Capability.FRAGMENTATION)) {
+                // Dropped like any other message the peer cannot take, see _transmit()
+                if (this.onError) {
+                    this.onError({
+                        type: 'FRAGMENTATION_UNSUPPORTED',
+                        messageType: MessageType.FRAGMENT,
+                        message: `Dropped ${messageBuffer.length} fragments, the peer did not agree to fragmentation`
+                    });
+                }
+            } else if (this.sequencedTypes === SEQUENCED_TYPES) {
+                this._sendNumberedFragments(messageBuffer, timeout, maxRetries);
+            } else {
+                this._sendParts(messageBuffer);
+            }
+            return;
+        }
+        
+        let seqNum;
+        let writer = null;
+        
+        try {
+            // Check if this is a message that needs acknowledgement
+            if (this.sequencedTypes.has(messageBuffer[0])) {
+                // The message was just encoded, so skip the CRC and only find the sequence number
+                this.reader = this.reader
+                    ? this.reader.reset(messageBuffer, { verifyCRC: false })
+                    : new ArchiveReader(messageBuffer, { verifyCRC: false });
+                
+                seqNum = this.reader.find(ParameterCode.SEQUENCE);
+                
+                // Control messages are numbered here when the transport may lose them
+                if (!seqNum && this._needsSequence(messageBuffer)) {
+                    seqNum = this.getNextSequence();
+                    writer = ArchiveWriter.fromEncoded(messageBuffer)
+                        .addParameter(ParameterCode.SEQUENCE, DataType.UINT, seqNum);
+                }
+            }
+            
+            // Larger than the transport carries, split it up if the peer can put it back together
+            const fragment = this.supports(Capability.FRAGMENTATION);
+            
+            if (fragment && messageBuffer.length > this.maxMessageSize) {
+                writer = writer || ArchiveWriter.fromEncoded(messageBuffer);
+            }
+            
+            if (writer) {
+                const encoded = fragment ? writer.encodeFragments({ maxMessageSize: this.maxMessageSize }) : [writer.encode()];
+                messageBuffer = encoded.length === 1 ? encoded[0] : encoded;
+            }
+        } catch (error) {
+            console.error('Error processing outgoing message:', error);
+            seqNum = undefined;
+        }
+        
+        this._sendParts(messageBuffer);
+        
+        if (seqNum) {
+            this._awaitAck(seqNum, messageBuffer, timeout, maxRetries);
+        }
+    }
+    
+    /**
+     * Send a fragmented message over a transport that may lose fragments
+     * The whole message is numbered if needed and retransmitted until the receiver acknowledges it
+     * @private
+     */
+    _sendNumberedFragments(fragments, timeout, maxRetries) {
+        let body;
+        let message;
+        try {
+            body = ArchiveParser._fragmentBody(fragments);
+            message = ArchiveParser.parsePayload(body[0], body[1], body.subarray(2));
+        } catch (error) {
+            console.error('Error processing outgoing fragments:', error);
+            return;
+        }
+        
+        let seqNum = SEQUENCED_TYPES.has(message.messageType) ? message.parameters[ParameterCode.SEQUENCE] : undefined;
+        
+        if (!seqNum && SEQUENCED_TYPES.has(message.messageType) && this._needsSequence(body)) {
+            seqNum = this.getNextSequence();
+            fragments = ArchiveWriter.fromPayload(body[0], body[1], body.subarray(2))
+                .addParameter(ParameterCode.SEQUENCE, DataType.UINT, seqNum)
+                .encodeFragments({ maxMessageSize: this.maxMessageSize });
+        }
+        
+        this._sendParts(fragments);
+        
+        if (seqNum) {
+            this._awaitAck(seqNum, fragments, timeout, maxRetries);
+        }
+    }
+    
+    /**
+     * Retransmit a sent message until it is acknowledged
+     * @private
+     */
+    _awaitAck(seqNum, messageBuffer, timeout, maxRetries) {
+        let retries = 0;
+        
+        // Set up retransmission
+        const timer = setTimeout(() => {
+            this._retransmit(messageBuffer, seqNum, retries + 1, timeout, maxRetries);
+        }, timeout || this.retransmitTimeout);
+        
+        this.pendingAcks.set(seqNum, { message: messageBuffer, timer, sentAt: Date.now(), retransmitted: false });
+    }
+    
+    /**
+     * Whether a message without a sequence number should get one before it is sent
+     * Heartbeats are not worth retransmitting, and RELIABLE messages are numbered by their sender
+     * @private
+     */
+    _needsSequence(messageBuffer) {
+        const [messageType, operationCode] = messageBuffer;
+        
+        return messageType !== MessageType.RELIABLE &&
+            !(messageType === MessageType.SYSTEM && operationCode === OperationCode.SYSTEM.HEARTBEAT);
+    }
+    
+    /**
+     * Send a message, or each of its fragments in order
+     * @private
+     */
+    _sendParts(messageBuffer) {
+        for (const part of Array.isArray(messageBuffer) ? messageBuffer : [messageBuffer]) {
+            this._sendRaw(part);
+        }
+    }
+    
+    /**
+     * Send a RELIABLE message with the next sequence number
+     * @param {number} operationCode - The operation code
+     * @param {Object[]} parameters - { code, type, value, format } of each parameter, as in ArchiveWriter.addParameter()
+     * @param {Object} options - Options for sending, see send()
+     * @returns {number} The message's sequence number
+     */
+    sendReliable(operationCode, parameters = [], options = {}) {
+        const sequenceNumber = this.getNextSequence();
+        const writer = new ArchiveWriter(MessageType.RELIABLE, operationCode)
+            .addParameter(ParameterCode.SEQUENCE, DataType.UINT, sequenceNumber);
+        
+        for (const param of parameters) {
+            writer.addParameter(param.code, param.type, param.value, param.format);
+        }
+        
+        this.send(writer.encode(), options);
+        return sequenceNumber;
+    }
+    
+    /**
+     * Retransmit a message if no acknowledgement received
+     * @private
+     */
+    _retransmit(messageBuffer, sequenceNumber, retries, timeout, maxRetries) {
+        // Check if we should stop retrying
+        if (retries > maxRetries || !this.pendingAcks.has(sequenceNumber)) {
+            this.pendingAcks.delete(sequenceNumber);
+            
             if (this.onError) {
                 this.onError({
                     type: 'TRANSMISSION_FAILED',
@@ -442,14 +1465,19 @@ class ArchiveConnection {
         }
         
         // Resend the message
-        this._sendRaw(messageBuffer);
+        this._sendParts(messageBuffer);
+        
+        // Back off until the next round-trip sample, as in RFC 6298 section 5.5
+        if (!timeout) {
+            this.retransmitTimeout = Math.min(this.maxRetransmitTimeout, this.retransmitTimeout * 2);
+        }
         
         // Set up next retry
         const timer = setTimeout(() => {
             this._retransmit(messageBuffer, sequenceNumber, retries + 1, timeout, maxRetries);
-        }, timeout);
+        }, timeout || this.retransmitTimeout);
         
-        this.pendingAcks.set(sequenceNumber, { message: messageBuffer, timer });
+        this.pendingAcks.set(sequenceNumber, { message: messageBuffer, timer, sentAt: Date.now(), retransmitted: true });
     }
     
     /**
@@ -457,9 +1485,228 @@ class ArchiveConnection {
      * @private
      */
     _sendRaw(messageBuffer) {
+        if (this.batchInterval > 0 && this.supports(Capability.BATCHING)) {
+            this._queue(messageBuffer);
+        } else {
+            this._transmit(messageBuffer);
+        }
+    }
+    
+    /**
+     * Add a message to the outgoing batch, sending the batch once it is full
+     * @private
+     */
+    _queue(messageBuffer) {
+        // Too large to share a batch: keep the order and send it on its own
+        if (messageBuffer.length + BATCH_OVERHEAD > this.maxBatchSize) {
+            this.flush();
+            this._transmit(messageBuffer);
+            return;
+        }
+        
+        if (this.batchBytes + messageBuffer.length + BATCH_OVERHEAD > this.maxBatchSize) {
+            this.flush();
+        }
+        
+        this.batch.push(messageBuffer);
+        this.batchBytes += messageBuffer.length;
+        
+        if (!this.batchTimer) {
+            this.batchTimer = setTimeout(() => this.flush(), this.batchInterval);
+        }
+    }
+    
+    /**
+     * Write a message to the socket, encrypting it if required
+     * @private
+     */
+    _transmit(messageBuffer, encrypt = this.encryptedTypes.has(messageBuffer[0])) {
+        // Encrypted on every send, so a retransmission is never a replay
+        if (encrypt && this.isEncrypted()) {
+            messageBuffer = this.cipher.encrypt(messageBuffer);
+        }
+        
+        // Datagram transports cannot carry messages larger than their MTU
+        if (this.socket && this.socket.maxMessageSize && messageBuffer.length > this.socket.maxMessageSize) {
+            if (this.onError) {
+                this.onError({
+                    type: 'MESSAGE_TOO_LARGE',
+                    messageType: messageBuffer[0],
+                    size: messageBuffer.length,
+                    message: `Dropped ${messageBuffer.length} byte message, the transport carries at most ` +
+                        `${this.socket.maxMessageSize} bytes; fragment it with encodeFragments({ maxMessageSize })`
+                });
+            }
+            return;
+        }
+        
         if (this.socket && this.socket.readyState === 1) { // 1 = OPEN
             this.socket.send(messageBuffer);
+            this.lastSent = Date.now();
+        }
+    }
+    
+    /**
+     * Send the queued messages now instead of waiting for the batch interval
+     * Servers driven by a tick loop can call this at the end of every tick
+     */
+    flush() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+        
+        const messages = this.batch;
+        this.batch = [];
+        this.batchBytes = 0;
+        
+        if (messages.length === 1) {
+            this._transmit(messages[0]);
+        } else if (messages.length > 1) {
+            // Encrypted as a whole if batches are, or if any message in it has to be
+            const encrypt = this.encryptedTypes.has(MessageType.BATCH) ||
+                messages.some(message => this.encryptedTypes.has(message[0]));
+            this._transmit(ArchiveWriter.encodeBatch(messages), encrypt);
+        }
+    }
+    
+    /**
+     * Hold outgoing messages instead of sending them, after the socket was lost
+     * Unacknowledged reliable messages and the pending batch are held too, so
+     * takeMissedMessages() returns everything the peer may not have received
+     */
+    suspend() {
+        if (this.suspended) {
+            return;
+        }
+        
+        this.suspended = true;
+        this._stopHeartbeat();
+        
+        // Reliable messages sent earlier come first, then the ones still waiting in the batch
+        const batched = new Set(this.batch);
+        const held = new Set();
+        
+        for (const { message, timer } of this.pendingAcks.values()) {
+            clearTimeout(timer);
+            
+            // Fragments stay together, even if some of them are still in the batch
+            if (Array.isArray(message)) {
+                this._hold(message);
+                message.forEach(fragment => held.add(fragment));
+            } else if (!batched.has(message)) {
+                this._hold(message);
+            }
+        }
+        this.pendingAcks.clear();
+        
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+        
+        for (const message of this.batch) {
+            if (!held.has(message)) {
+                this._hold(message);
+            }
         }
+        this.batch = [];
+        this.batchBytes = 0;
+    }
+    
+    /**
+     * Take the messages held while suspended, oldest first
+     * @returns {Array<Buffer|Buffer[]>} The held messages, with the fragments of a message together
+     */
+    takeMissedMessages() {
+        const messages = this.missedMessages;
+        this.missedMessages = [];
+        this.missedBytes = 0;
+        return messages;
+    }
+    
+    /**
+     * Keep a message for a suspended session
+     * Unreliable traffic is outdated by the time the peer is back and is not kept
+     * @private
+     */
+    _hold(messageBuffer) {
+        const type = Array.isArray(messageBuffer) ? MessageType.FRAGMENT : messageBuffer[0];
+        const bytes = Array.isArray(messageBuffer)
+            ? messageBuffer.reduce((total, fragment) => total + fragment.length, 0)
+            : messageBuffer.length;
+        
+        if (type === MessageType.UNRELIABLE || type === MessageType.ACK || type === MessageType.PING) {
+            return;
+        }
+        
+        // Past the limit the peer cannot be brought up to date, so stop holding anything
+        if (this.missedOverflow || this.missedBytes + bytes > this.maxMissedBytes) {
+            this.missedOverflow = true;
+            this.takeMissedMessages();
+            return;
+        }
+        
+        this.missedMessages.push(messageBuffer);
+        this.missedBytes += bytes;
+    }
+    
+    /**
+     * Start the key exchange by creating this side's key pair
+     * The returned key goes in SYSTEM.CONNECT (client) or the AUTH reply (server)
+     * @returns {Buffer} This side's public key
+     */
+    createKeyExchange() {
+        this.cipher = new SessionCipher();
+        return this.cipher.publicKey;
+    }
+    
+    /**
+     * Derive the session keys and encrypt from now on
+     * Clients call this automatically when the AUTH reply arrives
+     * @param {Buffer} peerPublicKey - The peer's public key
+     * @param {boolean} isServer - Whether this side accepted the connection
+     */
+    completeKeyExchange(peerPublicKey, isServer) {
+        if (!this.cipher) {
+            throw new Error('Key exchange was not started, call createKeyExchange() first');
+        }
+        
+        // Messages queued before the exchange, such as the server's public key, go out in plaintext
+        this.flush();
+        this.cipher.deriveKeys(peerPublicKey, isServer);
+    }
+    
+    /**
+     * Check whether messages are being encrypted
+     * @returns {boolean} True once the key exchange is complete
+     */
+    isEncrypted() {
+        return this.cipher !== null && this.cipher.ready;
+    }
+    
+    /**
+     * Use the features agreed with the peer from now on
+     * @param {Object} protocol - Negotiated { version, capabilities, dataTypes }
+     */
+    setProtocol(protocol) {
+        this.protocol = protocol;
+        this.negotiated = true;
+    }
+    
+    /**
+     * Check whether the peer agreed to an optional feature
+     * @param {number} capability - The feature (from Capability enum)
+     * @returns {boolean} True if both sides support it
+     */
+    supports(capability) {
+        return (this.protocol.capabilities & capability) !== 0;
+    }
+    
+    /**
+     * Check whether the peer can decode a data type
+     * @param {number} dataType - The data type (from DataType enum)
+     * @returns {boolean} True if both sides support it
+     */
+    supportsDataType(dataType) {
+        // Custom types are agreed by the application, not negotiated
+        return isCustomType(dataType) || this.protocol.dataTypes.includes(dataType);
     }
     
     /**
@@ -467,7 +1714,7 @@ class ArchiveConnection {
      * @returns {number} Next sequence number
      */
     getNextSequence() {
-        this.sequenceNumber = (this.sequenceNumber + 1) % 0xFFFFFFFF; // 32-bit wraparound
+        this.sequenceNumber = sequenceAfter(this.sequenceNumber); // 32-bit wraparound, 0 is never used
         return this.sequenceNumber;
     }
     
@@ -475,12 +1722,28 @@ class ArchiveConnection {
      * Close the connection and clean up resources
      */
     close() {
+        this._stopHeartbeat();
+        
         // Clear all pending acknowledgements
         for (const { timer } of this.pendingAcks.values()) {
             clearTimeout(timer);
         }
         this.pendingAcks.clear();
         
+        // Drop reliable messages still waiting for a missing one
+        clearTimeout(this.gapTimer);
+        this.gapTimer = null;
+        this.receivedMessages.clear();
+        
+        // Drop any partially received messages
+        for (const fragmentId of Array.from(this.partialMessages.keys())) {
+            this._discardPartialMessage(fragmentId);
+        }
+        
+        // Send whatever is still waiting in the batch, then drop the session keys
+        this.flush();
+        this.cipher = null;
+        
         // Close the socket if it's open
         if (this.socket && this.socket.readyState === 1) {
             this.socket.close();
@@ -490,5 +1753,6 @@ class ArchiveConnection {
 
 module.exports = {
     ArchiveParser,
+    ArchiveReader,
     ArchiveConnection
 };
\ No newline at end of file
@@ -0,0 +1,366 @@
+/**
+ * ARCHIVE Protocol - Message Schemas
+ * Declares which parameters each message type and operation code carries
+ */
+
+const { MessageType, OperationCode, ParameterCode, DataType } = require('./constants');
+
+/**
+ * Registry of message schemas keyed by message type and operation code
+ */
+class SchemaRegistry {
+    constructor() {
+        this.schemas = new Map();
+    }
+
+    /**
+     * Register the schema for a message
+     * @param {number} messageType - The message type (from MessageType enum)
+     * @param {number} operationCode - The operation code
+     * @param {Object} fields - Field definitions by name, each { code, type, format, required }
+     * @returns {SchemaRegistry} - The registry instance for chaining
+     */
+    register(messageType, operationCode, fields) {
+        const byCode = new Map();
+
+        for (const [name, field] of Object.entries(fields)) {
+            if (field.code === undefined || field.type === undefined) {
+                throw new Error(`Field "${name}" must declare a parameter code and data type`);
+            }
+
+            if (byCode.has(field.code)) {
+                throw new Error(`Parameter code ${field.code} is used by both "${byCode.get(field.code).name}" and "${name}"`);
+            }
+
+            byCode.set(field.code, {
+                name,
+                code: field.code,
+                type: field.type,
+                format: field.format,
+                required: !!field.required
+            });
+        }
+
+        this.schemas.set(this._key(messageType, operationCode), {
+            messageType,
+            operationCode,
+            fields: Array.from(byCode.values()),
+            byCode
+        });
+
+        return this;
+    }
+
+    /**
+     * Check whether a schema is registered for a message
+     * @param {number} messageType - The message type
+     * @param {number} operationCode - The operation code
+     * @returns {boolean} True if a schema exists
+     */
+    has(messageType, operationCode) {
+        return this.schemas.has(this._key(messageType, operationCode));
+    }
+
+    /**
+     * Get the schema registered for a message
+     * @param {number} messageType - The message type
+     * @param {number} operationCode - The operation code
+     * @returns {Object|undefined} The schema, if registered
+     */
+    get(messageType, operationCode) {
+        return this.schemas.get(this._key(messageType, operationCode));
+    }
+
+    /**
+     * Convert a plain object into the parameter list for a message
+     * @param {number} messageType - The message type
+     * @param {number} operationCode - The operation code
+     * @param {Object} values - Field values by name
+     * @returns {Array<{code: number, type: number, format: *, value: *}>} Parameters in schema order
+     * @throws {Error} If the message has no schema or the values break it
+     */
+    toParameters(messageType, operationCode, values) {
+        const schema = this._require(messageType, operationCode);
+        const known = new Set(schema.fields.map(field => field.name));
+
+        for (const name of Object.keys(values)) {
+            if (!known.has(name)) {
+                throw new Error(`Unknown field "${name}" for ${this._describe(messageType, operationCode)}`);
+            }
+        }
+
+        const parameters = [];
+        for (const field of schema.fields) {
+            const value = values[field.name];
+
+            if (value === undefined || value === null) {
+                if (field.required) {
+                    throw new Error(`Missing required field "${field.name}" for ${this._describe(messageType, operationCode)}`);
+                }
+                continue;
+            }
+
+            parameters.push({ code: field.code, type: field.type, format: field.format, value });
+        }
+
+        return parameters;
+    }
+
+    /**
+     * Convert a parsed message into a plain object keyed by field name
+     * Parameters not declared in the schema are left out
+     * @param {Object} message - Message from ArchiveParser.parse
+     * @param {Object} options - Decoding options
+     * @param {boolean} options.checkTypes - Reject parameters sent with another data type than declared (default: true)
+     * @returns {Object} Field values by name
+     * @throws {Error} If the message has no schema or breaks it
+     */
+    decode(message, options = {}) {
+        const checkTypes = options.checkTypes !== false;
+        const { messageType, operationCode } = message;
+        const schema = this._require(messageType, operationCode);
+        const parameterTypes = message.parameterTypes || {};
+        const data = {};
+
+        for (const field of schema.fields) {
+            const value = message.parameters ? message.parameters[field.code] : undefined;
+
+            if (value === undefined) {
+                if (field.required) {
+                    throw new Error(`Missing required field "${field.name}" for ${this._describe(messageType, operationCode)}`);
+                }
+                continue;
+            }
+
+            const wireType = parameterTypes[field.code];
+            if (checkTypes && wireType !== undefined && wireType !== field.type) {
+                throw new Error(`Field "${field.name}" for ${this._describe(messageType, operationCode)} has data type ${wireType}, expected ${field.type}`);
+            }
+
+            data[field.name] = value;
+        }
+
+        return data;
+    }
+
+    /**
+     * Get a registered schema or fail
+     * @private
+     */
+    _require(messageType, operationCode) {
+        const schema = this.get(messageType, operationCode);
+
+        if (!schema) {
+            throw new Error(`No schema registered for ${this._describe(messageType, operationCode)}`);
+        }
+
+        return schema;
+    }
+
+    /**
+     * Build the registry key for a message
+     * @private
+     */
+    _key(messageType, operationCode) {
+        return (messageType << 8) | operationCode;
+    }
+
+    /**
+     * Human-readable message name for error messages
+     * @private
+     */
+    _describe(messageType, operationCode) {
+        const typeName = Object.keys(MessageType).find(name => MessageType[name] === messageType);
+        const operations = typeName ? OperationCode[typeName] : undefined;
+        const operationName = operations
+            ? Object.keys(operations).find(name => operations[name] === operationCode)
+            : undefined;
+
+        return `${typeName || messageType}.${operationName || operationCode}`;
+    }
+}
+
+// Built-in message schemas shared by the server and clients
+const MessageSchemas = new SchemaRegistry()
+    .register(MessageType.SYSTEM, OperationCode.SYSTEM.CONNECT, {
+        timestamp: { code: ParameterCode.TIMESTAMP, type: DataType.DOUBLE },
+        version: { code: ParameterCode.PROTOCOL_VERSION, type: DataType.USHORT },
+        capabilities: { code: ParameterCode.CAPABILITIES, type: DataType.UINT },
+        dataTypes: { code: ParameterCode.DATA_TYPES, type: DataType.BYTE_ARRAY },
+        publicKey: { code: ParameterCode.PUBLIC_KEY, type: DataType.BYTE_ARRAY }
+    })
+    .register(MessageType.SYSTEM, OperationCode.SYSTEM.DISCONNECT, {
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.SYSTEM, OperationCode.SYSTEM.AUTH, {
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT },
+        timestamp: { code: ParameterCode.TIMESTAMP, type: DataType.DOUBLE },
+        token: { code: ParameterCode.AUTH_TOKEN, type: DataType.STRING },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        version: { code: ParameterCode.PROTOCOL_VERSION, type: DataType.USHORT },
+        capabilities: { code: ParameterCode.CAPABILITIES, type: DataType.UINT },
+        dataTypes: { code: ParameterCode.DATA_TYPES, type: DataType.BYTE_ARRAY },
+        publicKey: { code: ParameterCode.PUBLIC_KEY, type: DataType.BYTE_ARRAY },
+        resumeToken: { code: ParameterCode.RESUME_TOKEN, type: DataType.STRING }
+    })
+    .register(MessageType.SYSTEM, OperationCode.SYSTEM.RESUME, {
+        resumeToken: { code: ParameterCode.RESUME_TOKEN, type: DataType.STRING },
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT },
+        roomId: { code: ParameterCode.ROOM_ID, type: DataType.STRING },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.SYSTEM, OperationCode.SYSTEM.HEARTBEAT, {
+        timestamp: { code: ParameterCode.TIMESTAMP, type: DataType.DOUBLE }
+    })
+    .register(MessageType.ACK, 0x01, {
+        sequence: { code: ParameterCode.SEQUENCE, type: DataType.UINT, required: true },
+        timestamp: { code: ParameterCode.TIMESTAMP, type: DataType.DOUBLE }
+    })
+    .register(MessageType.PING, 0x00, {
+        timestamp: { code: ParameterCode.TIMESTAMP, type: DataType.DOUBLE }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.CREATE, {
+        roomId: { code: ParameterCode.ROOM_ID, type: DataType.STRING },
+        maxPlayers: { code: ParameterCode.MAX_PLAYERS, type: DataType.USHORT },
+        password: { code: ParameterCode.PASSWORD, type: DataType.STRING },
+        visible: { code: ParameterCode.VISIBLE, type: DataType.BOOL },
+        open: { code: ParameterCode.OPEN, type: DataType.BOOL },
+        emptyRoomTtl: { code: ParameterCode.EMPTY_ROOM_TTL, type: DataType.UINT },
+        properties: { code: ParameterCode.PROPERTIES, type: DataType.DICTIONARY },
+        publicProperties: { code: ParameterCode.PUBLIC_PROPERTIES, type: DataType.ARRAY, format: DataType.STRING },
+        masterId: { code: ParameterCode.MASTER_ID, type: DataType.INT },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.JOIN, {
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT },
+        roomId: { code: ParameterCode.ROOM_ID, type: DataType.STRING },
+        password: { code: ParameterCode.PASSWORD, type: DataType.STRING },
+        masterId: { code: ParameterCode.MASTER_ID, type: DataType.INT },
+        properties: { code: ParameterCode.PROPERTIES, type: DataType.DICTIONARY },
+        players: { code: ParameterCode.PLAYERS, type: DataType.ARRAY, format: DataType.DICTIONARY },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.LEAVE, {
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT },
+        roomId: { code: ParameterCode.ROOM_ID, type: DataType.STRING },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.LIST, {
+        filter: { code: ParameterCode.FILTER, type: DataType.DICTIONARY },
+        onlyJoinable: { code: ParameterCode.ONLY_JOINABLE, type: DataType.BOOL },
+        sortBy: { code: ParameterCode.SORT_BY, type: DataType.STRING },
+        sortDescending: { code: ParameterCode.SORT_DESCENDING, type: DataType.BOOL },
+        limit: { code: ParameterCode.LIMIT, type: DataType.USHORT },
+        subscribe: { code: ParameterCode.SUBSCRIBE, type: DataType.BOOL },
+        rooms: { code: ParameterCode.ROOM_LIST, type: DataType.ARRAY, format: DataType.DICTIONARY },
+        // JSON array of room IDs, for clients without ARRAY support
+        roomIds: { code: ParameterCode.PROPERTIES, type: DataType.BYTE_ARRAY }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.JOIN_RANDOM, {
+        filter: { code: ParameterCode.FILTER, type: DataType.DICTIONARY },
+        fillStrategy: { code: ParameterCode.FILL_STRATEGY, type: DataType.BYTE },
+        createIfNone: { code: ParameterCode.CREATE_IF_NONE, type: DataType.BOOL },
+        maxPlayers: { code: ParameterCode.MAX_PLAYERS, type: DataType.USHORT },
+        publicProperties: { code: ParameterCode.PUBLIC_PROPERTIES, type: DataType.ARRAY, format: DataType.STRING },
+        roomId: { code: ParameterCode.ROOM_ID, type: DataType.STRING },
+        masterId: { code: ParameterCode.MASTER_ID, type: DataType.INT },
+        players: { code: ParameterCode.PLAYERS, type: DataType.ARRAY, format: DataType.DICTIONARY },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.QUEUE_JOIN, {
+        properties: { code: ParameterCode.PROPERTIES, type: DataType.DICTIONARY },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.QUEUE_LEAVE, {
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.SET_MASTER, {
+        roomId: { code: ParameterCode.ROOM_ID, type: DataType.STRING },
+        masterId: { code: ParameterCode.MASTER_ID, type: DataType.INT },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.PLAYER_PROPERTIES, {
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT },
+        properties: { code: ParameterCode.PROPERTIES, type: DataType.DICTIONARY },
+        removedProperties: { code: ParameterCode.REMOVED_PROPERTIES, type: DataType.ARRAY, format: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.PLAYER_STATUS, {
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT, required: true },
+        roomId: { code: ParameterCode.ROOM_ID, type: DataType.STRING },
+        inactive: { code: ParameterCode.INACTIVE, type: DataType.BOOL, required: true }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.JOIN_LOBBY, {
+        lobbyName: { code: ParameterCode.LOBBY_NAME, type: DataType.STRING },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.LOBBY_STATS, {
+        lobbyName: { code: ParameterCode.LOBBY_NAME, type: DataType.STRING },
+        lobbies: { code: ParameterCode.LOBBY_STATS, type: DataType.ARRAY, format: DataType.DICTIONARY },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.LIST_UPDATE, {
+        rooms: { code: ParameterCode.ROOM_LIST, type: DataType.ARRAY, format: DataType.DICTIONARY },
+        removedRooms: { code: ParameterCode.REMOVED_ROOMS, type: DataType.ARRAY, format: DataType.STRING }
+    })
+    .register(MessageType.ROOM, OperationCode.ROOM.PROPERTIES, {
+        roomId: { code: ParameterCode.ROOM_ID, type: DataType.STRING },
+        properties: { code: ParameterCode.PROPERTIES, type: DataType.DICTIONARY },
+        maxPlayers: { code: ParameterCode.MAX_PLAYERS, type: DataType.USHORT },
+        visible: { code: ParameterCode.VISIBLE, type: DataType.BOOL },
+        open: { code: ParameterCode.OPEN, type: DataType.BOOL },
+        success: { code: ParameterCode.SUCCESS, type: DataType.BOOL },
+        errorCode: { code: ParameterCode.ERROR_CODE, type: DataType.BYTE },
+        reason: { code: ParameterCode.REASON, type: DataType.STRING }
+    })
+    .register(MessageType.EVENT, OperationCode.EVENT.STATE, {
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT, required: true },
+        entityId: { code: ParameterCode.ENTITY_ID, type: DataType.INT },
+        tick: { code: ParameterCode.STATE_TICK, type: DataType.UINT },
+        baselineTick: { code: ParameterCode.BASELINE_TICK, type: DataType.UINT }
+    })
+    .register(MessageType.EVENT, OperationCode.EVENT.STATE_ACK, {
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT, required: true },
+        entityId: { code: ParameterCode.ENTITY_ID, type: DataType.INT, required: true },
+        tick: { code: ParameterCode.STATE_TICK, type: DataType.UINT, required: true }
+    })
+    .register(MessageType.EVENT, OperationCode.EVENT.REMOVE_CACHE, {
+        eventCode: { code: ParameterCode.EVENT_CODE, type: DataType.BYTE },
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT }
+    })
+    .register(MessageType.EVENT, OperationCode.EVENT.REQUEST_SNAPSHOT, {})
+    .register(MessageType.EVENT, OperationCode.EVENT.INTEREST_ENTER, {
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT, required: true },
+        entityId: { code: ParameterCode.ENTITY_ID, type: DataType.INT, required: true }
+    })
+    .register(MessageType.EVENT, OperationCode.EVENT.INTEREST_LEAVE, {
+        playerId: { code: ParameterCode.PLAYER_ID, type: DataType.INT, required: true },
+        entityId: { code: ParameterCode.ENTITY_ID, type: DataType.INT, required: true }
+    })
+    .register(MessageType.EVENT, OperationCode.EVENT.CHANGE_GROUPS, {
+        addGroups: { code: ParameterCode.ADD_GROUPS, type: DataType.ARRAY, format: DataType.STRING },
+        removeGroups: { code: ParameterCode.REMOVE_GROUPS, type: DataType.ARRAY, format: DataType.STRING }
+    });
+
+module.exports = {
+    SchemaRegistry,
+    MessageSchemas
+};
@@ -0,0 +1,141 @@
+/**
+ * ARCHIVE Protocol - Custom Data Types
+ * Application-defined data types with their own encoders and decoders
+ */
+
+const { DataType } = require('./constants');
+
+// Codes available to custom types; everything below is reserved for built-in types
+const CUSTOM_TYPE_MIN = 0x80;
+const CUSTOM_TYPE_MAX = 0xFF;
+
+/**
+ * Check whether a data type code belongs to the custom range
+ * @param {number} dataType - The data type code
+ * @returns {boolean} True for codes 0x80-0xFF
+ */
+function isCustomType(dataType) {
+    return dataType >= CUSTOM_TYPE_MIN && dataType <= CUSTOM_TYPE_MAX;
+}
+
+/**
+ * Registry of custom data types keyed by type code
+ * Custom values are sent as a 2-byte length followed by the encoder's bytes, so
+ * peers that do not know a type can still skip or relay it
+ */
+class TypeRegistry {
+    constructor() {
+        this.types = new Map();
+    }
+
+    /**
+     * Register a custom data type
+     * @param {number} dataType - Type code between 0x80 and 0xFF
+     * @param {Object} definition - The type definition
+     * @param {string} definition.name - Name used in error messages
+     * @param {Function} definition.encode - Turns a value into a Buffer or Uint8Array
+     * @param {Function} definition.decode - Turns the encoded bytes back into a value
+     * @param {Function} [definition.is] - Recognizes values of this type, so dictionaries,
+     *     lists and inferred arrays can use it without an explicit type
+     * @returns {TypeRegistry} - The registry instance for chaining
+     */
+    register(dataType, definition) {
+        if (Object.values(DataType).includes(dataType) || !isCustomType(dataType)) {
+            throw new Error(`Data type code ${dataType} is reserved, custom types use ${CUSTOM_TYPE_MIN}-${CUSTOM_TYPE_MAX}`);
+        }
+
+        if (this.types.has(dataType)) {
+            throw new Error(`Data type code ${dataType} is already registered as "${this.types.get(dataType).name}"`);
+        }
+
+        if (typeof definition.encode !== 'function' || typeof definition.decode !== 'function') {
+            throw new Error(`Custom type "${definition.name}" must declare encode and decode functions`);
+        }
+
+        this.types.set(dataType, {
+            name: definition.name || `0x${dataType.toString(16)}`,
+            encode: definition.encode,
+            decode: definition.decode,
+            is: definition.is
+        });
+
+        return this;
+    }
+
+    /**
+     * Check whether a custom type is registered
+     * @param {number} dataType - The type code
+     * @returns {boolean} True if registered
+     */
+    has(dataType) {
+        return this.types.has(dataType);
+    }
+
+    /**
+     * Find the custom type a value belongs to
+     * @param {*} value - The value
+     * @returns {number|undefined} The type code, if a registered type recognizes the value
+     */
+    match(value) {
+        for (const [dataType, definition] of this.types) {
+            if (definition.is && definition.is(value)) {
+                return dataType;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Encode a value of a custom type
+     * Values of unregistered types must already be encoded bytes, which are sent as they are
+     * @param {number} dataType - The type code
+     * @param {*} value - The value
+     * @returns {Uint8Array} The encoded bytes
+     * @throws {Error} If the type is unknown or its encoder returns something other than bytes
+     */
+    encode(dataType, value) {
+        const definition = this.types.get(dataType);
+
+        if (!definition) {
+            if (value instanceof Uint8Array) {
+                return value;
+            }
+            throw new Error(`Unknown custom data type: ${dataType}`);
+        }
+
+        const bytes = definition.encode(value);
+
+        if (!(bytes instanceof Uint8Array)) {
+            throw new Error(`Encoder of custom type "${definition.name}" must return a Buffer`);
+        }
+
+        if (bytes.length > 0xFFFF) {
+            throw new Error(`Custom type "${definition.name}" value too large (${bytes.length} bytes)`);
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Decode a value of a custom type
+     * @param {number} dataType - The type code
+     * @param {Buffer} bytes - The encoded bytes
+     * @returns {*} The value, or the bytes themselves if the type is not registered
+     */
+    decode(dataType, bytes) {
+        const definition = this.types.get(dataType);
+        return definition ? definition.decode(bytes) : bytes;
+    }
+}
+
+// Custom types shared by every writer, parser and reader
+const CustomTypes = new TypeRegistry();
+
+module.exports = {
+    TypeRegistry,
+    CustomTypes,
+    isCustomType,
+    CUSTOM_TYPE_MIN,
+    CUSTOM_TYPE_MAX
+};
@@ -1,7 +1,85 @@
-const { DataType } = require('./constants');
+const zlib = require('zlib');
+const { MessageType, ParameterCode, DataType } = require('./constants');
+const { MessageSchemas } = require('./schema');
+const { CustomTypes, isCustomType } = require('./types');
+
+// Largest payload the 2-byte length field in the header can describe
+const MAX_PAYLOAD_LENGTH = 0xFFFF;
+
+// Header (4 bytes) + CRC (2 bytes)
+const HEADER_SIZE = 4;
+const MESSAGE_OVERHEAD = 6;
+
+// Fragment parameters: FRAGMENT_ID (2+4), FRAGMENT_INDEX (2+2),
+// FRAGMENT_COUNT (2+2) and the FRAGMENT_DATA header and length (2+2)
+const FRAGMENT_OVERHEAD = MESSAGE_OVERHEAD + 18;
+
+// Bytes an ENCRYPTED wrapper adds to a message: the ENCRYPTED_DATA header and
+// length (2+4), counter (8), authentication tag (16) and the inner type and
+// operation code (2)
+const ENCRYPTION_OVERHEAD = 32;
+
+// Batch message header and CRC plus the BATCH_DATA header and length (2+4)
+const BATCH_OVERHEAD = MESSAGE_OVERHEAD + 6;
+
+// Fragment IDs are shared by all writers so concurrent messages never collide
+let nextFragmentId = 0;
+
+// Quantization used for quantized vectors when no format is given
+const DEFAULT_QUANTIZATION = { range: 1000, precision: 0.01 };
+
+// Largest component of a unit quaternion left out by smallest-three encoding
+const SMALLEST_THREE_LIMIT = Math.SQRT1_2;
+
+// Bits per component in a smallest-three quaternion (2 + 3 x 10 = 32 bits); components
+// use 1023 of the 1024 codes, -511 to 511 around 0x1FF, so 0 is encoded exactly
+const SMALLEST_THREE_BITS = 10;
+const SMALLEST_THREE_STEPS = 0x1FF;
+
+// Working buffers are pooled by power-of-two size so writers rarely allocate
+const MIN_BUFFER_SIZE = 256;
+const MAX_POOLED_BUFFER_SIZE = 1024 * 1024;
+const MAX_POOLED_BUFFERS = 16;
+const bufferPool = new Map();
+
+/**
+ * Take a working buffer of at least the given size from the pool
+ * @private
+ */
+function acquireBuffer(minSize) {
+    let size = MIN_BUFFER_SIZE;
+    while (size < minSize) {
+        size *= 2;
+    }
+
+    const free = bufferPool.get(size);
+    return free && free.length > 0 ? free.pop() : Buffer.allocUnsafe(size);
+}
+
+/**
+ * Return a working buffer to the pool
+ * @private
+ */
+function releaseBuffer(buffer) {
+    if (buffer.length > MAX_POOLED_BUFFER_SIZE) {
+        return;
+    }
+
+    let free = bufferPool.get(buffer.length);
+    if (!free) {
+        free = [];
+        bufferPool.set(buffer.length, free);
+    }
+
+    if (free.length < MAX_POOLED_BUFFERS) {
+        free.push(buffer);
+    }
+}
 
 /**
  * ARCHIVE Message Writer class
+ * Parameters are written straight into a pooled working buffer that grows as needed.
+ * The buffer goes back to the pool when the message is encoded.
  */
 class ArchiveWriter {
     /**
@@ -13,272 +91,504 @@ class ArchiveWriter {
     constructor(messageType, operationCode) {
         this.messageType = messageType;
         this.operationCode = operationCode;
-        this.payload = Buffer.alloc(0);
+        this.buffer = acquireBuffer(MIN_BUFFER_SIZE);
+        this.offset = HEADER_SIZE; // The header is filled in by encode()
+        this.encoded = null;
+        return this;
+    }
+
+    /**
+     * Create a message from a plain object using its registered schema
+     * @param {number} messageType - The message type (from MessageType enum)
+     * @param {number} operationCode - The operation code
+     * @param {Object} values - Field values by name
+     * @param {SchemaRegistry} registry - Schemas to use (default: MessageSchemas)
+     * @returns {ArchiveWriter} - The message writer instance for chaining
+     * @throws {Error} If the message has no schema or the values break it
+     */
+    static fromObject(messageType, operationCode, values = {}, registry = MessageSchemas) {
+        const writer = new ArchiveWriter(messageType, operationCode);
+
+        for (const param of registry.toParameters(messageType, operationCode, values)) {
+            writer.addParameter(param.code, param.type, param.value, param.format);
+        }
+
+        return writer;
+    }
+
+    /**
+     * Start a message from an already encoded payload, to add parameters to it or fragment it
+     * @param {number} messageType - The message type (from MessageType enum)
+     * @param {number} operationCode - The operation code
+     * @param {Buffer} payload - The encoded parameters, which may be longer than a single message allows
+     * @returns {ArchiveWriter} - The message writer instance for chaining
+     */
+    static fromPayload(messageType, operationCode, payload) {
+        const writer = new ArchiveWriter(messageType, operationCode);
+
+        writer._ensure(payload.length);
+        payload.copy(writer.buffer, writer.offset);
+        writer.offset += payload.length;
+
+        return writer;
+    }
+
+    /**
+     * Continue an already encoded message, to add parameters to it or fragment it
+     * @param {Buffer} messageBuffer - The encoded message
+     * @returns {ArchiveWriter} - The message writer instance for chaining
+     */
+    static fromEncoded(messageBuffer) {
+        return ArchiveWriter.fromPayload(messageBuffer[0], messageBuffer[1],
+            messageBuffer.subarray(HEADER_SIZE, messageBuffer.length - 2));
+    }
+
+    /**
+     * Pack already encoded messages into a single BATCH message
+     * @param {Buffer[]} messages - Encoded messages, delivered in this order
+     * @returns {Buffer} The encoded batch
+     * @throws {Error} If the messages do not fit in a single message
+     */
+    static encodeBatch(messages) {
+        return new ArchiveWriter(MessageType.BATCH, 0x00)
+            .addParameter(ParameterCode.BATCH_DATA, DataType.BLOB, Buffer.concat(messages))
+            .encode();
+    }
+
+    /**
+     * The encoded parameters written so far
+     * @returns {Buffer} View of the payload
+     */
+    get payload() {
+        if (!this.buffer) {
+            if (!this.encoded) {
+                throw new Error('Message was split into fragments, reset() the writer to reuse it');
+            }
+            return this.encoded.subarray(HEADER_SIZE, this.encoded.length - 2);
+        }
+        return this.buffer.subarray(HEADER_SIZE, this.offset);
+    }
+
+    /**
+     * Start a new message with this writer, reusing its working buffer
+     * @param {number} messageType - The message type (from MessageType enum)
+     * @param {number} operationCode - The operation code
+     * @returns {ArchiveWriter} - The message writer instance for chaining
+     */
+    reset(messageType, operationCode) {
+        this.messageType = messageType;
+        this.operationCode = operationCode;
+        this.buffer = this.buffer || acquireBuffer(MIN_BUFFER_SIZE);
+        this.offset = HEADER_SIZE;
+        this.encoded = null;
         return this;
     }
 
     /**
      * Add a parameter to the message
      * @param {number} paramCode - The parameter code (from ParameterCode enum)
-     * @param {number} dataType - The data type (from DataType enum)
+     * @param {number} dataType - The data type (from DataType enum, or a registered custom type)
      * @param {*} value - The parameter value
+     * @param {number|Object} [format] - Element data type for ARRAY values (inferred if omitted),
+     *     or { range, precision } for quantized vectors (default: { range: 1000, precision: 0.01 })
      * @returns {ArchiveWriter} - The message writer instance for chaining
      */
-    addParameter(paramCode, dataType, value) {
-        // Create a temporary buffer for the parameter
-        let paramBuffer;
-        
+    addParameter(paramCode, dataType, value, format) {
         // Parameter code (1 byte) + Data type (1 byte)
-        const headerBuffer = Buffer.alloc(2);
-        headerBuffer.writeUInt8(paramCode, 0);
-        headerBuffer.writeUInt8(dataType, 1);
-        
+        this._ensure(2);
+        this.buffer[this.offset++] = paramCode;
+        this.buffer[this.offset++] = dataType;
+
         // Encode the value based on its data type
-        let valueBuffer;
+        this._writeTypedValue(dataType, value, format);
+
+        return this;
+    }
+
+    /**
+     * Make room for more bytes in the working buffer
+     * @private
+     */
+    _ensure(bytes) {
+        // Adding to a message that was already encoded, take its payload back
+        if (!this.buffer) {
+            const payload = this.payload;
+            this.buffer = acquireBuffer(HEADER_SIZE + payload.length + bytes);
+            payload.copy(this.buffer, HEADER_SIZE);
+            this.encoded = null;
+        }
+
+        const required = this.offset + bytes + 2; // Leave room for the CRC
+        if (required > this.buffer.length) {
+            const grown = acquireBuffer(required);
+            this.buffer.copy(grown, 0, 0, this.offset);
+            releaseBuffer(this.buffer);
+            this.buffer = grown;
+        }
+    }
+
+    /**
+     * Write a value with a known data type, without the type tag
+     * @private
+     */
+    _writeTypedValue(dataType, value, format) {
         switch (dataType) {
             case DataType.BOOL:
-                valueBuffer = Buffer.alloc(1);
-                valueBuffer.writeUInt8(value ? 1 : 0, 0);
+                this._ensure(1);
+                this.buffer.writeUInt8(value ? 1 : 0, this.offset);
+                this.offset += 1;
                 break;
-                
+
             case DataType.BYTE:
-                valueBuffer = Buffer.alloc(1);
-                valueBuffer.writeUInt8(value, 0);
+                this._ensure(1);
+                this.buffer.writeUInt8(value, this.offset);
+                this.offset += 1;
                 break;
-                
+
             case DataType.SHORT:
-                valueBuffer = Buffer.alloc(2);
-                valueBuffer.writeInt16LE(value, 0);
+                this._ensure(2);
+                this.buffer.writeInt16LE(value, this.offset);
+                this.offset += 2;
                 break;
-                
+
             case DataType.USHORT:
-                valueBuffer = Buffer.alloc(2);
-                valueBuffer.writeUInt16LE(value, 0);
+                this._ensure(2);
+                this.buffer.writeUInt16LE(value, this.offset);
+                this.offset += 2;
                 break;
-                
+
             case DataType.INT:
-                valueBuffer = Buffer.alloc(4);
-                valueBuffer.writeInt32LE(value, 0);
+                this._ensure(4);
+                this.buffer.writeInt32LE(value, this.offset);
+                this.offset += 4;
                 break;
-                
+
             case DataType.UINT:
-                valueBuffer = Buffer.alloc(4);
-                valueBuffer.writeUInt32LE(value, 0);
+                this._ensure(4);
+                this.buffer.writeUInt32LE(value, this.offset);
+                this.offset += 4;
                 break;
-                
+
             case DataType.LONG:
-                valueBuffer = Buffer.alloc(8);
+                this._ensure(8);
                 // Use BigInt for long values
-                if (typeof value !== 'bigint') {
-                    value = BigInt(value);
-                }
-                valueBuffer.writeBigInt64LE(value, 0);
+                this.buffer.writeBigInt64LE(typeof value === 'bigint' ? value : BigInt(value), this.offset);
+                this.offset += 8;
                 break;
-                
+
             case DataType.FLOAT:
-                valueBuffer = Buffer.alloc(4);
-                valueBuffer.writeFloatLE(value, 0);
+                this._ensure(4);
+                this.buffer.writeFloatLE(value, this.offset);
+                this.offset += 4;
                 break;
-                
+
             case DataType.DOUBLE:
-                valueBuffer = Buffer.alloc(8);
-                valueBuffer.writeDoubleLE(value, 0);
+                this._ensure(8);
+                this.buffer.writeDoubleLE(value, this.offset);
+                this.offset += 8;
                 break;
-                
+
             case DataType.STRING:
                 // String length (2 bytes) + UTF-8 encoded string
-                const stringBuffer = Buffer.from(value, 'utf8');
-                const lengthBuffer = Buffer.alloc(2);
-                lengthBuffer.writeUInt16LE(stringBuffer.length, 0);
-                valueBuffer = Buffer.concat([lengthBuffer, stringBuffer]);
+                this._writeBytes(value, 2);
                 break;
-                
+
             case DataType.VECTOR2:
-                valueBuffer = Buffer.alloc(8);
-                valueBuffer.writeFloatLE(value[0], 0);
-                valueBuffer.writeFloatLE(value[1], 4);
-                break;
-                
             case DataType.VECTOR3:
-                valueBuffer = Buffer.alloc(12);
-                valueBuffer.writeFloatLE(value[0], 0);
-                valueBuffer.writeFloatLE(value[1], 4);
-                valueBuffer.writeFloatLE(value[2], 8);
-                break;
-                
             case DataType.QUATERNION:
-                valueBuffer = Buffer.alloc(16);
-                valueBuffer.writeFloatLE(value[0], 0);
-                valueBuffer.writeFloatLE(value[1], 4);
-                valueBuffer.writeFloatLE(value[2], 8);
-                valueBuffer.writeFloatLE(value[3], 12);
+                // 2, 3 or 4 floats
+                const components = dataType - DataType.VECTOR2 + 2;
+                this._ensure(components * 4);
+                for (let i = 0; i < components; i++) {
+                    this.buffer.writeFloatLE(value[i], this.offset);
+                    this.offset += 4;
+                }
                 break;
-                
+
             case DataType.BYTE_ARRAY:
                 // Array length (2 bytes) + array data
-                const lengthBuf = Buffer.alloc(2);
-                lengthBuf.writeUInt16LE(value.length, 0);
-                valueBuffer = Buffer.concat([lengthBuf, Buffer.from(value)]);
+                this._writeBytes(value, 2);
                 break;
-                
+
+            case DataType.BLOB:
+                // Blob length (4 bytes) + blob data
+                this._writeBytes(value, 4);
+                break;
+
             case DataType.DICTIONARY:
-                // Handle dictionary encoding
-                const pairs = Object.entries(value);
-                const pairCountBuffer = Buffer.alloc(2);
-                pairCountBuffer.writeUInt16LE(pairs.length, 0);
-                
-                // Start with the pair count
-                let dictBuffers = [pairCountBuffer];
-                
-                // For each key-value pair, encode both the key and value
-                for (const [key, val] of pairs) {
+                // Pair count (2 bytes), then each key and value with their types
+                const keys = Object.keys(value);
+                this._ensure(2);
+                this.buffer.writeUInt16LE(keys.length, this.offset);
+                this.offset += 2;
+
+                for (const key of keys) {
                     // For simplicity, assume keys are always strings
-                    const keyTypeBuffer = Buffer.alloc(1);
-                    keyTypeBuffer.writeUInt8(DataType.STRING, 0);
-                    
-                    const keyString = Buffer.from(key, 'utf8');
-                    const keyLengthBuffer = Buffer.alloc(2);
-                    keyLengthBuffer.writeUInt16LE(keyString.length, 0);
-                    
+                    this._ensure(1);
+                    this.buffer[this.offset++] = DataType.STRING;
+                    this._writeBytes(key, 2);
+
                     // Determine value type and encode
-                    const [valTypeBuffer, encodedVal] = this._encodeValue(val);
-                    
-                    dictBuffers.push(
-                        keyTypeBuffer,
-                        keyLengthBuffer,
-                        keyString,
-                        valTypeBuffer,
-                        encodedVal
-                    );
+                    this._writeValue(value[key]);
                 }
-                
-                valueBuffer = Buffer.concat(dictBuffers);
                 break;
-                
+
+            case DataType.ARRAY:
+                // Element type (1 byte) + element count (2 bytes) + untagged elements
+                let elementType = format;
+                if (elementType === undefined) {
+                    elementType = this._inferElementType(value);
+
+                    if (elementType === null) {
+                        throw new Error('Array elements have mixed types, use DataType.LIST instead');
+                    }
+                }
+
+                this._ensure(3);
+                this.buffer.writeUInt8(elementType, this.offset);
+                this.buffer.writeUInt16LE(value.length, this.offset + 1);
+                this.offset += 3;
+
+                for (const element of value) {
+                    this._writeTypedValue(elementType, element);
+                }
+                break;
+
+            case DataType.QUANTIZED_VECTOR2:
+            case DataType.QUANTIZED_VECTOR3:
+                // The decoder reads as many components as the data type declares
+                const quantizedComponents = dataType === DataType.QUANTIZED_VECTOR2 ? 2 : 3;
+                if (value.length !== quantizedComponents) {
+                    throw new Error(`Quantized vector needs ${quantizedComponents} components, got ${value.length}`);
+                }
+
+                this._writeQuantizedVector(value, format || DEFAULT_QUANTIZATION);
+                break;
+
+            case DataType.QUANTIZED_QUATERNION:
+                this._writeSmallestThree(value);
+                break;
+
+            case DataType.LIST:
+                // Element count (2 bytes) + type-tagged elements
+                this._ensure(2);
+                this.buffer.writeUInt16LE(value.length, this.offset);
+                this.offset += 2;
+
+                for (const element of value) {
+                    this._writeValue(element);
+                }
+                break;
+
             default:
+                if (isCustomType(dataType)) {
+                    // Length (2 bytes) + bytes from the type's encoder
+                    this._writeBytes(CustomTypes.encode(dataType, value), 2);
+                    break;
+                }
                 throw new Error(`Unsupported data type: ${dataType}`);
         }
-        
-        // Combine parameter header and value
-        paramBuffer = Buffer.concat([headerBuffer, valueBuffer]);
-        
-        // Add to the payload
-        this.payload = Buffer.concat([this.payload, paramBuffer]);
-        
-        return this;
     }
-    
+
+    /**
+     * Write a length-prefixed string or byte sequence
+     * @private
+     */
+    _writeBytes(value, lengthSize) {
+        const length = typeof value === 'string' ? Buffer.byteLength(value, 'utf8') : value.length;
+
+        this._ensure(lengthSize + length);
+        if (lengthSize === 2) {
+            this.buffer.writeUInt16LE(length, this.offset);
+        } else {
+            this.buffer.writeUInt32LE(length, this.offset);
+        }
+        this.offset += lengthSize;
+
+        if (typeof value === 'string') {
+            this.buffer.write(value, this.offset, length, 'utf8');
+        } else if (value instanceof Uint8Array) {
+            this.buffer.set(value, this.offset);
+        } else {
+            for (let i = 0; i < length; i++) {
+                this.buffer[this.offset + i] = value[i];
+            }
+        }
+        this.offset += length;
+    }
+
+    /**
+     * Write a vector as fixed-point integers
+     * A header byte holds the component width in bytes (high nibble, minus one) and the
+     * number of decimal places (low nibble); components outside the range are clamped
+     * @private
+     */
+    _writeQuantizedVector(value, { range, precision }) {
+        // Round the precision down to a power of ten so the decoder only needs the decimals
+        const decimals = Math.min(15, Math.max(0, Math.ceil(-Math.log10(precision) - 1e-9)));
+        const scale = Math.pow(10, decimals);
+        const limit = Math.round(range * scale);
+
+        let width;
+        if (limit <= 0x7F) {
+            width = 1;
+        } else if (limit <= 0x7FFF) {
+            width = 2;
+        } else if (limit <= 0x7FFFFF) {
+            width = 3;
+        } else if (limit <= 0x7FFFFFFF) {
+            width = 4;
+        } else {
+            throw new Error(`Quantization range ${range} is too large for precision ${precision}`);
+        }
+
+        this._ensure(1 + value.length * width);
+        this.buffer.writeUInt8(((width - 1) << 4) | decimals, this.offset);
+        this.offset += 1;
+
+        for (let i = 0; i < value.length; i++) {
+            const quantized = Math.max(-limit, Math.min(limit, Math.round(value[i] * scale)));
+            this.buffer.writeIntLE(quantized, this.offset, width);
+            this.offset += width;
+        }
+    }
+
+    /**
+     * Write a quaternion with smallest-three compression
+     * The largest component is dropped and rebuilt by the receiver from the unit length;
+     * its index takes the top 2 bits, the other components 10 bits each
+     * @private
+     */
+    _writeSmallestThree(value) {
+        const length = Math.hypot(value[0], value[1], value[2], value[3]);
+        const q = length > 0 ? value.map(v => v / length) : [0, 0, 0, 1];
+
+        let largest = 0;
+        for (let i = 1; i < 4; i++) {
+            if (Math.abs(q[i]) > Math.abs(q[largest])) {
+                largest = i;
+            }
+        }
+
+        // q and -q are the same rotation, so make the dropped component positive
+        const sign = q[largest] < 0 ? -1 : 1;
+
+        let packed = largest;
+        for (let i = 0; i < 4; i++) {
+            if (i === largest) {
+                continue;
+            }
+
+            const normalized = Math.max(-1, Math.min(1, q[i] * sign / SMALLEST_THREE_LIMIT));
+            const quantized = Math.round(normalized * SMALLEST_THREE_STEPS) + SMALLEST_THREE_STEPS;
+            packed = packed * (1 << SMALLEST_THREE_BITS) + quantized;
+        }
+
+        this._ensure(4);
+        this.buffer.writeUInt32LE(packed, this.offset);
+        this.offset += 4;
+    }
+
+    /**
+     * Helper method to write a value and its type tag based on its JavaScript type
+     * @private
+     */
+    _writeValue(value) {
+        const dataType = this._inferType(value);
+
+        this._ensure(1);
+        this.buffer[this.offset++] = dataType;
+
+        this._writeTypedValue(dataType, value);
+    }
+
     /**
-     * Helper method to encode a value based on its JavaScript type
+     * Pick the data type for a value based on its JavaScript type
      * @private
      */
-    _encodeValue(value) {
-        let typeBuffer = Buffer.alloc(1);
-        let valueBuffer;
-        
+    _inferType(value) {
+        // Custom types come first, they may claim plain objects and arrays
+        const customType = CustomTypes.match(value);
+        if (customType !== undefined) {
+            return customType;
+        }
+
         if (typeof value === 'boolean') {
-            typeBuffer.writeUInt8(DataType.BOOL, 0);
-            valueBuffer = Buffer.alloc(1);
-            valueBuffer.writeUInt8(value ? 1 : 0, 0);
+            return DataType.BOOL;
         }
         else if (typeof value === 'number') {
             if (Number.isInteger(value)) {
                 if (value >= 0 && value <= 255) {
-                    typeBuffer.writeUInt8(DataType.BYTE, 0);
-                    valueBuffer = Buffer.alloc(1);
-                    valueBuffer.writeUInt8(value, 0);
+                    return DataType.BYTE;
                 } else if (value >= -32768 && value <= 32767) {
-                    typeBuffer.writeUInt8(DataType.SHORT, 0);
-                    valueBuffer = Buffer.alloc(2);
-                    valueBuffer.writeInt16LE(value, 0);
-                } else {
-                    typeBuffer.writeUInt8(DataType.INT, 0);
-                    valueBuffer = Buffer.alloc(4);
-                    valueBuffer.writeInt32LE(value, 0);
+                    return DataType.SHORT;
                 }
-            } else {
-                typeBuffer.writeUInt8(DataType.FLOAT, 0);
-                valueBuffer = Buffer.alloc(4);
-                valueBuffer.writeFloatLE(value, 0);
+                return DataType.INT;
             }
+            return DataType.FLOAT;
         }
         else if (typeof value === 'string') {
-            typeBuffer.writeUInt8(DataType.STRING, 0);
-            const stringBuffer = Buffer.from(value, 'utf8');
-            const lengthBuffer = Buffer.alloc(2);
-            lengthBuffer.writeUInt16LE(stringBuffer.length, 0);
-            valueBuffer = Buffer.concat([lengthBuffer, stringBuffer]);
+            return DataType.STRING;
+        }
+        else if (value instanceof Uint8Array) {
+            return DataType.BYTE_ARRAY;
         }
         else if (Array.isArray(value)) {
-            if (value.length === 2 && value.every(v => typeof v === 'number')) {
-                typeBuffer.writeUInt8(DataType.VECTOR2, 0);
-                valueBuffer = Buffer.alloc(8);
-                valueBuffer.writeFloatLE(value[0], 0);
-                valueBuffer.writeFloatLE(value[1], 4);
-            }
-            else if (value.length === 3 && value.every(v => typeof v === 'number')) {
-                typeBuffer.writeUInt8(DataType.VECTOR3, 0);
-                valueBuffer = Buffer.alloc(12);
-                valueBuffer.writeFloatLE(value[0], 0);
-                valueBuffer.writeFloatLE(value[1], 4);
-                valueBuffer.writeFloatLE(value[2], 8);
-            }
-            else if (value.length === 4 && value.every(v => typeof v === 'number')) {
-                typeBuffer.writeUInt8(DataType.QUATERNION, 0);
-                valueBuffer = Buffer.alloc(16);
-                valueBuffer.writeFloatLE(value[0], 0);
-                valueBuffer.writeFloatLE(value[1], 4);
-                valueBuffer.writeFloatLE(value[2], 8);
-                valueBuffer.writeFloatLE(value[3], 12);
-            }
-            else {
-                // Default to byte array
-                typeBuffer.writeUInt8(DataType.BYTE_ARRAY, 0);
-                const lengthBuffer = Buffer.alloc(2);
-                lengthBuffer.writeUInt16LE(value.length, 0);
-                valueBuffer = Buffer.concat([lengthBuffer, Buffer.from(value)]);
+            // Short lists of numbers are vectors and quaternions, as they always were,
+            // even if they happen to hold integers; such an ARRAY needs an explicit type
+            const isTuple = value.length >= 2 && value.length <= 4 &&
+                value.every(v => typeof v === 'number');
+
+            if (isTuple) {
+                return [DataType.VECTOR2, DataType.VECTOR3, DataType.QUATERNION][value.length - 2];
             }
+
+            // Everything else is a typed array when the elements agree on a type
+            return this._inferElementType(value) === null ? DataType.LIST : DataType.ARRAY;
         }
         else if (typeof value === 'object' && value !== null) {
             // Handle objects as dictionaries
-            typeBuffer.writeUInt8(DataType.DICTIONARY, 0);
-            
-            const pairs = Object.entries(value);
-            const pairCountBuffer = Buffer.alloc(2);
-            pairCountBuffer.writeUInt16LE(pairs.length, 0);
-            
-            // Start with the pair count
-            let dictBuffers = [pairCountBuffer];
-            
-            // For each key-value pair, encode both the key and value recursively
-            for (const [key, val] of pairs) {
-                // For simplicity, assume keys are always strings
-                const keyTypeBuffer = Buffer.alloc(1);
-                keyTypeBuffer.writeUInt8(DataType.STRING, 0);
-                
-                const keyString = Buffer.from(key, 'utf8');
-                const keyLengthBuffer = Buffer.alloc(2);
-                keyLengthBuffer.writeUInt16LE(keyString.length, 0);
-                
-                // Recursively encode nested value
-                const [valTypeBuffer, encodedVal] = this._encodeValue(val);
-                
-                dictBuffers.push(
-                    keyTypeBuffer,
-                    keyLengthBuffer,
-                    keyString,
-                    valTypeBuffer,
-                    encodedVal
-                );
+            return DataType.DICTIONARY;
+        }
+
+        throw new Error(`Unsupported value type: ${typeof value}`);
+    }
+
+    /**
+     * Find a single data type that can hold every element of an array
+     * Integers are widened to the smallest type that fits all of them
+     * @returns {number|null} The element type, or null if the elements are mixed
+     * @private
+     */
+    _inferElementType(values) {
+        if (values.length === 0) {
+            return DataType.BYTE;
+        }
+
+        if (values.every(v => typeof v === 'number')) {
+            if (!values.every(Number.isInteger)) {
+                return DataType.FLOAT;
             }
-            
-            valueBuffer = Buffer.concat(dictBuffers);
+            if (values.every(v => v >= 0 && v <= 255)) {
+                return DataType.BYTE;
+            }
+            if (values.every(v => v >= -32768 && v <= 32767)) {
+                return DataType.SHORT;
+            }
+            return DataType.INT;
         }
-        else {
-            throw new Error(`Unsupported value type: ${typeof value}`);
+
+        // Nested arrays and dictionaries describe their own contents,
+        // so only the outer data type has to match
+        const elementType = this._inferType(values[0]);
+
+        for (let i = 1; i < values.length; i++) {
+            if (this._inferType(values[i]) !== elementType) {
+                return null;
+            }
         }
-        
-        return [typeBuffer, valueBuffer];
+
+        return elementType;
     }
 
     /**
@@ -287,32 +597,112 @@ class ArchiveWriter {
      */
     _calculateCRC(buffer) {
         // Use Node.js built-in zlib CRC32 and take lower 16 bits
-        const crc32 = require('zlib').crc32(buffer);
+        const crc32 = zlib.crc32(buffer);
         return crc32 & 0xFFFF;
     }
 
     /**
      * Finalize and encode the message to a binary buffer
+     * The working buffer returns to the pool; the writer can still be encoded
+     * again or extended afterwards
      * @returns {Buffer} The encoded message as a Buffer
      */
     encode() {
-        // Create header (4 bytes)
-        const header = Buffer.alloc(4);
-        header.writeUInt8(this.messageType, 0);
-        header.writeUInt8(this.operationCode, 1);
-        header.writeUInt16LE(this.payload.length, 2);
-        
-        // Combine header and payload
-        const messageWithoutCRC = Buffer.concat([header, this.payload]);
-        
-        // Calculate CRC (2 bytes)
-        const crc = this._calculateCRC(messageWithoutCRC);
-        const crcBuffer = Buffer.alloc(2);
-        crcBuffer.writeUInt16LE(crc, 0);
-        
-        // Combine everything
-        return Buffer.concat([messageWithoutCRC, crcBuffer]);
+        if (!this.buffer) {
+            if (!this.encoded) {
+                throw new Error('Message was split into fragments, reset() the writer to reuse it');
+            }
+            return this.encoded;
+        }
+
+        const payloadLength = this.offset - HEADER_SIZE;
+
+        if (payloadLength > MAX_PAYLOAD_LENGTH) {
+            throw new Error(`Payload too large (${payloadLength} bytes), use encodeFragments() instead`);
+        }
+
+        // Fill in the header (4 bytes) in front of the payload
+        this.buffer.writeUInt8(this.messageType, 0);
+        this.buffer.writeUInt8(this.operationCode, 1);
+        this.buffer.writeUInt16LE(payloadLength, 2);
+
+        // Copy out header, payload and CRC (2 bytes) in one allocation
+        const message = Buffer.allocUnsafe(this.offset + 2);
+        this.buffer.copy(message, 0, 0, this.offset);
+        message.writeUInt16LE(this._calculateCRC(message.subarray(0, this.offset)), this.offset);
+
+        releaseBuffer(this.buffer);
+        this.buffer = null;
+        this.encoded = message;
+
+        return message;
+    }
+
+    /**
+     * Encode the message, splitting it into FRAGMENT messages if it is too large
+     * to be sent as a single message
+     * Once split, the working buffer returns to the pool and the writer has to be reset()
+     * before it is used again
+     * @param {Object} options - Options for fragmenting
+     * @param {number} options.maxMessageSize - Largest encoded message to produce in bytes
+     *        (default: 65509, which still fits once encrypted)
+     * @returns {Buffer[]} The encoded message, or its fragments in order
+     */
+    encodeFragments(options = {}) {
+        const maxMessageSize = options.maxMessageSize || MAX_PAYLOAD_LENGTH + MESSAGE_OVERHEAD - ENCRYPTION_OVERHEAD;
+        const payload = this.payload;
+
+        if (maxMessageSize <= FRAGMENT_OVERHEAD) {
+            throw new Error(`Maximum message size must be larger than ${FRAGMENT_OVERHEAD} bytes`);
+        }
+
+        if (payload.length <= MAX_PAYLOAD_LENGTH &&
+            payload.length + MESSAGE_OVERHEAD <= maxMessageSize) {
+            return [this.encode()];
+        }
+
+        // The fragments carry the message type, operation code and payload;
+        // the receiver rebuilds the message from them without the length limit
+        const body = Buffer.concat([
+            Buffer.from([this.messageType, this.operationCode]),
+            payload
+        ]);
+
+        const fragmentSize = Math.min(maxMessageSize, MAX_PAYLOAD_LENGTH + MESSAGE_OVERHEAD) - FRAGMENT_OVERHEAD;
+        const fragmentCount = Math.ceil(body.length / fragmentSize);
+
+        if (fragmentCount > 0xFFFF) {
+            throw new Error(`Message too large to fragment (${body.length} bytes)`);
+        }
+
+        // The payload was copied into body, the working buffer is not needed any more
+        releaseBuffer(this.buffer);
+        this.buffer = null;
+        this.encoded = null;
+
+        nextFragmentId = (nextFragmentId + 1) % 0xFFFFFFFF;
+        const fragmentId = nextFragmentId;
+
+        const fragments = [];
+        for (let index = 0; index < fragmentCount; index++) {
+            const chunk = body.subarray(index * fragmentSize, (index + 1) * fragmentSize);
+
+            fragments.push(new ArchiveWriter(MessageType.FRAGMENT, 0x00)
+                .addParameter(ParameterCode.FRAGMENT_ID, DataType.UINT, fragmentId)
+                .addParameter(ParameterCode.FRAGMENT_INDEX, DataType.USHORT, index)
+                .addParameter(ParameterCode.FRAGMENT_COUNT, DataType.USHORT, fragmentCount)
+                .addParameter(ParameterCode.FRAGMENT_DATA, DataType.BYTE_ARRAY, chunk)
+                .encode());
+        }
+
+        return fragments;
     }
 }
 
-module.exports = { ArchiveWriter, };
\ No newline at end of file
+module.exports = {
+    ArchiveWriter,
+    MAX_PAYLOAD_LENGTH,
+    MESSAGE_OVERHEAD,
+    ENCRYPTION_OVERHEAD,
+    BATCH_OVERHEAD
+};
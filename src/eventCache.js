@@ -0,0 +1,89 @@
+/**
+ * ARCHIVE Protocol Event Cache
+ * Keeps a room's cached EVENT.RAISE messages so players who join late can catch up
+ */
+
+const { EventCaching } = require('./Protocol/constants');
+
+/**
+ * Cached events of one room, in the order they were raised
+ */
+class EventCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEvents - Most events kept per room (default: 1000)
+   */
+  constructor(options = {}) {
+    this.maxEvents = options.maxEvents || 1000;
+    this.events = [];
+  }
+
+  /**
+   * Number of cached events
+   * @returns {number} The event count
+   */
+  get size() {
+    return this.events.length;
+  }
+
+  /**
+   * Cache a raised event
+   * @param {Object} event - The event
+   * @param {number} event.ownerId - Client that raised the event
+   * @param {number} event.playerId - Player ID of that client
+   * @param {number} event.eventCode - The event's EVENT_CODE, if any
+   * @param {number} event.caching - ADD_TO_ROOM_CACHE or ADD_TO_PLAYER_CACHE (from EventCaching enum)
+   * @param {Object} event.message - The parsed RAISE message
+   * @returns {boolean} False if the cache is full
+   */
+  add(event) {
+    if (this.events.length >= this.maxEvents) {
+      return false;
+    }
+
+    this.events.push(event);
+    return true;
+  }
+
+  /**
+   * Remove the events matching a filter; an empty filter removes everything
+   * @param {Object} filter - { eventCode, playerId } from EVENT.REMOVE_CACHE
+   * @returns {number} Number of removed events
+   */
+  remove(filter = {}) {
+    const before = this.events.length;
+
+    this.events = this.events.filter(event =>
+      (filter.eventCode !== undefined && event.eventCode !== filter.eventCode) ||
+      (filter.playerId !== undefined && event.playerId !== filter.playerId)
+    );
+
+    return before - this.events.length;
+  }
+
+  /**
+   * Remove the events that live only as long as their sender is in the room
+   * @param {number} ownerId - Client that left
+   * @returns {number} Number of removed events
+   */
+  removeOwnedBy(ownerId) {
+    const before = this.events.length;
+
+    this.events = this.events.filter(event =>
+      event.ownerId !== ownerId || event.caching !== EventCaching.ADD_TO_PLAYER_CACHE
+    );
+
+    return before - this.events.length;
+  }
+
+  /**
+   * Iterate the cached events, oldest first
+   */
+  [Symbol.iterator]() {
+    return this.events[Symbol.iterator]();
+  }
+}
+
+module.exports = {
+  EventCache
+};
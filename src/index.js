@@ -3,66 +3,150 @@
  * Manages rooms, connected clients, authentication, and message handling
  */
 
-const WebSocket = require('ws');
 const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
 const { ArchiveWriter } = require('./Protocol/writer');
 const { ArchiveParser, ArchiveConnection } = require('./Protocol/parser');
-const { MessageType, OperationCode, ParameterCode, DataType } = require('./Protocol/constants');
+const { MessageSchemas } = require('./Protocol/schema');
+const { DeltaEncoder, DeltaDecoder, extractState, createStateAck, createFullState } = require('./Protocol/delta');
+const { negotiate, LEGACY_PROTOCOL } = require('./Protocol/handshake');
+const { MessageType, OperationCode, ParameterCode, Capability, ErrorCode, EventCaching, ReceiverGroup, DataType } = require('./Protocol/constants');
+const { DEFAULT_LOBBY, Lobby, listRooms } = require('./lobby');
+const { MatchmakingQueue, pickRoom } = require('./matchmaking');
+const { EventCache } = require('./eventCache');
+const { RoomState } = require('./roomState');
+const { InterestManager } = require('./interest');
+const { WebSocketTransport } = require('./transport');
+const { UdpTransport } = require('./udpTransport');
 
 class ArchiveServer {
-  constructor(port = 8080) {
+  /**
+   * @param {number} port - Port to listen on with the default WebSocket transport
+   * @param {Object} options - Server options
+   * @param {number} options.minProtocolVersion - Oldest client protocol version to accept (default: 1)
+   * @param {boolean} options.requireEncryption - Reject clients that cannot encrypt (default: false)
+   * @param {number[]} options.encryptedTypes - Message types to encrypt (default: everything except UNRELIABLE, ACK and PING)
+   * @param {number} options.batchInterval - Coalesce messages to each client for this long in ms (default: 0, no batching)
+   * @param {number} options.maxBatchSize - Send a client's batch early once it reaches this many bytes (default: 8192)
+   * @param {number} options.maxEmptyRoomTtl - Longest time in ms a client may keep an empty room alive (default: 300000)
+   * @param {number} options.lobbyUpdateInterval - Time in ms room list changes are collected before they are pushed (default: 100)
+   * @param {Object} options.matchmaking - Options for the matchmaking queues (see MatchmakingQueue)
+   * @param {Object} options.lobbies - Lobbies besides the default one by name, each with room defaults
+   *     and matchmaking options, e.g. { ranked: { maxPlayers: 2, matchmaking: { skillRange: 50 } } }
+   * @param {number} options.maxCachedEvents - Most cached events a room keeps for late joiners (default: 1000)
+   * @param {number[]} options.trackedStateParameters - State parameter codes rooms keep for snapshots (default: all)
+   * @param {number} options.reconnectGracePeriod - Time in ms a player who lost its connection keeps its seat (default: 10000, 0 to disable)
+   * @param {number} options.maxMissedBytes - Messages held for an inactive player before its session cannot be resumed (default: 1 MB)
+   * @param {Object} options.interest - Only relay position updates to nearby players, e.g. { radius: 100 } (default: off)
+   * @param {Object[]} options.transports - Transports clients connect through, e.g. a WebSocketTransport
+   *     and a UdpTransport (default: WebSocket on `port`)
+   * @param {number} options.heartbeatInterval - Send a client a heartbeat after this long in ms without sending it anything (default: 5000)
+   * @param {number} options.clientTimeout - Disconnect a client after this long in ms without hearing from it (default: 20000, 0 to disable)
+   */
+  constructor(port = 8080, options = {}) {
     this.port = port;
-    this.server = null;
+    this.minProtocolVersion = options.minProtocolVersion || 1;
+    this.requireEncryption = options.requireEncryption || false;
+    this.encryptedTypes = options.encryptedTypes;
+    this.batchInterval = options.batchInterval || 0;
+    this.maxBatchSize = options.maxBatchSize;
+    this.maxEmptyRoomTtl = options.maxEmptyRoomTtl !== undefined ? options.maxEmptyRoomTtl : 300000;
+    this.maxCachedEvents = options.maxCachedEvents || 1000;
+    this.trackedStateParameters = options.trackedStateParameters;
+    this.reconnectGracePeriod = options.reconnectGracePeriod !== undefined ? options.reconnectGracePeriod : 10000;
+    this.maxMissedBytes = options.maxMissedBytes;
+    this.interestOptions = options.interest;
+    this.transports = options.transports || [new WebSocketTransport({ port })];
+    this.listening = false;
+    this.heartbeatInterval = options.heartbeatInterval !== undefined ? options.heartbeatInterval : 5000;
+    this.clientTimeout = options.clientTimeout !== undefined ? options.clientTimeout : 20000;
     this.clients = new Map(); // Map of client connections by client ID
     this.rooms = new Map(); // Map of rooms by room ID
     this.authTokens = new Map(); // Map of auth tokens to client IDs
+    this.resumeTokens = new Map(); // Map of resume tokens to client IDs
     
     // Sequence counters for reliable messages
     this.sequences = new Map();
     
+    // Named lobbies by name, and the queue of players waiting to be matched in each
+    this.lobbies = new Map();
+    this.matchmaking = new Map();
+    this.lobbyUpdateInterval = options.lobbyUpdateInterval;
+    this.matchmakingOptions = options.matchmaking;
+    
+    for (const [name, config] of Object.entries({ [DEFAULT_LOBBY]: {}, ...options.lobbies })) {
+      this.createLobby(name, config);
+    }
+    this.serialJoins = 0; // Turn counter for FillStrategy.SERIAL
+    
     this.setupServer();
   }
   
   setupServer() {
-    this.server = new WebSocket.Server({ port: this.port });
-    
-    this.server.on('connection', (socket, request) => {
-      const clientId = this.generateClientId();
-      const clientIp = request.socket.remoteAddress;
-      
-      console.log(`New connection from ${clientIp}, assigned client ID: ${clientId}`);
-      
-      // Create an ARCHIVE connection for this client
-      const connection = new ArchiveConnection(socket);
-      
-      // Store client information
-      this.clients.set(clientId, {
-        id: clientId,
-        ip: clientIp,
-        connection: connection,
-        isAuthenticated: false,
-        playerId: null,
-        currentRoom: null,
-        properties: {}
+    for (const transport of this.transports) {
+      transport.listen((socket, remoteAddress) => {
+        this.acceptConnection(socket, remoteAddress);
       });
       
-      // Set up message handler
-      connection.onMessage = (message) => {
-        this.handleMessage(clientId, message);
-      };
-      
-      // Set up error handler
-      connection.onError = (error) => {
-        console.error(`Error for client ${clientId}:`, error);
-      };
-      
-      // Set up close handler
-      socket.on('close', () => {
-        this.handleClientDisconnect(clientId);
-      });
+      console.log(`ARCHIVE server listening for ${transport.name} clients on port ${transport.port}`);
+    }
+    
+    this.listening = true;
+  }
+  
+  /**
+   * Register a client that connected through any transport
+   */
+  acceptConnection(socket, clientIp) {
+    const clientId = this.generateClientId();
+    
+    console.log(`New connection from ${clientIp}, assigned client ID: ${clientId}`);
+    
+    // Create an ARCHIVE connection for this client
+    const connection = new ArchiveConnection(socket, {
+      encryptedTypes: this.encryptedTypes,
+      batchInterval: this.batchInterval,
+      maxBatchSize: this.maxBatchSize,
+      maxMissedBytes: this.maxMissedBytes,
+      heartbeatInterval: this.heartbeatInterval,
+      heartbeatTimeout: this.clientTimeout
+    });
+    
+    // Store client information
+    this.clients.set(clientId, {
+      id: clientId,
+      ip: clientIp,
+      connection: connection,
+      isAuthenticated: false,
+      playerId: null,
+      currentRoom: null,
+      inactive: false, // Lost its connection and may still resume the session
+      resumeToken: null,
+      resumeTimer: null,
+      lobby: DEFAULT_LOBBY, // Lobby the client browses, matches and creates rooms in
+      properties: {}, // Player properties shared with the room, e.g. nickname or team
+      interestGroups: new Set(), // Event groups the player subscribed to in its room
+      stateDecoder: new DeltaDecoder(), // Rebuilds states sent by this client
+      stateEncoder: new DeltaEncoder() // Delta-encodes states sent to this client
     });
     
-    console.log(`ARCHIVE server started on port ${this.port}`);
+    // Set up message handler
+    connection.onMessage = (message) => {
+      this.handleMessage(clientId, message);
+    };
+    
+    // Set up error handler
+    connection.onError = (error) => {
+      console.error(`Error for client ${clientId}:`, error);
+    };
+    
+    // Set up close and timeout handlers, the connection may belong to another client ID after a resume
+    socket.on('close', () => {
+      this.handleConnectionLost(connection);
+    });
+    connection.onTimeout = () => {
+      this.handleConnectionTimeout(connection);
+    };
   }
   
   /**
@@ -76,7 +160,17 @@ class ArchiveServer {
       return;
     }
     
-    console.log(`Received ${MessageType[message.messageType]} message from client ${clientId}`);
+    console.log(`Received ${message.messageTypeName} message from client ${clientId}`);
+    
+    // Reject messages that break their registered schema, version 1 clients may use other data types
+    if (MessageSchemas.has(message.messageType, message.operationCode)) {
+      try {
+        message.data = MessageSchemas.decode(message, { checkTypes: !this.usesLegacyLayout(client) });
+      } catch (error) {
+        console.warn(`Rejected message from client ${clientId}: ${error.message}`);
+        return;
+      }
+    }
     
     // Process message based on its type
     switch (message.messageType) {
@@ -104,9 +198,7 @@ class ArchiveServer {
         this.handlePingMessage(clientId, message);
         break;
         
-      case MessageType.ACK:
-        this.handleAckMessage(clientId, message);
-        break;
+      // ACK messages never get here, the connection uses them to stop retransmitting and measure RTT
         
       default:
         console.warn(`Unhandled message type ${message.messageType} from client ${clientId}`);
@@ -123,59 +215,128 @@ class ArchiveServer {
       case OperationCode.SYSTEM.CONNECT:
         console.log(`Client ${clientId} requesting connection`);
         
+        // Agree on the protocol version and features both sides support
+        const negotiation = negotiate(message.data, {
+          minVersion: this.minProtocolVersion,
+          requireEncryption: this.requireEncryption
+        });
+        
+        if (!negotiation.accepted) {
+          console.log(`Rejected client ${clientId}: ${negotiation.reason}`);
+          
+          const rejectMessage = ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.DISCONNECT, {
+            reason: negotiation.reason
+          }).encode();
+          
+          client.connection.send(rejectMessage);
+          client.connection.close();
+          break;
+        }
+        
+        const { protocol } = negotiation;
+        client.connection.setProtocol(protocol);
+        console.log(`Client ${clientId} speaks protocol version ${protocol.version}`);
+        
         // Generate authentication token
         const authToken = this.generateAuthToken();
         this.authTokens.set(authToken, clientId);
         
+        // Answer the client's half of the key exchange
+        const encrypt = (protocol.capabilities & Capability.ENCRYPTION) !== 0;
+        
         // Send AUTH response with token
-        const authResponse = new ArchiveWriter(MessageType.SYSTEM, OperationCode.SYSTEM.AUTH)
-          .addParameter(ParameterCode.PLAYER_ID, DataType.INT, clientId)
-          .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, Date.now())
-          .addParameter(ParameterCode.PROPERTIES, DataType.STRING, authToken)
-          .encode();
+        const authResponse = this.encodeResponse(client, MessageType.SYSTEM, OperationCode.SYSTEM.AUTH, {
+          playerId: clientId,
+          timestamp: Date.now(),
+          token: authToken,
+          version: protocol.version,
+          capabilities: protocol.capabilities,
+          dataTypes: protocol.dataTypes,
+          publicKey: encrypt ? client.connection.createKeyExchange() : undefined
+        });
         
         client.connection.send(authResponse);
+        
+        // The AUTH response itself goes out in plaintext, everything after it is encrypted
+        if (encrypt) {
+          client.connection.completeKeyExchange(message.data.publicKey, true);
+          console.log(`Client ${clientId} session is encrypted`);
+        }
         break;
         
       case OperationCode.SYSTEM.AUTH:
-        const authTokenParam = this.getParameterValue(message, ParameterCode.PROPERTIES);
-        const playerIdParam = this.getParameterValue(message, ParameterCode.PLAYER_ID);
+        const { playerId } = message.data;
+        const token = this.usesLegacyLayout(client)
+          ? message.data.token || this.getParameterValue(message, ParameterCode.PROPERTIES)
+          : message.data.token;
         
-        if (authTokenParam && this.authTokens.get(authTokenParam) === clientId) {
+        if (token && this.authTokens.get(token) === clientId) {
           client.isAuthenticated = true;
-          client.playerId = playerIdParam || clientId;
+          client.playerId = playerId || clientId;
           console.log(`Client ${clientId} authenticated as player ${client.playerId}`);
           
+          // Lets a new connection take over this session if this one drops
+          client.resumeToken = this.generateAuthToken();
+          this.resumeTokens.set(client.resumeToken, clientId);
+          
           // Confirm authentication
-          const authConfirm = new ArchiveWriter(MessageType.SYSTEM, OperationCode.SYSTEM.AUTH)
-            .addParameter(ParameterCode.PLAYER_ID, DataType.INT, client.playerId)
-            .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, Date.now())
-            .addParameter(ParameterCode.PROPERTIES, DataType.BOOL, true) // Success flag
-            .encode();
+          const authConfirm = this.encodeResponse(client, MessageType.SYSTEM, OperationCode.SYSTEM.AUTH, {
+            playerId: client.playerId,
+            timestamp: Date.now(),
+            success: true,
+            resumeToken: client.resumeToken
+          });
           
           client.connection.send(authConfirm);
         } else {
           console.log(`Client ${clientId} failed authentication`);
           // Send authentication failure
-          const authFail = new ArchiveWriter(MessageType.SYSTEM, OperationCode.SYSTEM.AUTH)
-            .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, Date.now())
-            .addParameter(ParameterCode.PROPERTIES, DataType.BOOL, false) // Failure flag
-            .encode();
+          const authFail = this.encodeResponse(client, MessageType.SYSTEM, OperationCode.SYSTEM.AUTH, {
+            timestamp: Date.now(),
+            success: false
+          });
           
           client.connection.send(authFail);
         }
         break;
         
+      case OperationCode.SYSTEM.RESUME:
+        // A new connection takes over a session that lost its connection
+        const resumedClientId = this.resumeTokens.get(message.data.resumeToken);
+        
+        // Only a connection that has not authenticated can take over a session; one that has
+        // may already be in a room, a lobby or the matchmaking queue of its own
+        let resumeError = null;
+        if (client.isAuthenticated) {
+          resumeError = 'Already authenticated, send RESUME instead of AUTH';
+        } else if (resumedClientId === undefined || resumedClientId === clientId) {
+          resumeError = 'Unknown or expired resume token';
+        }
+        
+        if (resumeError) {
+          console.log(`Client ${clientId} failed to resume a session: ${resumeError}`);
+          
+          const resumeFail = ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.RESUME, {
+            success: false,
+            reason: resumeError
+          }).encode();
+          
+          client.connection.send(resumeFail);
+        } else {
+          this.resumeClient(resumedClientId, clientId);
+        }
+        break;
+        
       case OperationCode.SYSTEM.DISCONNECT:
         console.log(`Client ${clientId} requested disconnect`);
         this.handleClientDisconnect(clientId);
         break;
         
       case OperationCode.SYSTEM.HEARTBEAT:
-        // Just acknowledge heartbeat
-        const heartbeatResponse = new ArchiveWriter(MessageType.SYSTEM, OperationCode.SYSTEM.HEARTBEAT)
-          .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, Date.now())
-          .encode();
+        // Answer with our time, the connection already noted that the client is alive
+        const heartbeatResponse = ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.HEARTBEAT, {
+          timestamp: Date.now()
+        }).encode();
         
         client.connection.send(heartbeatResponse);
         break;
@@ -197,13 +358,7 @@ class ArchiveServer {
     const sequence = this.getParameterValue(message, ParameterCode.SEQUENCE);
     
     if (sequence !== undefined) {
-      // Send acknowledgment
-      const ackMessage = new ArchiveWriter(MessageType.ACK, 0x00)
-        .addParameter(ParameterCode.SEQUENCE, DataType.UINT, sequence)
-        .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, Date.now())
-        .encode();
-      
-      client.connection.send(ackMessage);
+      // The connection has already acknowledged it and put it in order
       
       // Process the reliable message based on its operation code
       // Implementation would depend on the specific operation codes for reliable messages
@@ -232,9 +387,9 @@ class ArchiveServer {
     // Process the unreliable message based on operation code
     // Implementation would depend on game-specific logic
     
-    // Broadcast to room if client is in a room
+    // Broadcast to room if client is in a room, only to nearby players with interest management
     if (client.currentRoom) {
-      this.broadcastToRoom(client.currentRoom, message, clientId);
+      this.relayToInterested(clientId, message);
     }
   }
   
@@ -251,78 +406,161 @@ class ArchiveServer {
     
     switch (message.operationCode) {
       case OperationCode.ROOM.CREATE:
-        const createRoomId = this.getParameterValue(message, ParameterCode.ROOM_ID);
-        
-        if (createRoomId && !this.rooms.has(createRoomId)) {
-          // Create new room
-          this.rooms.set(createRoomId, {
-            id: createRoomId,
-            players: new Set(),
-            properties: {}
-          });
+        const createRoomId = message.data.roomId;
+        
+        if (!createRoomId) {
+          this.sendRoomError(clientId, OperationCode.ROOM.CREATE, "", ErrorCode.INVALID_REQUEST, 'Room ID is required');
+        } else if (this.rooms.has(createRoomId)) {
+          this.sendRoomError(clientId, OperationCode.ROOM.CREATE, createRoomId, ErrorCode.ROOM_EXISTS, 'Room already exists');
+        } else {
+          this.createRoom(createRoomId, message.data, client.lobby);
           
-          console.log(`Client ${clientId} created room ${createRoomId}`);
+          // Join the created room, the creator knows the password
+          const createJoinResult = this.joinRoom(clientId, createRoomId, message.data.password);
           
-          // Join the created room
-          this.joinRoom(clientId, createRoomId);
+          // A room that starts closed or without seats would stay empty forever
+          if (!createJoinResult.success) {
+            console.log(`Client ${clientId} could not join its new room ${createRoomId}: ${createJoinResult.reason}`);
+            this.deleteRoom(createRoomId);
+            this.sendRoomError(clientId, OperationCode.ROOM.CREATE, createRoomId, createJoinResult.errorCode, createJoinResult.reason);
+            break;
+          }
+          
+          console.log(`Client ${clientId} created room ${createRoomId}`);
           
           // Send confirmation
-          const createResponse = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.CREATE)
-            .addParameter(ParameterCode.ROOM_ID, DataType.STRING, createRoomId)
-            .addParameter(ParameterCode.PROPERTIES, DataType.BOOL, true) // Success flag
-            .encode();
+          const createResponse = this.encodeResponse(client, MessageType.ROOM, OperationCode.ROOM.CREATE, {
+            roomId: createRoomId,
+            masterId: client.playerId,
+            success: true
+          });
           
           client.connection.send(createResponse);
-        } else {
-          // Room exists or invalid ID
-          const createFailResponse = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.CREATE)
-            .addParameter(ParameterCode.ROOM_ID, DataType.STRING, createRoomId || "")
-            .addParameter(ParameterCode.PROPERTIES, DataType.BOOL, false) // Failure flag
-            .encode();
-          
-          client.connection.send(createFailResponse);
         }
         break;
         
       case OperationCode.ROOM.JOIN:
-        const joinRoomId = this.getParameterValue(message, ParameterCode.ROOM_ID);
+        const joinRoomId = message.data.roomId;
+        const joinResult = this.joinRoom(clientId, joinRoomId, message.data.password);
         
-        if (joinRoomId && this.rooms.has(joinRoomId)) {
-          // Join room
-          const success = this.joinRoom(clientId, joinRoomId);
+        if (joinResult.success) {
+          console.log(`Client ${clientId} joined room ${joinRoomId}`);
           
-          if (success) {
-            console.log(`Client ${clientId} joined room ${joinRoomId}`);
-            
-            // Send confirmation
-            const joinResponse = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.JOIN)
-              .addParameter(ParameterCode.ROOM_ID, DataType.STRING, joinRoomId)
-              .addParameter(ParameterCode.PROPERTIES, DataType.BOOL, true) // Success flag
-              .encode();
-            
-            client.connection.send(joinResponse);
-            
-            // Notify other players in the room
-            this.notifyPlayerJoined(joinRoomId, clientId);
-          } else {
-            const joinFailResponse = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.JOIN)
-              .addParameter(ParameterCode.ROOM_ID, DataType.STRING, joinRoomId)
-              .addParameter(ParameterCode.PROPERTIES, DataType.BOOL, false) // Failure flag
-              .encode();
-            
-            client.connection.send(joinFailResponse);
-          }
-        } else {
-          // Room doesn't exist
-          const joinFailResponse = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.JOIN)
-            .addParameter(ParameterCode.ROOM_ID, DataType.STRING, joinRoomId || "")
-            .addParameter(ParameterCode.PROPERTIES, DataType.BOOL, false) // Failure flag
-            .encode();
+          // Send confirmation
+          const joinResponse = this.encodeResponse(client, MessageType.ROOM, OperationCode.ROOM.JOIN, {
+            roomId: joinRoomId,
+            masterId: this.getMasterPlayerId(joinRoomId),
+            players: this.describePlayers(joinRoomId, client),
+            success: true
+          });
           
-          client.connection.send(joinFailResponse);
+          client.connection.send(joinResponse);
+          
+          // Notify other players in the room
+          this.notifyPlayerJoined(joinRoomId, clientId);
+          this.catchUpPlayer(joinRoomId, clientId);
+        } else {
+          console.log(`Client ${clientId} could not join room ${joinRoomId}: ${joinResult.reason}`);
+          this.sendRoomError(clientId, OperationCode.ROOM.JOIN, joinRoomId || "", joinResult.errorCode, joinResult.reason);
         }
         break;
         
+      case OperationCode.ROOM.JOIN_RANDOM:
+        this.handleJoinRandom(clientId, message.data);
+        break;
+        
+      case OperationCode.ROOM.QUEUE_JOIN:
+        if (!this.matchmaking.get(client.lobby).add(clientId, message.data.properties)) {
+          this.sendRoomError(clientId, OperationCode.ROOM.QUEUE_JOIN, undefined, ErrorCode.ALREADY_QUEUED, 'Already waiting for a match');
+          break;
+        }
+        
+        console.log(`Client ${clientId} is waiting for a match`);
+        
+        const queueResponse = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.QUEUE_JOIN, {
+          success: true
+        }).encode();
+        
+        client.connection.send(queueResponse);
+        break;
+        
+      case OperationCode.ROOM.QUEUE_LEAVE:
+        if (!this.matchmaking.get(client.lobby).remove(clientId)) {
+          this.sendRoomError(clientId, OperationCode.ROOM.QUEUE_LEAVE, undefined, ErrorCode.NOT_QUEUED, 'Not waiting for a match');
+          break;
+        }
+        
+        const dequeueResponse = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.QUEUE_LEAVE, {
+          success: true
+        }).encode();
+        
+        client.connection.send(dequeueResponse);
+        break;
+        
+      case OperationCode.ROOM.JOIN_LOBBY:
+        // Browse, match and create rooms in another lobby; no name goes back to the default one
+        const lobbyName = message.data.lobbyName || DEFAULT_LOBBY;
+        
+        if (!this.lobbies.has(lobbyName)) {
+          this.sendRoomError(clientId, OperationCode.ROOM.JOIN_LOBBY, undefined, ErrorCode.LOBBY_NOT_FOUND, `No lobby named ${lobbyName}`);
+          break;
+        }
+        
+        // Browsing and waiting for a match in the previous lobby end
+        this.lobbies.get(client.lobby).unsubscribe(clientId);
+        this.matchmaking.get(client.lobby).remove(clientId);
+        client.lobby = lobbyName;
+        
+        console.log(`Client ${clientId} joined lobby ${lobbyName}`);
+        
+        const lobbyResponse = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.JOIN_LOBBY, {
+          lobbyName,
+          success: true
+        }).encode();
+        
+        client.connection.send(lobbyResponse);
+        break;
+        
+      case OperationCode.ROOM.LOBBY_STATS:
+        // Statistics of one lobby, or of all of them
+        const statsLobbyName = message.data.lobbyName;
+        
+        if (statsLobbyName !== undefined && !this.lobbies.has(statsLobbyName)) {
+          this.sendRoomError(clientId, OperationCode.ROOM.LOBBY_STATS, undefined, ErrorCode.LOBBY_NOT_FOUND, `No lobby named ${statsLobbyName}`);
+          break;
+        }
+        
+        const statsLobbyNames = statsLobbyName !== undefined ? [statsLobbyName] : Array.from(this.lobbies.keys());
+        
+        const statsResponse = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.LOBBY_STATS, {
+          lobbies: statsLobbyNames.map(name => this.getLobbyStats(name)),
+          success: true
+        }).encode();
+        
+        client.connection.send(statsResponse);
+        break;
+        
+      case OperationCode.ROOM.SET_MASTER:
+        // Only the current master can hand mastership to another player in the room
+        const masterRoom = this.rooms.get(client.currentRoom);
+        const newMaster = masterRoom ? this.findPlayerInRoom(masterRoom, message.data.masterId) : undefined;
+        
+        if (!masterRoom) {
+          this.sendRoomError(clientId, OperationCode.ROOM.SET_MASTER, undefined, ErrorCode.NOT_IN_ROOM, 'Not in a room');
+        } else if (masterRoom.masterClientId !== clientId) {
+          this.sendRoomError(clientId, OperationCode.ROOM.SET_MASTER, masterRoom.id, ErrorCode.NOT_MASTER, 'Only the master client can hand off mastership');
+        } else if (!newMaster) {
+          this.sendRoomError(clientId, OperationCode.ROOM.SET_MASTER, masterRoom.id, ErrorCode.PLAYER_NOT_FOUND, 'Player is not in the room');
+        } else {
+          this.setMasterClient(masterRoom.id, newMaster.id);
+        }
+        break;
+        
+      case OperationCode.ROOM.PLAYER_PROPERTIES:
+        // Players can only change their own properties
+        this.setPlayerProperties(clientId, message.data.properties || {}, message.data.removedProperties || []);
+        break;
+        
       case OperationCode.ROOM.LEAVE:
         const leaveRoomId = client.currentRoom;
         
@@ -331,31 +569,43 @@ class ArchiveServer {
           console.log(`Client ${clientId} left room ${leaveRoomId}`);
           
           // Send confirmation
-          const leaveResponse = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.LEAVE)
-            .addParameter(ParameterCode.ROOM_ID, DataType.STRING, leaveRoomId)
-            .addParameter(ParameterCode.PROPERTIES, DataType.BOOL, true) // Success flag
-            .encode();
+          const leaveResponse = this.encodeResponse(client, MessageType.ROOM, OperationCode.ROOM.LEAVE, {
+            roomId: leaveRoomId,
+            success: true
+          });
           
           client.connection.send(leaveResponse);
         } else {
-          // Not in a room
-          const leaveFailResponse = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.LEAVE)
-            .addParameter(ParameterCode.PROPERTIES, DataType.BOOL, false) // Failure flag
-            .encode();
-          
-          client.connection.send(leaveFailResponse);
+          this.sendRoomError(clientId, OperationCode.ROOM.LEAVE, undefined, ErrorCode.NOT_IN_ROOM, 'Not in a room');
         }
         break;
         
       case OperationCode.ROOM.LIST:
-        // Return list of available rooms
-        const roomList = Array.from(this.rooms.keys());
+        // Return the visible rooms matching the client's query
+        const roomList = listRooms(this.lobbies.get(client.lobby).getRooms(), message.data);
+        
+        // Clients without ARRAY support get the original JSON list of IDs
+        if (!client.connection.supportsDataType(DataType.ARRAY)) {
+          const legacyResponse = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.LIST, {
+            roomIds: JSON.stringify(roomList.map(room => room.id))
+          }).encode();
+          
+          client.connection.send(legacyResponse);
+          break;
+        }
         
-        const listResponse = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.LIST)
-          .addParameter(ParameterCode.PROPERTIES, DataType.BYTE_ARRAY, JSON.stringify(roomList))
-          .encode();
+        const listResponse = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.LIST, {
+          rooms: roomList
+        }).encode();
         
         client.connection.send(listResponse);
+        
+        // Keep the client's list up to date until it joins a room or unsubscribes
+        if (message.data.subscribe) {
+          this.lobbies.get(client.lobby).subscribe(clientId, message.data, roomList);
+        } else if (message.data.subscribe === false) {
+          this.lobbies.get(client.lobby).unsubscribe(clientId);
+        }
         break;
         
       case OperationCode.ROOM.PROPERTIES:
@@ -363,23 +613,150 @@ class ArchiveServer {
         const roomPropsId = client.currentRoom;
         
         if (roomPropsId) {
-          const properties = this.getParameterValue(message, ParameterCode.PROPERTIES);
+          const { properties, maxPlayers, visible, open } = message.data;
+          const room = this.rooms.get(roomPropsId);
+          
+          // Any player may set custom properties, but only the master client changes how the room is run
+          const changesOptions = [maxPlayers, visible, open].some(value => value !== undefined);
+          
+          if (changesOptions && room.masterClientId !== clientId) {
+            this.sendRoomError(clientId, OperationCode.ROOM.PROPERTIES, roomPropsId, ErrorCode.NOT_MASTER, 'Only the master client can change room options');
+            break;
+          }
           
           if (properties) {
             // Update room properties
-            const room = this.rooms.get(roomPropsId);
             room.properties = {...room.properties, ...properties};
-            
-            console.log(`Updated properties for room ${roomPropsId}`);
-            
-            // Notify all players in the room
-            this.broadcastRoomProperties(roomPropsId);
           }
+          
+          // Room options can change too, e.g. closing a room once a match starts
+          if (maxPlayers !== undefined) {
+            room.maxPlayers = maxPlayers;
+          }
+          if (visible !== undefined) {
+            room.visible = visible;
+          }
+          if (open !== undefined) {
+            room.open = open;
+          }
+          
+          console.log(`Updated properties for room ${roomPropsId}`);
+          this.roomChanged(room);
+          
+          // Notify all players in the room
+          this.broadcastRoomProperties(roomPropsId);
         }
         break;
     }
   }
   
+  /**
+   * Join a client to a room matching its filter, creating one if asked to
+   */
+  handleJoinRandom(clientId, request) {
+    const client = this.clients.get(clientId);
+    const filter = request.filter || {};
+    
+    // Any room of the client's lobby but the one it is already in
+    const otherRooms = this.lobbies.get(client.lobby).getRooms().filter(room => room.id !== client.currentRoom);
+    let room = pickRoom(otherRooms, filter, request.fillStrategy, this.serialJoins++);
+    const createdRoom = !room && request.createIfNone;
+    
+    if (createdRoom) {
+      // The new room carries the filter values, so the next random join with that filter finds it
+      room = this.createRoom(this.generateRoomId(), {
+        maxPlayers: request.maxPlayers,
+        properties: filter,
+        publicProperties: request.publicProperties || Object.keys(filter)
+      }, client.lobby);
+      
+      console.log(`Client ${clientId} created room ${room.id} for a random join`);
+    }
+    
+    if (!room) {
+      this.sendRoomError(clientId, OperationCode.ROOM.JOIN_RANDOM, undefined, ErrorCode.NO_MATCH, 'No matching room');
+      return;
+    }
+    
+    const joinResult = this.joinRoom(clientId, room.id);
+    
+    if (!joinResult.success) {
+      console.log(`Client ${clientId} could not randomly join room ${room.id}: ${joinResult.reason}`);
+      
+      // A room created for this join, e.g. closed by the lobby's defaults, would stay empty forever
+      if (createdRoom) {
+        this.deleteRoom(room.id);
+      }
+      
+      this.sendRoomError(clientId, OperationCode.ROOM.JOIN_RANDOM, room.id, joinResult.errorCode, joinResult.reason);
+      return;
+    }
+    
+    console.log(`Client ${clientId} randomly joined room ${room.id}`);
+    
+    const joinResponse = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.JOIN_RANDOM, {
+      roomId: room.id,
+      masterId: this.getMasterPlayerId(room.id),
+      players: this.describePlayers(room.id, client),
+      success: true
+    }).encode();
+    
+    client.connection.send(joinResponse);
+    this.notifyPlayerJoined(room.id, clientId);
+    this.catchUpPlayer(room.id, clientId);
+  }
+  
+  /**
+   * Put a group found by the matchmaking queue into a new room
+   * Each player receives a ROOM.JOIN response as if it had joined by ID
+   */
+  handleMatch(tickets, lobbyName) {
+    // A player that is gone leaves the group short, the others keep waiting for a full one
+    if (!tickets.every(({ clientId }) => this.clients.has(clientId))) {
+      for (const ticket of tickets) {
+        if (this.clients.has(ticket.clientId)) {
+          this.matchmaking.get(lobbyName).requeue(ticket);
+        }
+      }
+      return;
+    }
+    
+    const room = this.createRoom(this.generateRoomId(), {
+      maxPlayers: tickets.length,
+      properties: tickets[0].region !== undefined ? { region: tickets[0].region } : {},
+      visible: false
+    }, lobbyName);
+    
+    console.log(`Matched ${tickets.length} players into room ${room.id}`);
+    
+    for (const { clientId } of tickets) {
+      const client = this.clients.get(clientId);
+      const joinResult = this.joinRoom(clientId, room.id);
+      
+      if (!joinResult.success) {
+        console.log(`Client ${clientId} could not join matched room ${room.id}: ${joinResult.reason}`);
+        this.sendRoomError(clientId, OperationCode.ROOM.JOIN, room.id, joinResult.errorCode, joinResult.reason);
+        continue;
+      }
+      
+      const joinResponse = this.encodeResponse(client, MessageType.ROOM, OperationCode.ROOM.JOIN, {
+        roomId: room.id,
+        masterId: this.getMasterPlayerId(room.id),
+        players: this.describePlayers(room.id, client),
+        success: true
+      });
+      
+      client.connection.send(joinResponse);
+      this.notifyPlayerJoined(room.id, clientId);
+      this.catchUpPlayer(room.id, clientId);
+    }
+    
+    // Nobody could join, e.g. the lobby's defaults close new rooms
+    if (room.players.size === 0) {
+      this.deleteRoom(room.id);
+    }
+  }
+  
   /**
    * Handle game event messages
    */
@@ -398,18 +775,51 @@ class ArchiveServer {
     
     switch (message.operationCode) {
       case OperationCode.EVENT.RAISE:
-        // Broadcast event to all players in the room
-        this.broadcastToRoom(client.currentRoom, message, clientId);
+        // Keep the event for players who join later if the sender asked for it
+        this.cacheEvent(clientId, message);
+        
+        // Send the event to the receivers it asks for, the other players by default
+        this.sendToClients(this.resolveReceivers(clientId, message), message);
+        break;
+        
+      case OperationCode.EVENT.CHANGE_GROUPS:
+        // Subscribe to or unsubscribe from interest groups
+        for (const group of message.data.removeGroups || []) {
+          client.interestGroups.delete(group);
+        }
+        for (const group of message.data.addGroups || []) {
+          client.interestGroups.add(group);
+        }
+        break;
+        
+      case OperationCode.EVENT.REMOVE_CACHE:
+        // Remove cached events by event code and/or sender
+        const cacheRoom = this.rooms.get(client.currentRoom);
+        const cacheFilter = { ...message.data };
+        
+        // Only the master client can remove other players' events
+        if (cacheRoom.masterClientId !== clientId) {
+          if (cacheFilter.playerId !== undefined && cacheFilter.playerId !== client.playerId) {
+            console.warn(`Client ${clientId} tried to remove cached events of player ${cacheFilter.playerId}`);
+            break;
+          }
+          cacheFilter.playerId = client.playerId;
+        }
+        
+        const removedEvents = cacheRoom.eventCache.remove(cacheFilter);
+        console.log(`Client ${clientId} removed ${removedEvents} cached events from room ${client.currentRoom}`);
         break;
         
       case OperationCode.EVENT.STATE:
         // Handle state update
         // Could be player position, rotation, or other state
-        const playerId = this.getParameterValue(message, ParameterCode.PLAYER_ID);
-        
-        if (playerId !== undefined) {
+        if (message.data.tick !== undefined) {
+          // Delta-compressed update, rebuild and re-encode per receiver
+          this.handleStateUpdate(clientId, message);
+        } else if (message.data.playerId !== undefined) {
           // Broadcast state update to room
-          this.broadcastToRoom(client.currentRoom, message, clientId);
+          this.storeState(clientId, message);
+          this.relayToInterested(clientId, message);
         }
         break;
         
@@ -417,8 +827,74 @@ class ArchiveServer {
         // Full state snapshot
         // Usually only sent by authority (server)
         // But could be used for client authority
-        this.broadcastToRoom(client.currentRoom, message, clientId);
+        if (message.parameters[ParameterCode.STATE_TICK] !== undefined) {
+          // Full state that starts or restarts a delta-compressed entity
+          this.handleStateUpdate(clientId, message);
+        } else {
+          this.storeState(clientId, message);
+          this.relayToInterested(clientId, message);
+        }
+        break;
+        
+      case OperationCode.EVENT.REQUEST_SNAPSHOT:
+        // Resend the full room state, e.g. after the client lost track of it
+        client.stateEncoder = new DeltaEncoder();
+        this.sendRoomSnapshot(client.currentRoom, clientId);
         break;
+        
+      case OperationCode.EVENT.STATE_ACK:
+        // Receiver confirmed a state, use it as the baseline for later deltas
+        client.stateEncoder.acknowledge(message.data.playerId, message.data.entityId, message.data.tick);
+        break;
+    }
+  }
+  
+  /**
+   * Rebuild a delta-compressed state update and relay it to the room
+   */
+  handleStateUpdate(clientId, message) {
+    const client = this.clients.get(clientId);
+    const update = client.stateDecoder.apply(message, client.playerId);
+    
+    if (!update) {
+      // Baseline lost, ask the client to send its full state
+      const entityId = message.parameters[ParameterCode.ENTITY_ID];
+      console.warn(`Client ${clientId} sent state delta against an unknown baseline`);
+      
+      client.connection.send(createStateAck(client.playerId, entityId !== undefined ? entityId : client.playerId, 0).encode());
+      return;
+    }
+    
+    client.connection.send(createStateAck(update.ownerId, update.entityId, update.tick).encode());
+    
+    const room = this.rooms.get(client.currentRoom);
+    room.state.update(update.ownerId, update.entityId, update.state);
+    
+    const position = update.state.get(ParameterCode.POSITION);
+    if (position) {
+      this.trackPosition(clientId, update.entityId, position.value);
+    }
+    
+    // Each receiver gets a delta against the last state it acknowledged
+    
+    for (const playerId of room.players) {
+      const player = this.clients.get(playerId);
+      
+      if (playerId === clientId || !player || !player.connection) {
+        continue;
+      }
+      
+      // Players too far away skip the update, their baseline stays valid for later deltas
+      if (room.interest && !room.interest.isInterested(playerId, clientId, update.entityId)) {
+        continue;
+      }
+      
+      if (player.connection.supports(Capability.DELTA_STATE)) {
+        player.connection.send(player.stateEncoder.encode(update.ownerId, update.entityId, update.state).encode());
+      } else {
+        // Players that did not agree to delta compression get the full state every time
+        player.connection.send(createFullState(update.ownerId, update.entityId, update.state).encode());
+      }
     }
   }
   
@@ -429,37 +905,113 @@ class ArchiveServer {
     const client = this.clients.get(clientId);
     
     // Simply echo back the ping with a timestamp
-    const pingResponse = new ArchiveWriter(MessageType.PING, 0x00)
-      .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, Date.now())
-      .encode();
+    const pingResponse = ArchiveWriter.fromObject(MessageType.PING, 0x00, {
+      timestamp: Date.now()
+    }).encode();
     
     client.connection.send(pingResponse);
   }
   
   /**
-   * Handle acknowledgment messages for reliable transmission
+   * Send a reliable message to a client, retransmitted until the client acknowledges it
+   * @param {number} clientId - The client
+   * @param {number} operationCode - The operation code
+   * @param {Object[]} parameters - { code, type, value } of each parameter
+   * @returns {number|null} The message's sequence number, or null if the client is gone
    */
-  handleAckMessage(clientId, message) {
+  sendReliable(clientId, operationCode, parameters = []) {
     const client = this.clients.get(clientId);
     
-    const sequence = this.getParameterValue(message, ParameterCode.SEQUENCE);
+    if (!client || !client.connection) {
+      return null;
+    }
     
-    if (sequence !== undefined) {
-      // Process acknowledgment
-      // This would typically involve removing the message from a resend queue
-      console.log(`Received ACK for sequence ${sequence} from client ${clientId}`);
+    return client.connection.sendReliable(operationCode, parameters);
+  }
+  
+  /**
+   * Get the smoothed round-trip time to a client, measured from its acknowledgements
+   * @param {number} clientId - The client
+   * @returns {Object|null} { rtt, rttVariance, retransmitTimeout } in ms, rtt is null until
+   *     the client acknowledged a reliable message; null if the client is gone
+   */
+  getRoundTripTime(clientId) {
+    const client = this.clients.get(clientId);
+    
+    if (!client || !client.connection) {
+      return null;
+    }
+    
+    const { rtt, rttVariance, retransmitTimeout } = client.connection;
+    return { rtt, rttVariance, retransmitTimeout };
+  }
+  
+  /**
+   * Create an empty room
+   * @param {string} roomId - The room ID
+   * @param {Object} options - Room options from ROOM.CREATE
+   * @param {number} options.maxPlayers - Player limit, 0 for none (default: 0)
+   * @param {string} options.password - Password required to join (default: none)
+   * @param {boolean} options.visible - Whether the room is listed (default: true)
+   * @param {boolean} options.open - Whether players can join (default: true)
+   * @param {number} options.emptyRoomTtl - Time in ms an empty room is kept (default: 0)
+   */
+  createRoom(roomId, options = {}, lobbyName = DEFAULT_LOBBY) {
+    // Options the request left out come from the lobby's defaults
+    options = { ...options };
+    for (const [key, value] of Object.entries(this.lobbies.get(lobbyName).roomDefaults)) {
+      if (options[key] === undefined) {
+        options[key] = value;
+      }
     }
+    
+    const room = {
+      id: roomId,
+      lobby: lobbyName,
+      players: new Set(),
+      properties: { ...options.properties },
+      publicProperties: options.publicProperties || [], // Shown in room lists and usable in filters
+      maxPlayers: options.maxPlayers || 0,
+      passwordHash: options.password ? this.hashPassword(options.password) : null,
+      masterClientId: null, // Runs the room's game logic, the first player to join
+      visible: options.visible !== false,
+      open: options.open !== false,
+      emptyRoomTtl: Math.min(options.emptyRoomTtl || 0, this.maxEmptyRoomTtl),
+      emptyTimer: null,
+      eventCache: new EventCache({ maxEvents: this.maxCachedEvents }),
+      state: new RoomState({ trackedParameters: this.trackedStateParameters }), // Latest entity states, for snapshots
+      interest: this.interestOptions ? new InterestManager(this.interestOptions) : null // Who sees which entity, if enabled
+    };
+    
+    this.rooms.set(roomId, room);
+    this.roomChanged(room);
+    
+    return room;
   }
   
   /**
-   * Join a client to a room
+   * Join a client to a room, enforcing the room's options
+   * @returns {Object} { success: true } or { success: false, errorCode, reason }
    */
-  joinRoom(clientId, roomId) {
+  joinRoom(clientId, roomId, password) {
     const client = this.clients.get(clientId);
     const room = this.rooms.get(roomId);
     
     if (!client || !room) {
-      return false;
+      return { success: false, errorCode: ErrorCode.ROOM_NOT_FOUND, reason: 'Room does not exist' };
+    }
+    
+    if (!room.open) {
+      return { success: false, errorCode: ErrorCode.ROOM_CLOSED, reason: 'Room is closed' };
+    }
+    
+    if (room.maxPlayers > 0 && room.players.size >= room.maxPlayers && !room.players.has(clientId)) {
+      return { success: false, errorCode: ErrorCode.ROOM_FULL, reason: 'Room is full' };
+    }
+    
+    if (room.passwordHash &&
+        !crypto.timingSafeEqual(room.passwordHash, this.hashPassword(password || ''))) {
+      return { success: false, errorCode: ErrorCode.WRONG_PASSWORD, reason: 'Wrong password' };
     }
     
     // If client is already in a room, leave it first
@@ -471,7 +1023,21 @@ class ArchiveServer {
     room.players.add(clientId);
     client.currentRoom = roomId;
     
-    return true;
+    // Nobody else is here, so the new player hosts the room
+    if (room.masterClientId === null) {
+      room.masterClientId = clientId;
+    }
+    
+    // Someone is back, keep the room
+    clearTimeout(room.emptyTimer);
+    room.emptyTimer = null;
+    
+    // Players in a room no longer browse the room list or wait for a match
+    this.lobbies.get(client.lobby).unsubscribe(clientId);
+    this.matchmaking.get(client.lobby).remove(clientId);
+    this.roomChanged(room);
+    
+    return { success: true };
   }
   
   /**
@@ -489,18 +1055,74 @@ class ArchiveServer {
     room.players.delete(clientId);
     client.currentRoom = null;
     
+    // Events tied to the player's lifetime in the room go with it
+    room.eventCache.removeOwnedBy(clientId);
+    client.interestGroups.clear();
+    
+    // The player's entities leave the room with it
+    room.state.removeOwner(client.playerId);
+    if (room.interest) {
+      room.interest.removeClient(clientId);
+    }
+    
+    // Forget delta-compression baselines shared with the room
+    client.stateDecoder = new DeltaDecoder();
+    client.stateEncoder = new DeltaEncoder();
+    
+    for (const playerId of room.players) {
+      const player = this.clients.get(playerId);
+      
+      if (player) {
+        player.stateEncoder.forget(client.playerId);
+      }
+    }
+    
     // Notify other players that this player left
     this.notifyPlayerLeft(roomId, clientId);
+    this.roomChanged(room);
+    
+    // Migrate the host to the player that has been in the room longest
+    if (room.masterClientId === clientId) {
+      const nextMaster = this.pickNextMaster(room);
+      
+      if (nextMaster !== undefined) {
+        this.setMasterClient(roomId, nextMaster);
+      } else {
+        room.masterClientId = null;
+      }
+    }
     
-    // Clean up empty rooms
+    // Clean up empty rooms, after their TTL if they have one
     if (room.players.size === 0) {
-      console.log(`Room ${roomId} is empty, removing`);
-      this.rooms.delete(roomId);
+      if (room.emptyRoomTtl > 0) {
+        room.emptyTimer = setTimeout(() => {
+          console.log(`Room ${roomId} stayed empty, removing`);
+          this.deleteRoom(roomId);
+        }, room.emptyRoomTtl);
+      } else {
+        console.log(`Room ${roomId} is empty, removing`);
+        this.deleteRoom(roomId);
+      }
     }
     
     return true;
   }
   
+  /**
+   * Remove a room, and from the room lists
+   */
+  deleteRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    
+    if (!room) {
+      return;
+    }
+    
+    clearTimeout(room.emptyTimer);
+    this.rooms.delete(roomId);
+    this.roomChanged(room);
+  }
+  
   /**
    * Broadcast a message to all clients in a room except sender
    */
@@ -511,31 +1133,42 @@ class ArchiveServer {
       return;
     }
     
-    // Get the raw message to avoid re-encoding
-    let rawMessage;
-    if (message instanceof Uint8Array) {
-      rawMessage = message;
-    } else {
-      // If it's a parsed object, re-encode it
-      const writer = new ArchiveWriter(message.messageType, message.operationCode);
-      
-      // Add all parameters from the message
-      if (message.parameters) {
-        for (const param of message.parameters) {
-          writer.addParameter(param.code, param.type, param.value);
-        }
-      }
-      
-      rawMessage = writer.encode();
-    }
-    
     // Send to all clients in the room except the sender
-    for (const clientId of room.players) {
-      if (clientId !== excludeClientId) {
-        const client = this.clients.get(clientId);
-        if (client && client.connection) {
-          client.connection.send(rawMessage);
+    const receivers = Array.from(room.players).filter(clientId => clientId !== excludeClientId);
+    this.sendToClients(receivers, message);
+  }
+  
+  /**
+   * Send a message to the given clients
+   */
+  sendToClients(clientIds, message) {
+    // Encoded once for each message size limit among the receivers
+    const encodings = new Map();
+    
+    // Data types used by the message, for players that did not agree to all of them
+    const dataTypes = message.parameterTypes ? Object.values(message.parameterTypes) : [];
+    
+    for (const clientId of clientIds) {
+      const client = this.clients.get(clientId);
+      if (client && client.connection) {
+        if (!dataTypes.every(type => client.connection.supportsDataType(type))) {
+          console.warn(`Not relaying ${message.messageTypeName} message to client ${clientId}, it does not support all of its data types`);
+          continue;
+        }
+        
+        const { maxMessageSize } = client.connection;
+        
+        // Reliable messages are numbered per connection, so each receiver sees one ordered sequence
+        if (message.messageType === MessageType.RELIABLE && message.parameters[ParameterCode.SEQUENCE] !== undefined) {
+          this.relayEncoded(client, this.encodeForRelay(message, { sequence: client.connection.getNextSequence(), maxMessageSize }));
+          continue;
         }
+        
+        if (!encodings.has(maxMessageSize)) {
+          encodings.set(maxMessageSize, this.encodeForRelay(message, { maxMessageSize }));
+        }
+        
+        this.relayEncoded(client, encodings.get(maxMessageSize));
       }
     }
   }
@@ -550,10 +1183,11 @@ class ArchiveServer {
       return;
     }
     
-    const joinNotification = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.JOIN)
-      .addParameter(ParameterCode.PLAYER_ID, DataType.INT, client.playerId)
-      .addParameter(ParameterCode.ROOM_ID, DataType.STRING, roomId)
-      .encode();
+    const joinNotification = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.JOIN, {
+      playerId: client.playerId,
+      roomId,
+      properties: client.properties
+    }).encode();
     
     this.broadcastToRoom(roomId, joinNotification, joinedClientId);
   }
@@ -568,14 +1202,517 @@ class ArchiveServer {
       return;
     }
     
-    const leaveNotification = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.LEAVE)
-      .addParameter(ParameterCode.PLAYER_ID, DataType.INT, client.playerId)
-      .addParameter(ParameterCode.ROOM_ID, DataType.STRING, roomId)
-      .encode();
+    const leaveNotification = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.LEAVE, {
+      playerId: client.playerId,
+      roomId
+    }).encode();
     
     this.broadcastToRoom(roomId, leaveNotification);
   }
   
+  /**
+   * Add a lobby with its room list and matchmaking queue
+   */
+  createLobby(name, config = {}) {
+    const { matchmaking, ...roomDefaults } = config;
+    
+    const lobby = new Lobby(this.rooms, {
+      name,
+      roomDefaults,
+      updateInterval: this.lobbyUpdateInterval,
+      send: (clientId, message) => {
+        const client = this.clients.get(clientId);
+        if (client) {
+          client.connection.send(message);
+        }
+      }
+    });
+    
+    // Players waiting to be grouped into new rooms of this lobby
+    const queue = new MatchmakingQueue({
+      ...this.matchmakingOptions,
+      ...matchmaking,
+      onMatch: (tickets) => this.handleMatch(tickets, name),
+      onTimeout: (ticket) => {
+        this.sendRoomError(ticket.clientId, OperationCode.ROOM.QUEUE_LEAVE, undefined,
+          ErrorCode.MATCH_TIMEOUT, 'No match found in time');
+      }
+    });
+    
+    this.lobbies.set(name, lobby);
+    this.matchmaking.set(name, queue);
+    
+    return lobby;
+  }
+  
+  /**
+   * Get the room, player, browsing and queued counts of a lobby
+   */
+  getLobbyStats(name) {
+    const stats = this.lobbies.get(name).stats();
+    
+    // Clients in the lobby that are not playing in one of the rooms
+    stats.browsingCount = 0;
+    for (const client of this.clients.values()) {
+      if (client.lobby === name && !client.currentRoom) {
+        stats.browsingCount++;
+      }
+    }
+    
+    stats.queuedCount = this.matchmaking.get(name).size;
+    
+    return stats;
+  }
+  
+  /**
+   * Tell a room's lobby that the room was created, removed or changed
+   */
+  roomChanged(room) {
+    this.lobbies.get(room.lobby).roomChanged(room.id);
+  }
+  
+  /**
+   * Make a client the master of its room and tell everyone in the room
+   */
+  setMasterClient(roomId, clientId) {
+    const room = this.rooms.get(roomId);
+    
+    if (!room || room.masterClientId === clientId) {
+      return;
+    }
+    
+    room.masterClientId = clientId;
+    console.log(`Client ${clientId} is now master of room ${roomId}`);
+    
+    const masterNotification = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.SET_MASTER, {
+      roomId,
+      masterId: this.getMasterPlayerId(roomId),
+      success: true
+    }).encode();
+    
+    this.broadcastToRoom(roomId, masterNotification);
+  }
+  
+  /**
+   * Update a player's properties and send what changed to its room
+   * The player itself receives the change too, as confirmation
+   */
+  setPlayerProperties(clientId, properties, removedProperties) {
+    const client = this.clients.get(clientId);
+    
+    if (!client) {
+      return;
+    }
+    
+    // Only send the values that actually changed
+    const changed = {};
+    for (const [key, value] of Object.entries(properties)) {
+      if (!isDeepStrictEqual(client.properties[key], value)) {
+        client.properties[key] = value;
+        changed[key] = value;
+      }
+    }
+    
+    const removed = [];
+    for (const key of removedProperties) {
+      if (key in client.properties && !(key in changed)) {
+        delete client.properties[key];
+        removed.push(key);
+      }
+    }
+    
+    if (Object.keys(changed).length === 0 && removed.length === 0) {
+      return;
+    }
+    
+    const propertiesNotification = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.PLAYER_PROPERTIES, {
+      playerId: client.playerId,
+      properties: changed,
+      removedProperties: removed.length > 0 ? removed : undefined
+    }).encode();
+    
+    if (client.currentRoom) {
+      this.broadcastToRoom(client.currentRoom, propertiesNotification);
+    } else {
+      client.connection.send(propertiesNotification);
+    }
+  }
+  
+  /**
+   * Describe every player in a room with its properties, for join responses
+   * Clients without ARRAY support only learn about players from later notifications
+   */
+  describePlayers(roomId, client) {
+    const room = this.rooms.get(roomId);
+    
+    if (!room || !client.connection.supportsDataType(DataType.ARRAY)) {
+      return undefined;
+    }
+    
+    const players = [];
+    for (const playerClientId of room.players) {
+      const player = this.clients.get(playerClientId);
+      
+      if (player) {
+        players.push({ playerId: player.playerId, properties: player.properties, inactive: player.inactive });
+      }
+    }
+    
+    return players;
+  }
+  
+  /**
+   * Pick the next master of a room: the active player that has been in the room
+   * longest, or any remaining player if all of them lost their connection
+   */
+  pickNextMaster(room, excludeClientId = null) {
+    let fallback;
+    
+    for (const playerClientId of room.players) {
+      const player = this.clients.get(playerClientId);
+      
+      if (playerClientId === excludeClientId || !player) {
+        continue;
+      }
+      
+      if (!player.inactive) {
+        return playerClientId;
+      }
+      
+      if (fallback === undefined) {
+        fallback = playerClientId;
+      }
+    }
+    
+    return fallback;
+  }
+  
+  /**
+   * Tell the other players in a room that a player lost or regained its connection
+   */
+  notifyPlayerStatus(roomId, clientId) {
+    const client = this.clients.get(clientId);
+    
+    const statusNotification = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.PLAYER_STATUS, {
+      playerId: client.playerId,
+      roomId,
+      inactive: client.inactive
+    }).encode();
+    
+    this.broadcastToRoom(roomId, statusNotification, clientId);
+  }
+  
+  /**
+   * Get the player ID of a room's master client
+   */
+  getMasterPlayerId(roomId) {
+    const room = this.rooms.get(roomId);
+    const master = room && room.masterClientId !== null ? this.clients.get(room.masterClientId) : undefined;
+    
+    return master ? master.playerId : undefined;
+  }
+  
+  /**
+   * Find the client in a room with the given player ID
+   */
+  findPlayerInRoom(room, playerId) {
+    for (const clientId of room.players) {
+      const player = this.clients.get(clientId);
+      
+      if (player && player.playerId === playerId) {
+        return player;
+      }
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * Whether a client speaks the original protocol, which carries the AUTH token and the success
+   * flag of responses in PROPERTIES and predates the data types of the message schemas
+   */
+  usesLegacyLayout(client) {
+    return client.connection.protocol.version === LEGACY_PROTOCOL.version;
+  }
+  
+  /**
+   * Encode a response in the form the client understands
+   * @param {Object} client - The receiving client
+   * @param {number} messageType - The message type
+   * @param {number} operationCode - The operation code
+   * @param {Object} values - Fields by name, as for ArchiveWriter.fromObject()
+   * @returns {Buffer} The encoded message
+   */
+  encodeResponse(client, messageType, operationCode, values) {
+    if (!this.usesLegacyLayout(client)) {
+      return ArchiveWriter.fromObject(messageType, operationCode, values).encode();
+    }
+    
+    const { token, success, ...rest } = values;
+    const writer = ArchiveWriter.fromObject(messageType, operationCode, rest);
+    
+    // Version 1 clients read the AUTH token, or the success flag of a response, from PROPERTIES
+    if (token !== undefined) {
+      writer.addParameter(ParameterCode.PROPERTIES, DataType.STRING, token);
+    } else if (success !== undefined) {
+      writer.addParameter(ParameterCode.PROPERTIES, DataType.BOOL, success);
+    }
+    
+    return writer.encode();
+  }
+  
+  /**
+   * Encode a message for relaying to other clients
+   * Reassembled messages can be larger than one message, so the result is split into fragments when needed
+   * @param {Object|Buffer} message - Parsed message, or an already encoded one
+   * @param {Object} options - Options for encoding
+   * @param {number} options.sequence - The receiver's sequence number for a reliable message
+   * @param {number} options.maxMessageSize - Largest message the receiver's connection can send
+   * @returns {Buffer|Buffer[]} The encoded message, or its fragments
+   */
+  encodeForRelay(message, options = {}) {
+    // Get the raw message to avoid re-encoding
+    if (message instanceof Uint8Array) {
+      return message;
+    }
+    
+    // If it's a parsed object, re-encode it
+    const writer = new ArchiveWriter(message.messageType, message.operationCode);
+    
+    // Add all parameters from the message with their original data types, and the receiver's sequence number if given
+    if (message.parameterTypes) {
+      for (const [code, type] of Object.entries(message.parameterTypes)) {
+        // Only RELIABLE messages keep a sequence number end to end, others were numbered for the sender's transport
+        if (Number(code) === ParameterCode.SEQUENCE && message.messageType !== MessageType.RELIABLE) {
+          continue;
+        }
+        
+        const value = Number(code) === ParameterCode.SEQUENCE && options.sequence !== undefined ? options.sequence : message.parameters[code];
+        writer.addParameter(Number(code), type, value);
+      }
+    }
+    
+    return writer.encodeFragments({ maxMessageSize: options.maxMessageSize });
+  }
+  
+  /**
+   * Send a relayed message to a client, skipping it if it has to be fragmented for a client that cannot reassemble it
+   * @param {Object} client - The receiving client
+   * @param {Buffer|Buffer[]} encoded - Result of encodeForRelay()
+   */
+  relayEncoded(client, encoded) {
+    if (Array.isArray(encoded) && encoded.length > 1 && !client.connection.supports(Capability.FRAGMENTATION)) {
+      console.warn(`Not relaying ${encoded.length} fragment message to client ${client.id}, it did not agree to fragmentation`);
+      return;
+    }
+    
+    client.connection.send(encoded);
+  }
+  
+  /**
+   * Keep a raised event in the room's cache if the sender asked for caching
+   */
+  cacheEvent(clientId, message) {
+    const client = this.clients.get(clientId);
+    const room = this.rooms.get(client.currentRoom);
+    const caching = message.parameters[ParameterCode.CACHING];
+    
+    if (caching !== EventCaching.ADD_TO_ROOM_CACHE && caching !== EventCaching.ADD_TO_PLAYER_CACHE) {
+      return;
+    }
+    
+    // Events for chosen receivers must not reach players who join later
+    const targeted = message.parameters[ParameterCode.TARGET_PLAYERS] !== undefined ||
+      message.parameters[ParameterCode.INTEREST_GROUP] !== undefined ||
+      message.parameters[ParameterCode.RECEIVERS] === ReceiverGroup.MASTER_CLIENT;
+    
+    if (targeted) {
+      console.warn(`Not caching targeted event from client ${clientId}`);
+      return;
+    }
+    
+    const cached = room.eventCache.add({
+      ownerId: clientId,
+      playerId: client.playerId,
+      eventCode: message.parameters[ParameterCode.EVENT_CODE],
+      caching,
+      message
+    });
+    
+    if (!cached) {
+      console.warn(`Event cache of room ${room.id} is full, not caching event from client ${clientId}`);
+    }
+  }
+  
+  /**
+   * Find the clients a raised event goes to
+   * TARGET_PLAYERS wins over RECEIVERS; INTEREST_GROUP narrows either down to the group's subscribers
+   */
+  resolveReceivers(clientId, message) {
+    const client = this.clients.get(clientId);
+    const room = this.rooms.get(client.currentRoom);
+    const targetPlayers = message.parameters[ParameterCode.TARGET_PLAYERS];
+    const group = message.parameters[ParameterCode.INTEREST_GROUP];
+    
+    let receivers;
+    if (targetPlayers !== undefined) {
+      const targets = new Set(targetPlayers);
+      receivers = Array.from(room.players).filter(playerClientId => {
+        const player = this.clients.get(playerClientId);
+        return player && targets.has(player.playerId);
+      });
+    } else {
+      switch (message.parameters[ParameterCode.RECEIVERS]) {
+        case ReceiverGroup.ALL:
+          receivers = Array.from(room.players);
+          break;
+          
+        case ReceiverGroup.MASTER_CLIENT:
+          receivers = room.masterClientId !== null ? [room.masterClientId] : [];
+          break;
+          
+        default:
+          receivers = Array.from(room.players).filter(playerClientId => playerClientId !== clientId);
+      }
+    }
+    
+    if (group !== undefined) {
+      receivers = receivers.filter(playerClientId => {
+        const player = this.clients.get(playerClientId);
+        return player && player.interestGroups.has(group);
+      });
+    }
+    
+    return receivers;
+  }
+  
+  /**
+   * Bring a player that just joined up to date with the room's cached events and state
+   */
+  catchUpPlayer(roomId, clientId) {
+    this.replayEventCache(roomId, clientId);
+    this.sendRoomSnapshot(roomId, clientId);
+  }
+  
+  /**
+   * Record a plain state update in the room's state store
+   */
+  storeState(clientId, message) {
+    const client = this.clients.get(clientId);
+    const room = this.rooms.get(client.currentRoom);
+    // The sender owns what it updates, whatever PLAYER_ID it claims, so it cannot overwrite other players' entities
+    const ownerId = client.playerId;
+    const entityId = message.parameters[ParameterCode.ENTITY_ID] !== undefined
+      ? message.parameters[ParameterCode.ENTITY_ID]
+      : ownerId;
+    
+    room.state.update(ownerId, entityId, extractState(message));
+  }
+  
+  /**
+   * Relay a state or unreliable update to the other players in the room
+   * With interest management only players near the updated entity receive it
+   */
+  relayToInterested(clientId, message) {
+    const client = this.clients.get(clientId);
+    const room = this.rooms.get(client.currentRoom);
+    
+    if (!room.interest) {
+      this.broadcastToRoom(room.id, message, clientId);
+      return;
+    }
+    
+    const entityId = message.parameters[ParameterCode.ENTITY_ID] !== undefined
+      ? message.parameters[ParameterCode.ENTITY_ID]
+      : client.playerId;
+    const position = message.parameters[ParameterCode.POSITION];
+    
+    if (position !== undefined) {
+      this.trackPosition(clientId, entityId, position);
+    }
+    
+    const receivers = Array.from(room.players).filter(playerClientId =>
+      playerClientId !== clientId && room.interest.isInterested(playerClientId, clientId, entityId));
+    
+    this.sendToClients(receivers, message);
+  }
+  
+  /**
+   * Record an entity's position and tell players when it enters or leaves their area of interest
+   * The entity with the player's own ID is where the player looks from
+   */
+  trackPosition(clientId, entityId, position) {
+    const client = this.clients.get(clientId);
+    const room = this.rooms.get(client.currentRoom);
+    
+    if (!room.interest || !Array.isArray(position) || position.length < 2) {
+      return;
+    }
+    
+    const changes = room.interest.moveEntity(clientId, entityId, position, { playerId: client.playerId });
+    
+    if (entityId === client.playerId) {
+      changes.push(...room.interest.moveObserver(clientId, position));
+    }
+    
+    for (const { observerId, entity, entered } of changes) {
+      const observer = this.clients.get(observerId);
+      
+      if (!observer) {
+        continue;
+      }
+      
+      const operationCode = entered ? OperationCode.EVENT.INTEREST_ENTER : OperationCode.EVENT.INTEREST_LEAVE;
+      const interestNotification = ArchiveWriter.fromObject(MessageType.EVENT, operationCode, {
+        playerId: entity.info.playerId,
+        entityId: entity.entityId
+      }).encode();
+      
+      observer.connection.send(interestNotification);
+    }
+  }
+  
+  /**
+   * Send the full state of every entity in a room to one player
+   * Players with delta compression get a SNAPSHOT per entity that later deltas build on
+   */
+  sendRoomSnapshot(roomId, clientId) {
+    const room = this.rooms.get(roomId);
+    const client = this.clients.get(clientId);
+    
+    if (!room || !client) {
+      return;
+    }
+    
+    for (const { ownerId, entityId, state } of room.state) {
+      if (client.connection.supports(Capability.DELTA_STATE)) {
+        client.connection.send(client.stateEncoder.encode(ownerId, entityId, state).encode());
+      } else {
+        client.connection.send(createFullState(ownerId, entityId, state).encode());
+      }
+    }
+  }
+  
+  /**
+   * Send a room's cached events to a player that just joined, oldest first
+   */
+  replayEventCache(roomId, clientId) {
+    const room = this.rooms.get(roomId);
+    const client = this.clients.get(clientId);
+    
+    if (!room || !client) {
+      return;
+    }
+    
+    for (const { message } of room.eventCache) {
+      const dataTypes = Object.values(message.parameterTypes || {});
+      
+      if (dataTypes.every(type => client.connection.supportsDataType(type))) {
+        this.relayEncoded(client, this.encodeForRelay(message, { maxMessageSize: client.connection.maxMessageSize }));
+      }
+    }
+  }
+  
   /**
    * Broadcast room properties to all players in a room
    */
@@ -586,14 +1723,197 @@ class ArchiveServer {
       return;
     }
     
-    const propsNotification = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.PROPERTIES)
-      .addParameter(ParameterCode.ROOM_ID, DataType.STRING, roomId)
-      .addParameter(ParameterCode.PROPERTIES, DataType.DICTIONARY, room.properties)
-      .encode();
+    const propsNotification = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.PROPERTIES, {
+      roomId,
+      properties: room.properties,
+      maxPlayers: room.maxPlayers,
+      visible: room.visible,
+      open: room.open
+    }).encode();
     
     this.broadcastToRoom(roomId, propsNotification);
   }
   
+  /**
+   * Handle a closed socket, keeping the player's session for a while if it can be resumed
+   */
+  handleConnectionLost(connection) {
+    const clientId = this.findClientByConnection(connection);
+    const client = this.clients.get(clientId);
+    
+    if (!client || client.inactive) {
+      return;
+    }
+    
+    // Only players can come back, and not once the server is shutting down
+    if (!client.isAuthenticated || this.reconnectGracePeriod <= 0 || !this.listening) {
+      this.handleClientDisconnect(clientId);
+      return;
+    }
+    
+    this.suspendClient(clientId);
+  }
+  
+  /**
+   * Drop the connection of a client that has not sent anything for clientTimeout, e.g. behind a half-open socket
+   */
+  handleConnectionTimeout(connection) {
+    const clientId = this.findClientByConnection(connection);
+    
+    if (clientId === undefined) {
+      return;
+    }
+    
+    console.log(`Client ${clientId} timed out after ${Date.now() - connection.lastReceived} ms of silence`);
+    
+    // Handled like a dropped socket, so the player can resume its session on a new connection
+    this.handleConnectionLost(connection);
+    
+    if (connection.socket.readyState === 1) { // 1 = OPEN
+      connection.socket.close();
+    }
+  }
+  
+  /**
+   * Find the client a connection currently belongs to
+   * @returns {number|undefined} The client ID, if any
+   */
+  findClientByConnection(connection) {
+    for (const [id, client] of this.clients) {
+      if (client.connection === connection) {
+        return id;
+      }
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * Keep a player that lost its connection in its room until it resumes or the grace period ends
+   */
+  suspendClient(clientId) {
+    const client = this.clients.get(clientId);
+    
+    console.log(`Client ${clientId} lost its connection, keeping its session for ${this.reconnectGracePeriod} ms`);
+    
+    client.inactive = true;
+    client.connection.suspend();
+    
+    // An absent player does not browse the room list or wait for a match
+    this.lobbies.get(client.lobby).unsubscribe(clientId);
+    this.matchmaking.get(client.lobby).remove(clientId);
+    
+    if (client.currentRoom) {
+      const room = this.rooms.get(client.currentRoom);
+      this.notifyPlayerStatus(room.id, clientId);
+      
+      // The room's logic cannot wait for an absent master
+      if (room.masterClientId === clientId) {
+        const nextMaster = this.pickNextMaster(room, clientId);
+        
+        if (nextMaster !== undefined && !this.clients.get(nextMaster).inactive) {
+          this.setMasterClient(room.id, nextMaster);
+        }
+      }
+    }
+    
+    client.resumeTimer = setTimeout(() => {
+      console.log(`Client ${clientId} did not resume its session in time`);
+      this.handleClientDisconnect(clientId);
+    }, this.reconnectGracePeriod);
+  }
+  
+  /**
+   * Move a suspended session onto a new connection and deliver what it missed
+   */
+  resumeClient(resumedClientId, clientId) {
+    const resumed = this.clients.get(resumedClientId);
+    const client = this.clients.get(clientId);
+    
+    // The old connection may not have noticed it is gone yet
+    if (!resumed.inactive) {
+      this.suspendClient(resumedClientId);
+    }
+    
+    const oldConnection = resumed.connection;
+    
+    if (oldConnection.missedOverflow) {
+      console.log(`Client ${resumedClientId} missed too many messages to resume its session`);
+      this.handleClientDisconnect(resumedClientId);
+      
+      const resumeFail = ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.RESUME, {
+        success: false,
+        reason: 'Too many missed messages'
+      }).encode();
+      
+      client.connection.send(resumeFail);
+      return;
+    }
+    
+    const missedMessages = oldConnection.takeMissedMessages();
+    oldConnection.close();
+    clearTimeout(resumed.resumeTimer);
+    resumed.resumeTimer = null;
+    
+    // Resume tokens work once, the client gets a fresh one
+    this.resumeTokens.delete(resumed.resumeToken);
+    resumed.resumeToken = this.generateAuthToken();
+    this.resumeTokens.set(resumed.resumeToken, resumedClientId);
+    
+    // The new connection now speaks for the resumed client
+    const connection = client.connection;
+    connection.onMessage = (message) => {
+      this.handleMessage(resumedClientId, message);
+    };
+    connection.onError = (error) => {
+      console.error(`Error for client ${resumedClientId}:`, error);
+    };
+    
+    resumed.connection = connection;
+    resumed.ip = client.ip;
+    resumed.inactive = false;
+    
+    for (const [token, id] of this.authTokens.entries()) {
+      if (id === clientId) {
+        this.authTokens.delete(token);
+      }
+    }
+    this.clients.delete(clientId);
+    
+    console.log(`Client ${clientId} resumed the session of client ${resumedClientId}, delivering ${missedMessages.length} missed messages`);
+    
+    const resumeResponse = ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.RESUME, {
+      playerId: resumed.playerId,
+      roomId: resumed.currentRoom || undefined,
+      resumeToken: resumed.resumeToken,
+      success: true
+    }).encode();
+    
+    connection.send(resumeResponse);
+    
+    for (const missedMessage of missedMessages) {
+      const message = Array.isArray(missedMessage)
+        ? ArchiveParser.joinFragments(missedMessage)
+        : ArchiveParser.parse(missedMessage);
+      
+      if (message.parameters[ParameterCode.SEQUENCE] === undefined) {
+        connection.send(missedMessage);
+        continue;
+      }
+      
+      // The new connection starts a new sequence, so held reliable messages are numbered again;
+      // other messages lose the number of the old transport and get one if the new transport needs it
+      this.relayEncoded(resumed, this.encodeForRelay(message, {
+        sequence: message.messageType === MessageType.RELIABLE ? connection.getNextSequence() : undefined,
+        maxMessageSize: connection.maxMessageSize
+      }));
+    }
+    
+    if (resumed.currentRoom) {
+      this.notifyPlayerStatus(resumed.currentRoom, resumedClientId);
+    }
+  }
+  
   /**
    * Handle client disconnection
    */
@@ -606,11 +1926,18 @@ class ArchiveServer {
     
     console.log(`Client ${clientId} disconnected`);
     
+    // No coming back after this
+    clearTimeout(client.resumeTimer);
+    this.resumeTokens.delete(client.resumeToken);
+    
     // If client was in a room, remove them
     if (client.currentRoom) {
       this.leaveRoom(clientId, client.currentRoom);
     }
     
+    this.lobbies.get(client.lobby).unsubscribe(clientId);
+    this.matchmaking.get(client.lobby).remove(clientId);
+    
     // Clean up auth tokens
     for (const [token, id] of this.authTokens.entries()) {
       if (id === clientId) {
@@ -618,10 +1945,20 @@ class ArchiveServer {
       }
     }
     
+    // Release timers and partially received messages
+    client.connection.close();
+    
     // Remove client from clients map
     this.clients.delete(clientId);
   }
   
+  /**
+   * Generate a unique ID for a room created by the server
+   */
+  generateRoomId() {
+    return `room-${crypto.randomBytes(6).toString('hex')}`;
+  }
+  
   /**
    * Generate a unique client ID
    */
@@ -629,6 +1966,31 @@ class ArchiveServer {
     return Math.floor(Math.random() * 1000000);
   }
   
+  /**
+   * Send a failed ROOM response with the reason
+   */
+  sendRoomError(clientId, operationCode, roomId, errorCode, reason) {
+    const client = this.clients.get(clientId);
+    
+    const values = { success: false, errorCode, reason };
+    
+    // Queue operations are not about a particular room
+    if (roomId !== undefined) {
+      values.roomId = roomId;
+    }
+    
+    const errorResponse = this.encodeResponse(client, MessageType.ROOM, operationCode, values);
+    
+    client.connection.send(errorResponse);
+  }
+  
+  /**
+   * Hash a room password so it is not kept in plaintext
+   */
+  hashPassword(password) {
+    return crypto.createHash('sha256').update(password).digest();
+  }
+  
   /**
    * Generate a unique authentication token
    */
@@ -644,21 +2006,16 @@ class ArchiveServer {
       return undefined;
     }
     
-    for (const param of message.parameters) {
-      if (param.code === paramCode) {
-        return param.value;
-      }
-    }
-    
-    return undefined;
+    return message.parameters[paramCode];
   }
   
   /**
    * Shut down the server
    */
   shutdown() {
-    if (this.server) {
+    if (this.listening) {
       console.log('Shutting down ARCHIVE server');
+      this.listening = false;
       
       // Close all client connections
       for (const [clientId, client] of this.clients.entries()) {
@@ -667,9 +2024,19 @@ class ArchiveServer {
         }
       }
       
-      // Close the server
-      this.server.close();
-      this.server = null;
+      // Stop the timers of empty rooms and lobby updates
+      for (const room of this.rooms.values()) {
+        clearTimeout(room.emptyTimer);
+      }
+      for (const lobbyName of this.lobbies.keys()) {
+        this.lobbies.get(lobbyName).close();
+        this.matchmaking.get(lobbyName).close();
+      }
+      
+      // Stop accepting clients
+      for (const transport of this.transports) {
+        transport.close();
+      }
     }
   }
 }
@@ -677,7 +2044,14 @@ class ArchiveServer {
 // Start the server when the module is run directly
 if (require.main === module) {
   const port = process.env.PORT || 8080;
-  const server = new ArchiveServer(port);
+  const transports = [new WebSocketTransport({ port })];
+  
+  // UDP_PORT adds a UDP transport next to the WebSocket one
+  if (process.env.UDP_PORT) {
+    transports.push(new UdpTransport({ port: Number(process.env.UDP_PORT) }));
+  }
+  
+  const server = new ArchiveServer(port, { transports });
   
   // Handle graceful shutdown
   process.on('SIGINT', () => {
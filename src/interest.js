@@ -0,0 +1,246 @@
+/**
+ * ARCHIVE Protocol Interest Management
+ * Tracks where entities and players are in a room, so position updates only reach
+ * the players near them
+ */
+
+/**
+ * Project a POSITION value onto the horizontal plane
+ * VECTOR2 values use x and y, VECTOR3 values x and z
+ * @private
+ */
+function toPlane(position) {
+  return position.length >= 3 ? [position[0], position[2]] : [position[0], position[1]];
+}
+
+/**
+ * Area-of-interest tracking for one room
+ * Every player sees the entities within a radius of its own position. Positions are
+ * bucketed in a grid with cells as wide as the radius, so only neighbouring cells
+ * have to be checked when something moves.
+ */
+class InterestManager {
+  /**
+   * @param {Object} options - Interest options
+   * @param {number} options.radius - Distance within which a player sees an entity (default: 100)
+   */
+  constructor(options = {}) {
+    this.radius = options.radius || 100;
+
+    // Entities by "ownerId:entityId", and players by client ID
+    this.entities = new Map();
+    this.observers = new Map();
+
+    // Entity and player keys by grid cell
+    this.entityCells = new Map();
+    this.observerCells = new Map();
+  }
+
+  /**
+   * Record an entity's new position
+   * @param {number} ownerId - Client that owns the entity
+   * @param {number} entityId - The entity
+   * @param {number[]} position - The POSITION value
+   * @param {Object} info - Extra data kept with the entity and returned in changes, e.g. the owner's player ID
+   * @returns {Object[]} { observerId, entity, entered } for every player that started or stopped seeing the entity
+   */
+  moveEntity(ownerId, entityId, position, info = {}) {
+    const key = `${ownerId}:${entityId}`;
+    let entity = this.entities.get(key);
+
+    if (!entity) {
+      entity = { key, ownerId, entityId, info, position: null, cell: null, observers: new Set() };
+      this.entities.set(key, entity);
+    }
+
+    entity.position = toPlane(position);
+    this._moveInGrid(this.entityCells, key, entity, entity.position);
+
+    // Players near the entity, and those who saw it before the move
+    const candidates = new Set(entity.observers);
+    for (const observerId of this._nearby(this.observerCells, entity.position)) {
+      candidates.add(observerId);
+    }
+
+    const changes = [];
+    for (const observerId of candidates) {
+      this._check(this.observers.get(observerId), entity, changes);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Record a player's new position
+   * @param {number} clientId - The player's client
+   * @param {number[]} position - The POSITION value
+   * @returns {Object[]} { observerId, entity, entered } for every entity the player started or stopped seeing
+   */
+  moveObserver(clientId, position) {
+    let observer = this.observers.get(clientId);
+
+    if (!observer) {
+      observer = { id: clientId, position: null, cell: null, visible: new Set() };
+      this.observers.set(clientId, observer);
+    }
+
+    observer.position = toPlane(position);
+    this._moveInGrid(this.observerCells, clientId, observer, observer.position);
+
+    // Entities near the player, and those it saw before the move
+    const candidates = new Set(observer.visible);
+    for (const key of this._nearby(this.entityCells, observer.position)) {
+      candidates.add(key);
+    }
+
+    const changes = [];
+    for (const key of candidates) {
+      this._check(observer, this.entities.get(key), changes);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Check whether a player should receive updates of an entity
+   * Players whose position is unknown, and entities that never sent one, are not filtered
+   * @param {number} clientId - The receiving player's client
+   * @param {number} ownerId - Client that owns the entity
+   * @param {number} entityId - The entity
+   * @returns {boolean} True if the update should be sent
+   */
+  isInterested(clientId, ownerId, entityId) {
+    const entity = this.entities.get(`${ownerId}:${entityId}`);
+
+    if (!entity || !this.observers.has(clientId)) {
+      return true;
+    }
+
+    return entity.observers.has(clientId);
+  }
+
+  /**
+   * Forget a player and the entities it owns
+   * @param {number} clientId - The player's client
+   */
+  removeClient(clientId) {
+    const observer = this.observers.get(clientId);
+
+    if (observer) {
+      for (const key of observer.visible) {
+        this.entities.get(key).observers.delete(clientId);
+      }
+      this._removeFromGrid(this.observerCells, clientId, observer);
+      this.observers.delete(clientId);
+    }
+
+    for (const [key, entity] of this.entities) {
+      if (entity.ownerId !== clientId) {
+        continue;
+      }
+
+      for (const observerId of entity.observers) {
+        this.observers.get(observerId).visible.delete(key);
+      }
+      this._removeFromGrid(this.entityCells, key, entity);
+      this.entities.delete(key);
+    }
+  }
+
+  /**
+   * Update whether a player sees an entity, recording the change if there is one
+   * @private
+   */
+  _check(observer, entity, changes) {
+    // Players do not observe their own entities
+    if (entity.ownerId === observer.id) {
+      return;
+    }
+
+    const dx = entity.position[0] - observer.position[0];
+    const dy = entity.position[1] - observer.position[1];
+    const inside = dx * dx + dy * dy <= this.radius * this.radius;
+    const seen = entity.observers.has(observer.id);
+
+    if (inside && !seen) {
+      entity.observers.add(observer.id);
+      observer.visible.add(entity.key);
+      changes.push({ observerId: observer.id, entity, entered: true });
+    } else if (!inside && seen) {
+      entity.observers.delete(observer.id);
+      observer.visible.delete(entity.key);
+      changes.push({ observerId: observer.id, entity, entered: false });
+    }
+  }
+
+  /**
+   * Keys in the grid cells around a position
+   * @private
+   */
+  _nearby(cells, position) {
+    const [cellX, cellY] = this._cellOf(position);
+    const keys = [];
+
+    for (let x = cellX - 1; x <= cellX + 1; x++) {
+      for (let y = cellY - 1; y <= cellY + 1; y++) {
+        const cell = cells.get(`${x},${y}`);
+
+        if (cell) {
+          keys.push(...cell);
+        }
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Move a key to the grid cell of its new position
+   * @private
+   */
+  _moveInGrid(cells, key, item, position) {
+    const cellKey = this._cellOf(position).join(',');
+
+    if (item.cell === cellKey) {
+      return;
+    }
+
+    this._removeFromGrid(cells, key, item);
+
+    if (!cells.has(cellKey)) {
+      cells.set(cellKey, new Set());
+    }
+    cells.get(cellKey).add(key);
+    item.cell = cellKey;
+  }
+
+  /**
+   * Remove a key from its grid cell
+   * @private
+   */
+  _removeFromGrid(cells, key, item) {
+    const cell = item.cell !== null ? cells.get(item.cell) : undefined;
+
+    if (cell) {
+      cell.delete(key);
+
+      if (cell.size === 0) {
+        cells.delete(item.cell);
+      }
+    }
+
+    item.cell = null;
+  }
+
+  /**
+   * Grid cell coordinates of a position
+   * @private
+   */
+  _cellOf(position) {
+    return [Math.floor(position[0] / this.radius), Math.floor(position[1] / this.radius)];
+  }
+}
+
+module.exports = {
+  InterestManager
+};
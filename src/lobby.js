@@ -0,0 +1,246 @@
+/**
+ * ARCHIVE Protocol Lobby
+ * Room listings with filtering and sorting, and pushed updates for subscribed clients
+ */
+
+const { ArchiveWriter } = require('./Protocol/writer');
+const { MessageType, OperationCode } = require('./Protocol/constants');
+
+// Lobby every client starts in, and where rooms go when no other lobby is named
+const DEFAULT_LOBBY = 'default';
+
+// Largest number of rooms a single ROOM.LIST response carries
+const MAX_LIST_LIMIT = 500;
+
+// Room list fields that can be sorted by, besides public properties
+const SORT_FIELDS = new Set(['playerCount', 'maxPlayers']);
+
+/**
+ * Describe a room the way clients see it in a room list
+ * Only the properties the room declared public are included
+ */
+function describeRoom(room) {
+  const properties = {};
+
+  for (const key of room.publicProperties) {
+    if (room.properties[key] !== undefined) {
+      properties[key] = room.properties[key];
+    }
+  }
+
+  return {
+    id: room.id,
+    playerCount: room.players.size,
+    maxPlayers: room.maxPlayers,
+    open: room.open,
+    hasPassword: room.passwordHash !== null,
+    properties
+  };
+}
+
+/**
+ * Check whether a room belongs in a room list
+ * @param {Object} room - The room
+ * @param {Object} query - { filter, onlyJoinable } from ROOM.LIST
+ * @returns {boolean} True if the room is listed
+ */
+function matchesQuery(room, query = {}) {
+  if (!room.visible) {
+    return false;
+  }
+
+  if (query.onlyJoinable) {
+    const full = room.maxPlayers > 0 && room.players.size >= room.maxPlayers;
+
+    if (!room.open || full) {
+      return false;
+    }
+  }
+
+  // Filters only see public properties, so private ones cannot be probed
+  for (const [key, value] of Object.entries(query.filter || {})) {
+    if (!room.publicProperties.includes(key) || room.properties[key] !== value) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Build a room list
+ * @param {Iterable<Object>} rooms - All rooms
+ * @param {Object} query - { filter, onlyJoinable, sortBy, sortDescending, limit } from ROOM.LIST
+ * @returns {Object[]} Descriptions of the matching rooms
+ */
+function listRooms(rooms, query = {}) {
+  const entries = [];
+
+  for (const room of rooms) {
+    if (matchesQuery(room, query)) {
+      entries.push(describeRoom(room));
+    }
+  }
+
+  // Sort by playerCount, maxPlayers or a public property; rooms without the value go last
+  if (query.sortBy) {
+    const valueOf = (entry) => SORT_FIELDS.has(query.sortBy)
+      ? entry[query.sortBy]
+      : entry.properties[query.sortBy];
+    const direction = query.sortDescending ? -1 : 1;
+
+    entries.sort((a, b) => {
+      const aValue = valueOf(a);
+      const bValue = valueOf(b);
+
+      if (aValue === bValue) return 0;
+      if (aValue === undefined) return 1;
+      if (bValue === undefined) return -1;
+      return (aValue < bValue ? -1 : 1) * direction;
+    });
+  }
+
+  return entries.slice(0, Math.min(query.limit || MAX_LIST_LIMIT, MAX_LIST_LIMIT));
+}
+
+/**
+ * A named group of rooms that clients browse and match in, such as casual or ranked
+ * Subscribed clients receive ROOM.LIST_UPDATE when the lobby's listed rooms change
+ */
+class Lobby {
+  /**
+   * @param {Map} rooms - The server's rooms by ID
+   * @param {Object} options - Lobby options
+   * @param {string} options.name - The lobby's name (default: 'default')
+   * @param {Object} options.roomDefaults - Options for rooms created in the lobby, e.g. { maxPlayers, publicProperties }
+   * @param {Function} options.send - Called with (clientId, encodedMessage) to deliver updates
+   * @param {number} options.updateInterval - Time in ms changes are collected before they are pushed (default: 100)
+   */
+  constructor(rooms, options = {}) {
+    this.rooms = rooms;
+    this.name = options.name || DEFAULT_LOBBY;
+    this.roomDefaults = options.roomDefaults || {};
+    this.send = options.send;
+    this.updateInterval = options.updateInterval || 100;
+
+    // Subscribed clients with their query and the rooms they were told about
+    this.subscribers = new Map();
+
+    // Rooms that changed since the last push
+    this.changedRooms = new Set();
+    this.updateTimer = null;
+  }
+
+  /**
+   * Rooms that belong to this lobby
+   * @returns {Object[]} The rooms, oldest first
+   */
+  getRooms() {
+    return Array.from(this.rooms.values()).filter(room => room.lobby === this.name);
+  }
+
+  /**
+   * Count the lobby's rooms and the players in them
+   * @returns {Object} { name, roomCount, playerCount }
+   */
+  stats() {
+    const rooms = this.getRooms();
+
+    return {
+      name: this.name,
+      roomCount: rooms.length,
+      playerCount: rooms.reduce((count, room) => count + room.players.size, 0)
+    };
+  }
+
+  /**
+   * Subscribe a client to updates for the rooms matching its query
+   * @param {number} clientId - The client
+   * @param {Object} query - The ROOM.LIST query
+   * @param {Object[]} listed - The rooms the client was just sent
+   */
+  subscribe(clientId, query, listed) {
+    this.subscribers.set(clientId, {
+      query,
+      known: new Set(listed.map(entry => entry.id))
+    });
+  }
+
+  /**
+   * Stop sending updates to a client
+   * @param {number} clientId - The client
+   */
+  unsubscribe(clientId) {
+    this.subscribers.delete(clientId);
+  }
+
+  /**
+   * Record that a room was created, removed or changed players, properties or options
+   * @param {string} roomId - The room
+   */
+  roomChanged(roomId) {
+    if (this.subscribers.size === 0) {
+      return;
+    }
+
+    this.changedRooms.add(roomId);
+
+    if (!this.updateTimer) {
+      this.updateTimer = setTimeout(() => this.flush(), this.updateInterval);
+    }
+  }
+
+  /**
+   * Push the collected changes to every subscriber now
+   */
+  flush() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+
+    const changed = this.changedRooms;
+    this.changedRooms = new Set();
+
+    for (const [clientId, subscriber] of this.subscribers) {
+      const rooms = [];
+      const removedRooms = [];
+
+      for (const roomId of changed) {
+        const room = this.rooms.get(roomId);
+
+        if (room && room.lobby === this.name && matchesQuery(room, subscriber.query)) {
+          rooms.push(describeRoom(room));
+          subscriber.known.add(roomId);
+        } else if (subscriber.known.delete(roomId)) {
+          // Removed, hidden or no longer matching the client's filter
+          removedRooms.push(roomId);
+        }
+      }
+
+      if (rooms.length > 0 || removedRooms.length > 0) {
+        const update = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.LIST_UPDATE, {
+          rooms,
+          removedRooms
+        }).encode();
+
+        this.send(clientId, update);
+      }
+    }
+  }
+
+  /**
+   * Stop pushing updates
+   */
+  close() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+    this.subscribers.clear();
+  }
+}
+
+module.exports = {
+  DEFAULT_LOBBY,
+  Lobby,
+  listRooms,
+  matchesQuery,
+  describeRoom
+};
@@ -0,0 +1,259 @@
+/**
+ * ARCHIVE Protocol Matchmaking
+ * Picks rooms for ROOM.JOIN_RANDOM and groups queued players into new rooms
+ */
+
+const { FillStrategy } = require('./Protocol/constants');
+const { matchesQuery } = require('./lobby');
+
+/**
+ * Pick a room for a random join
+ * Password-protected rooms are never picked, the player could not know the password
+ * @param {Iterable<Object>} rooms - All rooms, oldest first
+ * @param {Object} filter - Public property values the room must match
+ * @param {number} fillStrategy - How to choose among matching rooms (from FillStrategy enum)
+ * @param {number} serialIndex - Turn counter for FillStrategy.SERIAL
+ * @returns {Object|undefined} The room, if any matches
+ */
+function pickRoom(rooms, filter, fillStrategy, serialIndex = 0) {
+  const candidates = [];
+
+  for (const room of rooms) {
+    if (!room.passwordHash && matchesQuery(room, { filter, onlyJoinable: true })) {
+      candidates.push(room);
+    }
+  }
+
+  if (candidates.length === 0) {
+    return undefined;
+  }
+
+  switch (fillStrategy) {
+    case FillStrategy.RANDOM:
+      return candidates[Math.floor(Math.random() * candidates.length)];
+
+    case FillStrategy.SERIAL:
+      return candidates[serialIndex % candidates.length];
+
+    default:
+      return candidates[0];
+  }
+}
+
+/**
+ * Players waiting to be grouped into a new room
+ * Players are grouped when their skill values are within the allowed range and they
+ * are in the same region. The longer a player waits, the wider the skill range, and
+ * after a while any region is accepted.
+ */
+class MatchmakingQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.groupSize - Players per match (default: 2)
+   * @param {string} options.skillProperty - Queue property holding a player's skill (default: 'skill')
+   * @param {string} options.regionProperty - Queue property holding a player's region (default: 'region')
+   * @param {number} options.skillRange - Skill difference accepted right away (default: 100)
+   * @param {number} options.widenBy - Added to the skill range every widenInterval (default: 50)
+   * @param {number} options.widenInterval - Time in ms between widening steps (default: 5000)
+   * @param {number} options.maxSkillRange - Widest skill range (default: no limit)
+   * @param {number} options.anyRegionAfter - Time in ms after which any region is accepted (default: 30000)
+   * @param {number} options.timeout - Time in ms before a player gives up waiting (default: 120000)
+   * @param {number} options.matchInterval - Time in ms between matching passes (default: 1000)
+   * @param {Function} options.onMatch - Called with the players' tickets when a group is found
+   * @param {Function} options.onTimeout - Called with a player's ticket when it timed out
+   */
+  constructor(options = {}) {
+    this.groupSize = options.groupSize || 2;
+    this.skillProperty = options.skillProperty || 'skill';
+    this.regionProperty = options.regionProperty || 'region';
+    this.skillRange = options.skillRange !== undefined ? options.skillRange : 100;
+    this.widenBy = options.widenBy !== undefined ? options.widenBy : 50;
+    this.widenInterval = options.widenInterval || 5000;
+    this.maxSkillRange = options.maxSkillRange || Infinity;
+    this.anyRegionAfter = options.anyRegionAfter || 30000;
+    this.timeout = options.timeout || 120000;
+    this.matchInterval = options.matchInterval || 1000;
+    this.onMatch = options.onMatch;
+    this.onTimeout = options.onTimeout;
+
+    // Tickets by client ID, in the order players started waiting
+    this.tickets = new Map();
+    this.matchTimer = null;
+  }
+
+  /**
+   * Number of waiting players
+   * @returns {number} The player count
+   */
+  get size() {
+    return this.tickets.size;
+  }
+
+  /**
+   * Start waiting for a match
+   * @param {number} clientId - The player's client
+   * @param {Object} properties - The player's queue properties, e.g. { skill: 1200, region: 'eu' }
+   * @returns {boolean} False if the player is already waiting
+   */
+  add(clientId, properties = {}) {
+    if (this.tickets.has(clientId)) {
+      return false;
+    }
+
+    this.tickets.set(clientId, {
+      clientId,
+      skill: properties[this.skillProperty],
+      region: properties[this.regionProperty],
+      properties,
+      queuedAt: Date.now()
+    });
+
+    this._startMatching();
+    return true;
+  }
+
+  /**
+   * Put a player back after its match fell through, keeping the time it has waited
+   * @param {Object} ticket - The player's ticket, as passed to onMatch
+   * @returns {boolean} False if the player is already waiting
+   */
+  requeue(ticket) {
+    if (this.tickets.has(ticket.clientId)) {
+      return false;
+    }
+
+    // Keep the tickets in the order players started waiting
+    const tickets = [...this.tickets.values(), ticket].sort((a, b) => a.queuedAt - b.queuedAt);
+    this.tickets = new Map(tickets.map(waiting => [waiting.clientId, waiting]));
+
+    this._startMatching();
+    return true;
+  }
+
+  /**
+   * Stop waiting
+   * @param {number} clientId - The player's client
+   * @returns {boolean} True if the player was waiting
+   */
+  remove(clientId) {
+    const removed = this.tickets.delete(clientId);
+
+    if (this.tickets.size === 0) {
+      this.close();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Check whether a player is waiting
+   * @param {number} clientId - The player's client
+   * @returns {boolean} True if waiting
+   */
+  has(clientId) {
+    return this.tickets.has(clientId);
+  }
+
+  /**
+   * Run a matching pass, starting with the players that waited longest
+   * @param {number} now - Current time in ms (default: Date.now())
+   */
+  match(now = Date.now()) {
+    const grouped = new Set();
+
+    for (const anchor of Array.from(this.tickets.values())) {
+      if (grouped.has(anchor)) {
+        continue;
+      }
+
+      if (now - anchor.queuedAt >= this.timeout) {
+        this.remove(anchor.clientId);
+
+        if (this.onTimeout) {
+          this.onTimeout(anchor);
+        }
+        continue;
+      }
+
+      const group = [anchor];
+
+      for (const candidate of this.tickets.values()) {
+        if (group.length === this.groupSize) {
+          break;
+        }
+
+        // Everyone in the group has to accept the candidate, not just the anchor
+        if (!group.includes(candidate) && !grouped.has(candidate) &&
+            group.every(member => this._compatible(member, candidate, now))) {
+          group.push(candidate);
+        }
+      }
+
+      if (group.length < this.groupSize) {
+        continue;
+      }
+
+      for (const ticket of group) {
+        grouped.add(ticket);
+        this.remove(ticket.clientId);
+      }
+
+      if (this.onMatch) {
+        this.onMatch(group);
+      }
+    }
+  }
+
+  /**
+   * Stop matching and drop all waiting players
+   */
+  close() {
+    clearInterval(this.matchTimer);
+    this.matchTimer = null;
+    this.tickets.clear();
+  }
+
+  /**
+   * Run matching passes while players are waiting
+   * @private
+   */
+  _startMatching() {
+    if (!this.matchTimer) {
+      this.matchTimer = setInterval(() => this.match(), this.matchInterval);
+    }
+  }
+
+  /**
+   * Skill difference a player accepts after waiting
+   * @private
+   */
+  _skillRange(ticket, now) {
+    const steps = Math.floor((now - ticket.queuedAt) / this.widenInterval);
+    return Math.min(this.skillRange + steps * this.widenBy, this.maxSkillRange);
+  }
+
+  /**
+   * Check whether two players can play together; either player's widened search is enough
+   * @private
+   */
+  _compatible(a, b, now) {
+    const anyRegion = now - a.queuedAt >= this.anyRegionAfter || now - b.queuedAt >= this.anyRegionAfter;
+
+    if (a.region !== b.region && !anyRegion) {
+      return false;
+    }
+
+    // Players without a skill value match anyone
+    if (typeof a.skill !== 'number' || typeof b.skill !== 'number') {
+      return true;
+    }
+
+    const range = Math.max(this._skillRange(a, now), this._skillRange(b, now));
+    return Math.abs(a.skill - b.skill) <= range;
+  }
+}
+
+module.exports = {
+  MatchmakingQueue,
+  pickRoom
+};
@@ -0,0 +1,75 @@
+/**
+ * ARCHIVE Protocol Room State
+ * The latest state of every entity in a room, so players who join can be sent a snapshot
+ */
+
+/**
+ * Latest EVENT.STATE parameters per player and entity
+ */
+class RoomState {
+  /**
+   * @param {Object} options - State options
+   * @param {number[]} options.trackedParameters - Parameter codes to keep (default: all state parameters)
+   */
+  constructor(options = {}) {
+    this.trackedParameters = options.trackedParameters ? new Set(options.trackedParameters) : null;
+
+    // Entities by "ownerId:entityId", in the order they first appeared
+    this.entities = new Map();
+  }
+
+  /**
+   * Number of entities with a stored state
+   * @returns {number} The entity count
+   */
+  get size() {
+    return this.entities.size;
+  }
+
+  /**
+   * Merge a state update into an entity's stored state
+   * @param {number} ownerId - Player that owns the entity
+   * @param {number} entityId - The entity
+   * @param {Map<number, {type: number, value: *}>} state - State parameters by code
+   */
+  update(ownerId, entityId, state) {
+    const key = `${ownerId}:${entityId}`;
+    let entity = this.entities.get(key);
+
+    for (const [code, parameter] of state) {
+      if (this.trackedParameters && !this.trackedParameters.has(code)) {
+        continue;
+      }
+
+      if (!entity) {
+        entity = { ownerId, entityId, state: new Map() };
+        this.entities.set(key, entity);
+      }
+
+      entity.state.set(code, parameter);
+    }
+  }
+
+  /**
+   * Drop all entities of a player
+   * @param {number} ownerId - The player
+   */
+  removeOwner(ownerId) {
+    for (const [key, entity] of this.entities) {
+      if (entity.ownerId === ownerId) {
+        this.entities.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Iterate the stored entities as { ownerId, entityId, state }
+   */
+  [Symbol.iterator]() {
+    return this.entities.values();
+  }
+}
+
+module.exports = {
+  RoomState
+};
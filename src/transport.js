@@ -0,0 +1,53 @@
+/**
+ * ARCHIVE Protocol Transports
+ * Accept client connections for ArchiveServer
+ *
+ * A transport has listen(onConnection) and close(). For every new client it calls
+ * onConnection(socket, remoteAddress) with a WebSocket-like socket, which ArchiveConnection
+ * can use directly: binaryType, onmessage, readyState, send(), close() and a 'close' event.
+ * Sockets may set maxMessageSize to the largest message they can carry, and reliable to false
+ * if messages can be lost on the way.
+ */
+
+const WebSocket = require('ws');
+
+/**
+ * Clients connecting over WebSocket
+ */
+class WebSocketTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {number} options.port - Port to listen on (default: 8080)
+   */
+  constructor(options = {}) {
+    this.name = 'websocket';
+    this.port = options.port || 8080;
+    this.server = null;
+  }
+
+  /**
+   * Start accepting clients
+   * @param {Function} onConnection - Called with (socket, remoteAddress) for every client
+   */
+  listen(onConnection) {
+    this.server = new WebSocket.Server({ port: this.port });
+
+    this.server.on('connection', (socket, request) => {
+      onConnection(socket, request.socket.remoteAddress);
+    });
+  }
+
+  /**
+   * Stop accepting clients
+   */
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+module.exports = {
+  WebSocketTransport
+};
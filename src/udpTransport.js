@@ -0,0 +1,480 @@
+/**
+ * ARCHIVE Protocol UDP Transport
+ * Carries one ARCHIVE message per datagram. Clients open a session with a short
+ * handshake, and sessions end when either side closes them or nothing arrives for a while.
+ */
+
+const dgram = require('dgram');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// WebSocket readyState values, so ArchiveConnection can treat both sockets alike
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// Transport packets start with a zero byte, which is not an ARCHIVE message type
+const CONTROL = 0x00;
+const Control = {
+  HELLO: 0x01, // Client asks for a cookie, padded to the size of the answer
+  COOKIE: 0x02, // Server sends a cookie bound to the client's address
+  CONNECT: 0x03, // Client opens the session with the cookie
+  ACCEPT: 0x04, // Server opened the session, with its maximum message size
+  CLOSE: 0x05, // Either side ends the session
+  KEEPALIVE: 0x06 // Client is still there
+};
+
+const COOKIE_LENGTH = 16;
+const COOKIE_LIFETIME = 10000;
+
+// Fits in a datagram on common paths without IP fragmentation
+const DEFAULT_MAX_MESSAGE_SIZE = 1200;
+
+/**
+ * Encode a transport packet
+ * @private
+ */
+function controlPacket(kind, body = Buffer.alloc(0)) {
+  return Buffer.concat([Buffer.from([CONTROL, kind]), body]);
+}
+
+/**
+ * One end of a UDP session, with the surface of a WebSocket
+ */
+class UdpSocket extends EventEmitter {
+  /**
+   * @param {Object} options - Socket options
+   * @param {Function} options.send - Writes a datagram to the peer
+   * @param {number} options.maxMessageSize - Largest datagram to send (default: 1200)
+   * @param {Function} options.onClose - Called once when the session ends
+   */
+  constructor(options = {}) {
+    super();
+    this.readyState = OPEN;
+    this.binaryType = 'arraybuffer';
+    this.onmessage = null;
+    this.maxMessageSize = options.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+    this.reliable = false; // Datagrams may be lost, duplicated or reordered
+    this.lastReceived = Date.now();
+    this.lastSent = Date.now();
+    this._write = options.send;
+    this._onClose = options.onClose;
+  }
+
+  /**
+   * Send one message as a datagram
+   * @param {Buffer} data - The encoded message
+   */
+  send(data) {
+    if (this.readyState !== OPEN) {
+      return;
+    }
+
+    this.lastSent = Date.now();
+    this._write(data);
+  }
+
+  /**
+   * End the session and tell the peer
+   */
+  close() {
+    if (this.readyState === OPEN) {
+      this._write(controlPacket(Control.CLOSE));
+    }
+
+    this._closed();
+  }
+
+  /**
+   * Pass a received message on
+   * @private
+   */
+  _receive(data) {
+    this.lastReceived = Date.now();
+
+    if (this.readyState === OPEN && this.onmessage) {
+      this.onmessage({ data: data.buffer.slice(data.byteOffset, data.byteOffset + data.length) });
+    }
+  }
+
+  /**
+   * Mark the session as ended and emit 'close' on the next tick, like a WebSocket
+   * @private
+   */
+  _closed() {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+
+    this.readyState = CLOSED;
+
+    if (this._onClose) {
+      this._onClose();
+    }
+
+    process.nextTick(() => this.emit('close'));
+  }
+}
+
+/**
+ * Clients connecting over UDP, tracked by address and port
+ */
+class UdpTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {number} options.port - Port to listen on (default: 8081)
+   * @param {string} options.host - Address to bind to (default: all)
+   * @param {string} options.type - 'udp4' or 'udp6' (default: 'udp4')
+   * @param {number} options.maxMessageSize - Largest datagram to send, below the path MTU (default: 1200)
+   * @param {number} options.idleTimeout - Time in ms without any datagram before a session ends (default: 15000)
+   */
+  constructor(options = {}) {
+    this.name = 'udp';
+    this.port = options.port || 8081;
+    this.host = options.host;
+    this.type = options.type || 'udp4';
+    this.maxMessageSize = options.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+    this.idleTimeout = options.idleTimeout || 15000;
+
+    // Signs handshake cookies, so the server keeps no state for addresses that never answer
+    this.secret = crypto.randomBytes(32);
+
+    this.socket = null;
+    this.sessions = new Map(); // Map of sockets by "address:port"
+    this.idleTimer = null;
+  }
+
+  /**
+   * Start accepting clients
+   * @param {Function} onConnection - Called with (socket, remoteAddress) for every client
+   */
+  listen(onConnection) {
+    this.socket = dgram.createSocket(this.type);
+
+    this.socket.on('message', (data, remote) => {
+      this._handleDatagram(data, remote, onConnection);
+    });
+
+    this.socket.on('error', (error) => {
+      console.error('UDP transport error:', error);
+    });
+
+    this.socket.bind(this.port, this.host);
+
+    // End sessions that went quiet
+    this.idleTimer = setInterval(() => {
+      const now = Date.now();
+
+      for (const session of Array.from(this.sessions.values())) {
+        if (now - session.lastReceived > this.idleTimeout) {
+          session.close();
+        }
+      }
+    }, Math.min(1000, this.idleTimeout));
+  }
+
+  /**
+   * Close every session and stop accepting clients
+   */
+  close() {
+    for (const session of Array.from(this.sessions.values())) {
+      session.close();
+    }
+
+    clearInterval(this.idleTimer);
+    this.idleTimer = null;
+
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Route a datagram to its session, or handle it as part of the handshake
+   * @private
+   */
+  _handleDatagram(data, remote, onConnection) {
+    const key = `${remote.address}:${remote.port}`;
+    const session = this.sessions.get(key);
+
+    if (data.length < 2) {
+      return;
+    }
+
+    if (data[0] !== CONTROL) {
+      // Messages from addresses without a session are dropped
+      if (session) {
+        session._receive(data);
+      }
+      return;
+    }
+
+    switch (data[1]) {
+      case Control.HELLO:
+        // Answers are never larger than the request, so spoofed HELLOs cannot amplify traffic
+        if (data.length >= 2 + COOKIE_LENGTH) {
+          this._sendTo(remote, controlPacket(Control.COOKIE, this._cookie(key, 0)));
+        }
+        break;
+
+      case Control.CONNECT:
+        if (session) {
+          // Our ACCEPT was lost, send it again
+          session.lastReceived = Date.now();
+          this._sendTo(remote, this._acceptPacket());
+        } else if (this._validCookie(key, data.subarray(2))) {
+          this._openSession(key, remote, onConnection);
+        }
+        break;
+
+      case Control.CLOSE:
+        if (session) {
+          session._closed();
+        }
+        break;
+
+      case Control.KEEPALIVE:
+        if (session) {
+          session.lastReceived = Date.now();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Create the socket of a client that completed the handshake
+   * @private
+   */
+  _openSession(key, remote, onConnection) {
+    const session = new UdpSocket({
+      maxMessageSize: this.maxMessageSize,
+      send: (data) => this._sendTo(remote, data),
+      onClose: () => {
+        if (this.sessions.get(key) === session) {
+          this.sessions.delete(key);
+        }
+      }
+    });
+
+    this.sessions.set(key, session);
+    this._sendTo(remote, this._acceptPacket());
+
+    onConnection(session, remote.address);
+  }
+
+  /**
+   * Build the ACCEPT packet, which tells the client our maximum message size
+   * @private
+   */
+  _acceptPacket() {
+    const body = Buffer.alloc(2);
+    body.writeUInt16LE(this.maxMessageSize, 0);
+    return controlPacket(Control.ACCEPT, body);
+  }
+
+  /**
+   * Cookie for an address, for the current lifetime window or an earlier one
+   * @private
+   */
+  _cookie(key, windowsAgo) {
+    const window = Math.floor(Date.now() / COOKIE_LIFETIME) - windowsAgo;
+
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${key}:${window}`)
+      .digest()
+      .subarray(0, COOKIE_LENGTH);
+  }
+
+  /**
+   * Check a cookie from CONNECT, accepting ones issued in the previous window too
+   * @private
+   */
+  _validCookie(key, cookie) {
+    if (cookie.length !== COOKIE_LENGTH) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(cookie, this._cookie(key, 0)) ||
+      crypto.timingSafeEqual(cookie, this._cookie(key, 1));
+  }
+
+  /**
+   * Write a datagram to an address
+   * @private
+   */
+  _sendTo(remote, data) {
+    if (this.socket) {
+      this.socket.send(data, remote.port, remote.address);
+    }
+  }
+}
+
+/**
+ * Client end of a UDP session, used like a WebSocket
+ * Emits 'open' once the server accepted the session, 'close' when it ends and
+ * 'error' if the handshake fails.
+ */
+class UdpClientSocket extends UdpSocket {
+  /**
+   * @param {string} host - Server address
+   * @param {number} port - Server port
+   * @param {Object} options - Socket options
+   * @param {string} options.type - 'udp4' or 'udp6' (default: 'udp4')
+   * @param {number} options.maxMessageSize - Largest datagram to send (default: 1200, lowered to the server's)
+   * @param {number} options.connectTimeout - Time in ms to complete the handshake (default: 5000)
+   * @param {number} options.idleTimeout - Time in ms without any datagram before the session ends (default: 15000)
+   * @param {number} options.keepaliveInterval - Send a keepalive after this long without sending (default: 5000)
+   */
+  constructor(host, port, options = {}) {
+    super({
+      maxMessageSize: options.maxMessageSize,
+      send: (data) => this.socket.send(data)
+    });
+
+    this.readyState = CONNECTING;
+    this.connectTimeout = options.connectTimeout || 5000;
+    this.idleTimeout = options.idleTimeout || 15000;
+    this.keepaliveInterval = options.keepaliveInterval || 5000;
+    this.cookie = null;
+    this.handshakeTimer = null;
+    this.keepaliveTimer = null;
+
+    this.socket = dgram.createSocket(options.type || 'udp4');
+
+    this.socket.on('message', (data) => {
+      this._handleDatagram(data);
+    });
+
+    this.socket.on('error', (error) => {
+      this._fail(error);
+    });
+
+    // Only datagrams from the server reach a connected socket
+    this.socket.connect(port, host, () => {
+      this._handshake(Date.now());
+    });
+  }
+
+  /**
+   * Send HELLO, or CONNECT once we have a cookie, until the server answers
+   * @private
+   */
+  _handshake(startedAt) {
+    if (this.readyState !== CONNECTING) {
+      return;
+    }
+
+    if (Date.now() - startedAt > this.connectTimeout) {
+      this._fail(new Error('UDP handshake timed out'));
+      return;
+    }
+
+    this._write(this.cookie
+      ? controlPacket(Control.CONNECT, this.cookie)
+      : controlPacket(Control.HELLO, Buffer.alloc(COOKIE_LENGTH)));
+
+    this.handshakeTimer = setTimeout(() => this._handshake(startedAt), 500);
+  }
+
+  /**
+   * Handle a datagram from the server
+   * @private
+   */
+  _handleDatagram(data) {
+    if (data.length < 2) {
+      return;
+    }
+
+    if (data[0] !== CONTROL) {
+      this._receive(data);
+      return;
+    }
+
+    this.lastReceived = Date.now();
+
+    switch (data[1]) {
+      case Control.COOKIE:
+        if (this.readyState === CONNECTING && !this.cookie) {
+          this.cookie = Buffer.from(data.subarray(2));
+          clearTimeout(this.handshakeTimer);
+          this._handshake(Date.now());
+        }
+        break;
+
+      case Control.ACCEPT:
+        if (this.readyState === CONNECTING && data.length >= 4) {
+          this._open(data.readUInt16LE(2));
+        }
+        break;
+
+      case Control.CLOSE:
+        this._closed();
+        break;
+    }
+  }
+
+  /**
+   * Start the session once the server accepted it
+   * @private
+   */
+  _open(serverMaxMessageSize) {
+    clearTimeout(this.handshakeTimer);
+    this.handshakeTimer = null;
+
+    this.readyState = OPEN;
+    this.maxMessageSize = Math.min(this.maxMessageSize, serverMaxMessageSize);
+    this.lastReceived = Date.now();
+
+    // Keep the session, and any NAT mapping on the way, alive while idle
+    this.keepaliveTimer = setInterval(() => {
+      const now = Date.now();
+
+      if (now - this.lastReceived > this.idleTimeout) {
+        this._closed();
+      } else if (now - this.lastSent >= this.keepaliveInterval) {
+        this.send(controlPacket(Control.KEEPALIVE));
+      }
+    }, Math.min(1000, this.keepaliveInterval));
+
+    this.emit('open');
+  }
+
+  /**
+   * End the handshake with an error
+   * @private
+   */
+  _fail(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('UDP socket error:', error);
+    }
+
+    this._closed();
+  }
+
+  /**
+   * Stop the timers and release the UDP socket
+   * @private
+   */
+  _closed() {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+
+    clearTimeout(this.handshakeTimer);
+    clearInterval(this.keepaliveTimer);
+    this.handshakeTimer = null;
+    this.keepaliveTimer = null;
+
+    super._closed();
+    this.socket.close();
+  }
+}
+
+module.exports = {
+  UdpTransport,
+  UdpClientSocket,
+  DEFAULT_MAX_MESSAGE_SIZE
+};
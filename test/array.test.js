@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+/**
+ * Encode a value as the PROPERTIES parameter and parse it back
+ */
+function roundTrip(value, dataType, format) {
+  const data = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.PROPERTIES, dataType, value, format)
+    .encode();
+
+  return ArchiveParser.parse(data).parameters[ParameterCode.PROPERTIES];
+}
+
+test('round-trips an ARRAY with a declared element type', () => {
+  assert.deepStrictEqual(roundTrip([1, 70000, -3], DataType.ARRAY, DataType.INT), [1, 70000, -3]);
+  assert.deepStrictEqual(roundTrip(['red', 'blue'], DataType.ARRAY, DataType.STRING), ['red', 'blue']);
+  assert.deepStrictEqual(roundTrip([], DataType.ARRAY, DataType.STRING), []);
+});
+
+test('widens integer elements to a type that holds all of them', () => {
+  const data = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.PROPERTIES, DataType.ARRAY, [1, 300, -2])
+    .encode();
+
+  // Payload: code, ARRAY type, element type, count, then the elements
+  assert.strictEqual(data[6], DataType.SHORT);
+  assert.deepStrictEqual(ArchiveParser.parse(data).parameters[ParameterCode.PROPERTIES], [1, 300, -2]);
+});
+
+test('round-trips nested arrays and dictionaries', () => {
+  const players = [{ name: 'ada', score: 12 }, { name: 'bob', score: 7 }];
+
+  assert.deepStrictEqual(roundTrip(players, DataType.ARRAY, DataType.DICTIONARY), players);
+  assert.deepStrictEqual(roundTrip([['a', 'b'], ['c']], DataType.ARRAY), [['a', 'b'], ['c']]);
+});
+
+test('round-trips a LIST of mixed element types', () => {
+  const list = [1, 'two', true, { three: 3 }, ['x', 'y', 'z']];
+
+  assert.deepStrictEqual(roundTrip(list, DataType.LIST), list);
+});
+
+test('infers ARRAY and LIST for dictionary values', () => {
+  const properties = { tags: ['a', 'b'], mixed: [1, 'a'], ids: [1, 2, 3, 4, 5], position: [1, 2, 3] };
+
+  assert.deepStrictEqual(roundTrip(properties, DataType.DICTIONARY), properties);
+});
+
+test('refuses an ARRAY of mixed elements without an element type', () => {
+  assert.throws(
+    () => new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE).addParameter(ParameterCode.PROPERTIES, DataType.ARRAY, [1, 'a']),
+    /mixed types/
+  );
+});
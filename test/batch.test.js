@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser, ArchiveConnection } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { LOCAL_PROTOCOL } = require('../src/Protocol/handshake');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+/**
+ * An EVENT.RAISE carrying an action
+ */
+function createEvent(action) {
+  return new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, action)
+    .encode();
+}
+
+/**
+ * Connection on a fake socket that batches with the peer
+ */
+function createConnection(options = {}) {
+  const socket = { readyState: 1, sent: [], send(data) { this.sent.push(data); }, close() {} };
+  const connection = new ArchiveConnection(socket, { batchInterval: 1000, ...options });
+
+  connection.setProtocol(LOCAL_PROTOCOL);
+
+  return { connection, socket };
+}
+
+test('packs messages into a BATCH and unpacks them in order', () => {
+  const batch = ArchiveParser.parse(ArchiveWriter.encodeBatch([createEvent('a'), createEvent('b'), createEvent('c')]));
+
+  assert.strictEqual(batch.messageType, MessageType.BATCH);
+  assert.deepStrictEqual(ArchiveParser.parseBatch(batch).map(message => message.parameters[ParameterCode.ACTION]), ['a', 'b', 'c']);
+});
+
+test('rejects a truncated batch', () => {
+  const data = Buffer.concat([createEvent('a'), createEvent('b')]);
+  const batch = ArchiveParser.parse(new ArchiveWriter(MessageType.BATCH, 0x00)
+    .addParameter(ParameterCode.BATCH_DATA, DataType.BLOB, data.subarray(0, data.length - 3))
+    .encode());
+
+  assert.throws(() => ArchiveParser.parseBatch(batch));
+});
+
+test('coalesces messages until the connection is flushed', () => {
+  const { connection, socket } = createConnection();
+
+  connection.send(createEvent('a'));
+  connection.send(createEvent('b'));
+  assert.deepStrictEqual(socket.sent, []);
+
+  connection.flush();
+
+  assert.strictEqual(socket.sent.length, 1);
+  assert.deepStrictEqual(ArchiveParser.parseBatch(ArchiveParser.parse(socket.sent[0]))
+    .map(message => message.parameters[ParameterCode.ACTION]), ['a', 'b']);
+  connection.close();
+});
+
+test('sends a single queued message without a batch around it', () => {
+  const { connection, socket } = createConnection();
+
+  connection.send(createEvent('alone'));
+  connection.flush();
+
+  assert.strictEqual(socket.sent.length, 1);
+  assert.strictEqual(socket.sent[0][0], MessageType.EVENT);
+  connection.close();
+});
+
+test('sends a batch early once it reaches the maximum size', () => {
+  const { connection, socket } = createConnection({ maxBatchSize: 100 });
+
+  for (let i = 0; i < 5; i++) {
+    connection.send(createEvent('x'.repeat(20)));
+  }
+
+  assert.ok(socket.sent.length >= 1);
+  assert.ok(socket.sent.every(data => data.length <= 100));
+  connection.close();
+});
+
+test('does not batch for a peer without the capability', () => {
+  const socket = { readyState: 1, sent: [], send(data) { this.sent.push(data); }, close() {} };
+  const connection = new ArchiveConnection(socket, { batchInterval: 1000 });
+
+  connection.send(createEvent('a'));
+
+  assert.strictEqual(socket.sent.length, 1);
+  connection.close();
+});
+
+test('delivers every message of a received batch', () => {
+  const { connection } = createConnection();
+  const delivered = [];
+  connection.onMessage = message => delivered.push(message.parameters[ParameterCode.ACTION]);
+
+  const batch = ArchiveWriter.encodeBatch([createEvent('a'), createEvent('b')]);
+  connection.socket.onmessage({ data: Uint8Array.from(batch).buffer });
+
+  assert.deepStrictEqual(delivered, ['a', 'b']);
+  connection.close();
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser } = require('../src/Protocol/parser');
+const { DeltaEncoder, DeltaDecoder, extractState } = require('../src/Protocol/delta');
+const { OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+/**
+ * Entity state with a position and health
+ */
+function createState(position, health) {
+  return new Map([
+    [ParameterCode.POSITION, { type: DataType.VECTOR3, value: position }],
+    [ParameterCode.HEALTH, { type: DataType.SHORT, value: health }]
+  ]);
+}
+
+/**
+ * Encode a state for the receiver and parse it as the receiver would
+ */
+function send(encoder, state) {
+  return ArchiveParser.parse(encoder.encode(1, 5, state).encode());
+}
+
+test('sends a full snapshot until the receiver acknowledges a baseline', () => {
+  const encoder = new DeltaEncoder();
+
+  const first = send(encoder, createState([0, 0, 0], 100));
+  const second = send(encoder, createState([1, 0, 0], 100));
+
+  assert.strictEqual(first.operationCode, OperationCode.EVENT.SNAPSHOT);
+  assert.strictEqual(second.operationCode, OperationCode.EVENT.SNAPSHOT);
+  assert.strictEqual(second.parameters[ParameterCode.STATE_TICK], 2);
+});
+
+test('sends only the parameters that changed since the baseline', () => {
+  const encoder = new DeltaEncoder();
+  const decoder = new DeltaDecoder();
+
+  const snapshot = send(encoder, createState([0, 0, 0], 100));
+  decoder.apply(snapshot);
+  encoder.acknowledge(1, 5, snapshot.parameters[ParameterCode.STATE_TICK]);
+
+  const delta = send(encoder, createState([2, 0, 0], 100));
+
+  assert.strictEqual(delta.operationCode, OperationCode.EVENT.STATE);
+  assert.strictEqual(delta.parameters[ParameterCode.BASELINE_TICK], 1);
+  assert.deepStrictEqual(delta.parameters[ParameterCode.POSITION], [2, 0, 0]);
+  assert.strictEqual(delta.parameters[ParameterCode.HEALTH], undefined);
+
+  const { state } = decoder.apply(delta);
+  assert.deepStrictEqual(state.get(ParameterCode.POSITION).value, [2, 0, 0]);
+  assert.strictEqual(state.get(ParameterCode.HEALTH).value, 100);
+});
+
+test('sends a full snapshot when parameters were removed', () => {
+  const encoder = new DeltaEncoder();
+  const decoder = new DeltaDecoder();
+
+  const snapshot = send(encoder, createState([0, 0, 0], 100));
+  decoder.apply(snapshot);
+  encoder.acknowledge(1, 5, snapshot.parameters[ParameterCode.STATE_TICK]);
+
+  const positionOnly = new Map([[ParameterCode.POSITION, { type: DataType.VECTOR3, value: [0, 0, 0] }]]);
+  const message = send(encoder, positionOnly);
+
+  assert.strictEqual(message.operationCode, OperationCode.EVENT.SNAPSHOT);
+  assert.strictEqual(message.parameters[ParameterCode.BASELINE_TICK], undefined);
+
+  const { state } = decoder.apply(message);
+  assert.deepStrictEqual(Array.from(state.keys()), [ParameterCode.POSITION]);
+});
+
+test('reports a delta against a baseline the receiver does not have', () => {
+  const encoder = new DeltaEncoder();
+
+  send(encoder, createState([0, 0, 0], 100));
+  encoder.acknowledge(1, 5, 1);
+
+  assert.strictEqual(new DeltaDecoder().apply(send(encoder, createState([1, 0, 0], 90))), null);
+});
+
+test('starts over with a snapshot when the receiver lost its baseline', () => {
+  const encoder = new DeltaEncoder();
+
+  send(encoder, createState([0, 0, 0], 100));
+  encoder.acknowledge(1, 5, 1);
+  encoder.acknowledge(1, 5, 0);
+
+  assert.strictEqual(send(encoder, createState([1, 0, 0], 90)).operationCode, OperationCode.EVENT.SNAPSHOT);
+});
+
+test('keeps addressing parameters out of the state', () => {
+  const encoder = new DeltaEncoder();
+  const state = extractState(send(encoder, createState([0, 0, 0], 100)));
+
+  assert.deepStrictEqual(Array.from(state.keys()), [ParameterCode.POSITION, ParameterCode.HEALTH]);
+});
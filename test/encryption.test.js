@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser, ArchiveConnection } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { SessionCipher } = require('../src/Protocol/encryption');
+const { LOCAL_PROTOCOL } = require('../src/Protocol/handshake');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+/**
+ * Client and server ciphers that completed the key exchange
+ */
+function createCiphers() {
+  const client = new SessionCipher();
+  const server = new SessionCipher();
+
+  client.deriveKeys(server.publicKey, false);
+  server.deriveKeys(client.publicKey, true);
+
+  return { client, server };
+}
+
+/**
+ * An EVENT.RAISE carrying an action
+ */
+function createEvent(action) {
+  return new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, action)
+    .encode();
+}
+
+/**
+ * An UNRELIABLE message carrying an action
+ */
+function createUpdate(action) {
+  return new ArchiveWriter(MessageType.UNRELIABLE, 0x01)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, action)
+    .encode();
+}
+
+/**
+ * Two connections wired to each other that agreed on session keys
+ */
+function createConnectionPair(options = {}) {
+  const sockets = [0, 1].map(() => ({ readyState: 1, wire: [], close() {} }));
+  const [client, server] = sockets.map(socket => new ArchiveConnection(socket, options));
+
+  sockets[0].send = data => { sockets[0].wire.push(data); sockets[1].onmessage({ data: Uint8Array.from(data).buffer }); };
+  sockets[1].send = data => { sockets[1].wire.push(data); sockets[0].onmessage({ data: Uint8Array.from(data).buffer }); };
+
+  const clientKey = client.createKeyExchange();
+  const serverKey = server.createKeyExchange();
+  client.completeKeyExchange(serverKey, false);
+  server.completeKeyExchange(clientKey, true);
+
+  return { client, server, clientSocket: sockets[0] };
+}
+
+test('decrypts what the peer encrypted', () => {
+  const { client, server } = createCiphers();
+
+  const encrypted = client.encrypt(createEvent('secret'));
+  assert.strictEqual(encrypted[0], MessageType.ENCRYPTED);
+  assert.strictEqual(encrypted.includes(Buffer.from('secret')), false);
+
+  const { messageType, operationCode, payload } = server.decrypt(ArchiveParser.parse(encrypted));
+  const message = ArchiveParser.parsePayload(messageType, operationCode, payload);
+
+  assert.strictEqual(message.messageType, MessageType.EVENT);
+  assert.strictEqual(message.parameters[ParameterCode.ACTION], 'secret');
+});
+
+test('uses a separate key for each direction', () => {
+  const { client } = createCiphers();
+
+  assert.throws(() => client.decrypt(ArchiveParser.parse(client.encrypt(createEvent('echo')))), /failed authentication/);
+});
+
+test('rejects a replayed message', () => {
+  const { client, server } = createCiphers();
+  const encrypted = ArchiveParser.parse(client.encrypt(createEvent('once')));
+
+  server.decrypt(encrypted);
+
+  assert.throws(() => server.decrypt(encrypted), /Replayed encrypted message/);
+});
+
+test('rejects a tampered message', () => {
+  const { client, server } = createCiphers();
+  const encrypted = client.encrypt(createEvent('intact'));
+  const message = ArchiveParser.parse(encrypted);
+
+  message.parameters[ParameterCode.ENCRYPTED_DATA][12] ^= 0xFF;
+
+  assert.throws(() => server.decrypt(message), /failed authentication/);
+});
+
+test('encrypts control messages but not unreliable ones on a connection', () => {
+  const { client, server, clientSocket } = createConnectionPair();
+  const delivered = [];
+  server.onMessage = message => delivered.push(message.parameters[ParameterCode.ACTION]);
+
+  client.send(createEvent('raise'));
+  client.send(createUpdate('move'));
+
+  assert.deepStrictEqual(clientSocket.wire.map(data => data[0]), [MessageType.ENCRYPTED, MessageType.UNRELIABLE]);
+  assert.deepStrictEqual(delivered, ['raise', 'move']);
+  client.close();
+  server.close();
+});
+
+test('drops plaintext that should have been encrypted', () => {
+  const { server } = createConnectionPair();
+  const errors = [];
+  server.onMessage = () => assert.fail('plaintext EVENT was delivered');
+  server.onError = error => errors.push(error.type);
+
+  server.socket.onmessage({ data: Uint8Array.from(createEvent('forged')).buffer });
+
+  assert.deepStrictEqual(errors, ['UNENCRYPTED_MESSAGE']);
+  server.close();
+});
+
+test('encrypts a batch even if only plaintext types are in it', () => {
+  const { client, server, clientSocket } = createConnectionPair({ batchInterval: 1000 });
+  const delivered = [];
+  server.onMessage = message => delivered.push(message.parameters[ParameterCode.ACTION]);
+  client.setProtocol(LOCAL_PROTOCOL);
+
+  client.send(createUpdate('left'));
+  client.send(createUpdate('right'));
+  client.flush();
+
+  assert.deepStrictEqual(clientSocket.wire.map(data => data[0]), [MessageType.ENCRYPTED]);
+  assert.deepStrictEqual(delivered, ['left', 'right']);
+  client.close();
+  server.close();
+});
+
+test('drops a plaintext batch', () => {
+  const { server } = createConnectionPair();
+  const errors = [];
+  server.onMessage = () => assert.fail('a message of the plaintext BATCH was delivered');
+  server.onError = error => errors.push(error.type);
+
+  const batch = ArchiveWriter.encodeBatch([createUpdate('a'), createUpdate('b')]);
+  server.socket.onmessage({ data: Uint8Array.from(batch).buffer });
+
+  assert.deepStrictEqual(errors, ['UNENCRYPTED_MESSAGE']);
+  server.close();
+});
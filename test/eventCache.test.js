@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { EventCache } = require('../src/eventCache');
+const { MessageType, OperationCode, ParameterCode, DataType, EventCaching } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * Raise an event in the client's room
+ */
+function raise(client, eventCode, caching, action) {
+  client.connection.send(new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.EVENT_CODE, DataType.BYTE, eventCode)
+    .addParameter(ParameterCode.CACHING, DataType.BYTE, caching)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, action)
+    .encode());
+}
+
+/**
+ * The actions of the events a client received
+ */
+function receivedActions(client) {
+  return client.messages
+    .filter(message => message.operationName === 'RAISE')
+    .map(message => message.parameters[ParameterCode.ACTION]);
+}
+
+test('removes cached events by event code and sender', () => {
+  const cache = new EventCache();
+
+  cache.add({ ownerId: 1, playerId: 10, eventCode: 1, caching: EventCaching.ADD_TO_ROOM_CACHE });
+  cache.add({ ownerId: 1, playerId: 10, eventCode: 2, caching: EventCaching.ADD_TO_ROOM_CACHE });
+  cache.add({ ownerId: 2, playerId: 20, eventCode: 1, caching: EventCaching.ADD_TO_ROOM_CACHE });
+
+  assert.strictEqual(cache.remove({ eventCode: 1, playerId: 10 }), 1);
+  assert.deepStrictEqual(Array.from(cache, event => [event.playerId, event.eventCode]), [[10, 2], [20, 1]]);
+  assert.strictEqual(cache.remove({}), 2);
+});
+
+test('drops only the player-cached events of a sender that left', () => {
+  const cache = new EventCache();
+
+  cache.add({ ownerId: 1, eventCode: 1, caching: EventCaching.ADD_TO_PLAYER_CACHE });
+  cache.add({ ownerId: 1, eventCode: 2, caching: EventCaching.ADD_TO_ROOM_CACHE });
+  cache.add({ ownerId: 2, eventCode: 3, caching: EventCaching.ADD_TO_PLAYER_CACHE });
+
+  assert.strictEqual(cache.removeOwnedBy(1), 1);
+  assert.deepStrictEqual(Array.from(cache, event => event.eventCode), [2, 3]);
+});
+
+test('stops caching once the cache is full', () => {
+  const cache = new EventCache({ maxEvents: 1 });
+
+  assert.strictEqual(cache.add({ eventCode: 1 }), true);
+  assert.strictEqual(cache.add({ eventCode: 2 }), false);
+  assert.strictEqual(cache.size, 1);
+});
+
+test('replays cached events to a late joiner in order', async () => {
+  const { server, transport } = createServer();
+  const [host, late] = [await connectClient(transport), await connectClient(transport)];
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  await tick();
+  raise(host, 1, EventCaching.ADD_TO_ROOM_CACHE, 'spawn');
+  raise(host, 2, EventCaching.DO_NOT_CACHE, 'chat');
+  raise(host, 3, EventCaching.ADD_TO_PLAYER_CACHE, 'score');
+  await tick();
+
+  sendObject(late, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+
+  assert.deepStrictEqual(receivedActions(late), ['spawn', 'score']);
+
+  server.shutdown();
+});
+
+test('forgets the events of a player that left and the ones it removed', async () => {
+  const { server, transport } = createServer();
+  const [host, guest, late] = [await connectClient(transport), await connectClient(transport), await connectClient(transport)];
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  await tick();
+  sendObject(guest, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+
+  raise(host, 1, EventCaching.ADD_TO_ROOM_CACHE, 'spawn');
+  raise(host, 2, EventCaching.ADD_TO_ROOM_CACHE, 'door');
+  raise(guest, 3, EventCaching.ADD_TO_PLAYER_CACHE, 'flag');
+  raise(guest, 4, EventCaching.ADD_TO_ROOM_CACHE, 'wall');
+  await tick();
+
+  sendObject(guest, MessageType.EVENT, OperationCode.EVENT.REMOVE_CACHE, { playerId: host.playerId });
+  sendObject(host, MessageType.EVENT, OperationCode.EVENT.REMOVE_CACHE, { eventCode: 2 });
+  sendObject(guest, MessageType.ROOM, OperationCode.ROOM.LEAVE, {});
+  await tick();
+
+  sendObject(late, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+
+  assert.deepStrictEqual(receivedActions(late), ['spawn', 'wall'], 'only the master can remove events of other players');
+
+  server.shutdown();
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser, ArchiveConnection } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+/**
+ * EVENT.RAISE with two 40 KB parameters, too large for a single message
+ */
+function createLargeMessage() {
+  return new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'a'.repeat(40000))
+    .addParameter(ParameterCode.PROPERTIES, DataType.BYTE_ARRAY, Buffer.alloc(40000, 7));
+}
+
+/**
+ * Connection on a fake socket that collects what it delivers and reports
+ */
+function createConnection(options = {}) {
+  const socket = { readyState: 1, send() {}, close() {} };
+  const connection = new ArchiveConnection(socket, options);
+  const delivered = [];
+  const errors = [];
+
+  connection.onMessage = message => delivered.push(message);
+  connection.onError = error => errors.push(error.type);
+
+  const receive = data => socket.onmessage({ data: data.buffer.slice(data.byteOffset, data.byteOffset + data.length) });
+
+  return { connection, delivered, errors, receive };
+}
+
+test('splits a message over 64 KB and joins it again', () => {
+  const fragments = createLargeMessage().encodeFragments();
+
+  assert.strictEqual(fragments.length, 2);
+  assert.ok(fragments.every(fragment => fragment[0] === MessageType.FRAGMENT));
+
+  const message = ArchiveParser.joinFragments(fragments);
+  assert.strictEqual(message.messageType, MessageType.EVENT);
+  assert.strictEqual(message.operationCode, OperationCode.EVENT.RAISE);
+  assert.strictEqual(message.parameters[ParameterCode.ACTION], 'a'.repeat(40000));
+  assert.deepStrictEqual(message.parameters[ParameterCode.PROPERTIES], Buffer.alloc(40000, 7));
+});
+
+test('returns the working buffer to the pool once the message is split', () => {
+  const writer = createLargeMessage();
+  const workingBuffer = writer.buffer;
+
+  writer.encodeFragments();
+
+  const next = createLargeMessage();
+  assert.strictEqual(next.buffer, workingBuffer);
+  next.encodeFragments();
+
+  assert.throws(() => writer.encode(), /reset\(\) the writer/);
+  assert.throws(() => writer.addParameter(ParameterCode.HEALTH, DataType.INT, 1), /reset\(\) the writer/);
+
+  const reused = writer.reset(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'small')
+    .encode();
+  assert.strictEqual(ArchiveParser.parse(reused).parameters[ParameterCode.ACTION], 'small');
+});
+
+test('keeps every fragment within the maximum message size', () => {
+  const fragments = createLargeMessage().encodeFragments({ maxMessageSize: 1200 });
+
+  assert.ok(fragments.length > 60);
+  assert.ok(fragments.every(fragment => fragment.length <= 1200));
+  assert.strictEqual(ArchiveParser.joinFragments(fragments).parameters[ParameterCode.ACTION].length, 40000);
+});
+
+test('sends a message that fits as it is', () => {
+  const fragments = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'jump')
+    .encodeFragments();
+
+  assert.strictEqual(fragments.length, 1);
+  assert.strictEqual(ArchiveParser.parse(fragments[0]).parameters[ParameterCode.ACTION], 'jump');
+});
+
+test('drops fragments for a peer without fragmentation instead of throwing', () => {
+  const sent = [];
+  const errors = [];
+  const connection = new ArchiveConnection({ readyState: 1, send: data => sent.push(data), close() {} });
+  connection.onError = error => errors.push(error.type);
+
+  assert.doesNotThrow(() => connection.send(createLargeMessage().encodeFragments()));
+
+  assert.deepStrictEqual(sent, []);
+  assert.deepStrictEqual(errors, ['FRAGMENTATION_UNSUPPORTED']);
+  connection.close();
+});
+
+test('reassembles fragments that arrive out of order', () => {
+  const { connection, delivered, receive } = createConnection();
+  const fragments = createLargeMessage().encodeFragments({ maxMessageSize: 1200 });
+
+  [...fragments].reverse().forEach(receive);
+
+  assert.strictEqual(delivered.length, 1);
+  assert.strictEqual(delivered[0].parameters[ParameterCode.ACTION], 'a'.repeat(40000));
+  assert.strictEqual(connection.partialMessages.size, 0);
+  connection.close();
+});
+
+test('limits the number of unfinished messages', () => {
+  const { connection, delivered, errors, receive } = createConnection({ maxPartialMessages: 2 });
+
+  for (let i = 0; i < 3; i++) {
+    receive(createLargeMessage().encodeFragments()[0]);
+  }
+
+  assert.deepStrictEqual(delivered, []);
+  assert.deepStrictEqual(errors, ['FRAGMENT_LIMIT_EXCEEDED']);
+  assert.strictEqual(connection.partialMessages.size, 2);
+  connection.close();
+});
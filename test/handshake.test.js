@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser } = require('../src/Protocol/parser');
+const { LEGACY_PROTOCOL, LOCAL_PROTOCOL, createConnectRequest, negotiate } = require('../src/Protocol/handshake');
+const { Capability, DataType } = require('../src/Protocol/constants');
+
+/**
+ * The decoded CONNECT request a client would send
+ */
+function createRequest(protocol, publicKey) {
+  return ArchiveParser.decode(createConnectRequest(protocol, publicKey).encode()).data;
+}
+
+test('agrees on everything with a client that supports everything', () => {
+  const { accepted, protocol } = negotiate(createRequest(LOCAL_PROTOCOL, Buffer.alloc(65, 4)));
+
+  assert.strictEqual(accepted, true);
+  assert.deepStrictEqual(protocol, LOCAL_PROTOCOL);
+});
+
+test('treats a client without a version as version 1', () => {
+  const { accepted, protocol } = negotiate({});
+
+  assert.strictEqual(accepted, true);
+  assert.deepStrictEqual(protocol, LEGACY_PROTOCOL);
+});
+
+test('only offers encryption with a key to agree on', () => {
+  const { protocol } = negotiate(createRequest(LOCAL_PROTOCOL));
+
+  assert.strictEqual(protocol.capabilities & Capability.ENCRYPTION, 0);
+  assert.notStrictEqual(protocol.capabilities & Capability.FRAGMENTATION, 0);
+});
+
+test('keeps only the capabilities and data types both sides support', () => {
+  const request = createRequest({
+    version: LOCAL_PROTOCOL.version,
+    capabilities: Capability.FRAGMENTATION | Capability.BATCHING,
+    dataTypes: [...LEGACY_PROTOCOL.dataTypes, DataType.ARRAY]
+  });
+
+  const { protocol } = negotiate(request);
+
+  assert.strictEqual(protocol.capabilities, Capability.FRAGMENTATION | Capability.BATCHING);
+  assert.deepStrictEqual(protocol.dataTypes, [...LEGACY_PROTOCOL.dataTypes, DataType.ARRAY]);
+});
+
+test('rejects clients older than the minimum version', () => {
+  const result = negotiate({}, { minVersion: 2 });
+
+  assert.strictEqual(result.accepted, false);
+  assert.match(result.reason, /version 2 or newer is required/);
+});
+
+test('rejects clients without the original data types', () => {
+  const result = negotiate({ version: 2, dataTypes: [DataType.BOOL, DataType.STRING] });
+
+  assert.strictEqual(result.accepted, false);
+  assert.match(result.reason, /required data types/);
+});
+
+test('rejects clients that cannot encrypt when encryption is required', () => {
+  const result = negotiate(createRequest(LOCAL_PROTOCOL), { requireEncryption: true });
+
+  assert.strictEqual(result.accepted, false);
+  assert.strictEqual(result.reason, 'Encryption is required');
+});
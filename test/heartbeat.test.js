@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser, ArchiveConnection } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+const { createServer, connectClient, sendObject } = require('./helpers/server');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Connection on a fake socket that records what is sent
+ */
+function createConnection(options) {
+  const socket = { readyState: 1, sent: [], send(data) { this.sent.push(data); }, close() { this.readyState = 3; } };
+  const connection = new ArchiveConnection(socket, options);
+
+  return { connection, socket };
+}
+
+test('sends heartbeats while it has nothing else to send', async () => {
+  const { connection, socket } = createConnection({ heartbeatInterval: 20 });
+
+  await wait(50);
+
+  assert.ok(socket.sent.length >= 1);
+  assert.ok(socket.sent.every(data => data[0] === MessageType.SYSTEM && data[1] === OperationCode.SYSTEM.HEARTBEAT));
+  assert.strictEqual(ArchiveParser.parse(socket.sent[0]).parameters[ParameterCode.SEQUENCE], undefined);
+  connection.close();
+});
+
+test('gives up on a peer that went silent', async () => {
+  const { connection } = createConnection({ heartbeatTimeout: 30 });
+  let timedOut = 0;
+  connection.onTimeout = () => timedOut++;
+
+  await wait(60);
+
+  assert.strictEqual(timedOut, 1);
+  connection.close();
+});
+
+test('keeps a connection that receives data', async () => {
+  const { connection } = createConnection({ heartbeatTimeout: 40 });
+  let timedOut = 0;
+  connection.onTimeout = () => timedOut++;
+
+  const heartbeat = ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.HEARTBEAT, { timestamp: 1 }).encode();
+  for (let i = 0; i < 4; i++) {
+    await wait(20);
+    connection.socket.onmessage({ data: Uint8Array.from(heartbeat).buffer });
+  }
+
+  assert.strictEqual(timedOut, 0);
+  connection.close();
+});
+
+test('closes a silent connection without a timeout handler', async () => {
+  const { connection, socket } = createConnection({ heartbeatTimeout: 20 });
+  const errors = [];
+  connection.onError = error => errors.push(error.type);
+
+  await wait(50);
+
+  assert.deepStrictEqual(errors, ['HEARTBEAT_TIMEOUT']);
+  assert.strictEqual(socket.readyState, 3);
+});
+
+test('drops a client that stops answering from its room', async () => {
+  const { server, transport } = createServer({ clientTimeout: 60, reconnectGracePeriod: 0 });
+  const host = await connectClient(transport);
+  const silent = await connectClient(transport);
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  sendObject(silent, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+
+  // Only the host keeps talking; the silent client's socket stays open, like a half-open TCP connection
+  silent.socket.onmessage = () => {};
+  for (let i = 0; i < 6; i++) {
+    await wait(25);
+    host.connection.send(new ArchiveWriter(MessageType.SYSTEM, OperationCode.SYSTEM.HEARTBEAT)
+      .addParameter(ParameterCode.TIMESTAMP, DataType.DOUBLE, Date.now())
+      .encode());
+  }
+
+  const playerIds = Array.from(server.rooms.get('game').players, clientId => server.clients.get(clientId).playerId);
+  assert.deepStrictEqual(playerIds, [host.playerId]);
+
+  server.shutdown();
+});
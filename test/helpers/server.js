@@ -0,0 +1,136 @@
+const { EventEmitter } = require('events');
+const { ArchiveServer } = require('../../src/index');
+const { ArchiveConnection } = require('../../src/Protocol/parser');
+const { ArchiveWriter } = require('../../src/Protocol/writer');
+const { createConnectRequest } = require('../../src/Protocol/handshake');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../../src/Protocol/constants');
+
+console.log = () => {};
+
+/**
+ * One end of an in-memory connection, with the surface of a WebSocket
+ */
+class FakeSocket extends EventEmitter {
+  constructor(properties = {}) {
+    super();
+    this.readyState = 1;
+    this.onmessage = null;
+    Object.assign(this, properties);
+  }
+
+  send(data) {
+    if (this.readyState !== 1) {
+      return;
+    }
+
+    const copy = Uint8Array.from(data);
+    setImmediate(() => {
+      if (this.peer.readyState === 1 && this.peer.onmessage) {
+        this.peer.onmessage({ data: copy.buffer });
+      }
+    });
+  }
+
+  close() {
+    if (this.readyState === 3) {
+      return;
+    }
+
+    this.readyState = 3;
+    this.emit('close');
+    this.peer.close();
+  }
+}
+
+/**
+ * Transport that hands the server in-memory sockets
+ */
+class FakeTransport {
+  constructor() {
+    this.name = 'fake';
+    this.port = 0;
+  }
+
+  listen(onConnection) {
+    this.onConnection = onConnection;
+  }
+
+  close() {}
+
+  /**
+   * Open a connection to the server and return the client's end
+   * @param {Object} socketProperties - e.g. { reliable: false } for a lossy transport
+   */
+  connect(socketProperties = {}) {
+    const client = new FakeSocket(socketProperties);
+    const server = new FakeSocket(socketProperties);
+
+    client.peer = server;
+    server.peer = client;
+    this.onConnection(server, '127.0.0.1');
+
+    return client;
+  }
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+/**
+ * Server on a fake transport, without heartbeats or timers that outlive the test
+ */
+function createServer(options = {}) {
+  const transport = new FakeTransport();
+  const server = new ArchiveServer(0, {
+    transports: [transport],
+    heartbeatInterval: 0,
+    clientTimeout: 0,
+    ...options
+  });
+
+  return { server, transport };
+}
+
+/**
+ * Connect and authenticate a client
+ * @returns {Promise<Object>} { connection, socket, messages, playerId, resumeToken }
+ */
+function connectClient(transport, options = {}) {
+  return new Promise(resolve => {
+    const socket = transport.connect(options.socket);
+    const connection = new ArchiveConnection(socket);
+    const client = { connection, socket, messages: [] };
+
+    connection.onMessage = message => {
+      client.messages.push(message);
+
+      if (message.operationName !== 'AUTH' || client.playerId !== undefined) {
+        return;
+      }
+
+      // Version 1 clients get the token and the success flag in PROPERTIES
+      if (message.parameters.AUTH_TOKEN) {
+        const token = message.parameters.AUTH_TOKEN;
+        connection.send(ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.AUTH, { token }).encode());
+      } else if (typeof message.parameters.PROPERTIES === 'string') {
+        connection.send(new ArchiveWriter(MessageType.SYSTEM, OperationCode.SYSTEM.AUTH)
+          .addParameter(ParameterCode.PROPERTIES, DataType.STRING, message.parameters.PROPERTIES)
+          .encode());
+      } else if (message.parameters.SUCCESS || message.parameters.PROPERTIES === true) {
+        client.playerId = message.parameters.PLAYER_ID;
+        client.resumeToken = message.parameters.RESUME_TOKEN;
+        resolve(client);
+      }
+    };
+
+    connection.send((options.connect || createConnectRequest()).encode());
+  });
+}
+
+/**
+ * Send a message built from named fields
+ */
+function sendObject(client, messageType, operationCode, values) {
+  client.connection.send(ArchiveWriter.fromObject(messageType, operationCode, values).encode());
+}
+
+module.exports = { FakeSocket, FakeTransport, tick, createServer, connectClient, sendObject };
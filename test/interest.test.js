@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { InterestManager } = require('../src/interest');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * The changes of a move as [observerId, entityId, entered]
+ */
+function describeChanges(changes) {
+  return changes.map(({ observerId, entity, entered }) => [observerId, entity.entityId, entered]);
+}
+
+/**
+ * Send a position update for the client itself
+ */
+function move(client, position) {
+  client.connection.send(new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.STATE)
+    .addParameter(ParameterCode.PLAYER_ID, DataType.INT, client.playerId)
+    .addParameter(ParameterCode.POSITION, DataType.VECTOR3, position)
+    .encode());
+}
+
+test('reports entities entering and leaving a player\'s radius', () => {
+  const interest = new InterestManager({ radius: 10 });
+
+  interest.moveObserver(1, [0, 0, 0]);
+
+  assert.deepStrictEqual(describeChanges(interest.moveEntity(2, 5, [3, 100, 4])), [[1, 5, true]], 'height is ignored');
+  assert.deepStrictEqual(describeChanges(interest.moveEntity(2, 5, [6, 0, 8])), []);
+  assert.deepStrictEqual(describeChanges(interest.moveEntity(2, 5, [30, 0, 0])), [[1, 5, false]]);
+  assert.deepStrictEqual(describeChanges(interest.moveObserver(1, [25, 0, 0])), [[1, 5, true]]);
+  assert.strictEqual(interest.isInterested(1, 2, 5), true);
+});
+
+test('filters only players and entities with a known position', () => {
+  const interest = new InterestManager({ radius: 10 });
+
+  interest.moveEntity(2, 5, [50, 50]);
+
+  assert.strictEqual(interest.isInterested(1, 2, 5), true, 'a player without a position sees everything');
+  assert.strictEqual(interest.isInterested(1, 2, 6), true, 'an entity without a position is seen by everyone');
+
+  interest.moveObserver(1, [0, 0]);
+  assert.strictEqual(interest.isInterested(1, 2, 5), false);
+});
+
+test('forgets a player and its entities', () => {
+  const interest = new InterestManager({ radius: 10 });
+
+  interest.moveObserver(1, [0, 0]);
+  interest.moveObserver(2, [1, 1]);
+  interest.moveEntity(1, 5, [0, 0]);
+  interest.moveEntity(2, 6, [1, 1]);
+
+  interest.removeClient(1);
+
+  assert.strictEqual(interest.entities.has('1:5'), false);
+  assert.strictEqual(interest.entities.get('2:6').observers.size, 0);
+  assert.deepStrictEqual(describeChanges(interest.moveEntity(2, 6, [2, 2])), []);
+});
+
+test('relays position updates only to nearby players', async () => {
+  const { server, transport } = createServer({ interest: { radius: 10 } });
+  const [near, far, mover] = [await connectClient(transport), await connectClient(transport), await connectClient(transport)];
+
+  sendObject(near, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'world' });
+  await tick();
+  sendObject(far, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'world' });
+  sendObject(mover, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'world' });
+  await tick();
+
+  move(near, [0, 0, 0]);
+  move(far, [500, 0, 500]);
+  await tick();
+
+  for (const client of [near, far]) {
+    client.messages.length = 0;
+  }
+
+  move(mover, [3, 0, 4]);
+  await tick();
+
+  const received = client => client.messages.filter(message =>
+    message.operationName === 'STATE' && message.parameters[ParameterCode.PLAYER_ID] === mover.playerId);
+  const entered = client => client.messages.filter(message => message.operationName === 'INTEREST_ENTER');
+
+  assert.strictEqual(received(near).length, 1);
+  assert.deepStrictEqual(received(far), []);
+  assert.deepStrictEqual(entered(near).map(message => message.parameters[ParameterCode.PLAYER_ID]), [mover.playerId]);
+
+  move(mover, [100, 0, 0]);
+  await tick();
+
+  const left = near.messages.filter(message => message.operationName === 'INTEREST_LEAVE');
+  assert.deepStrictEqual(left.map(message => message.parameters[ParameterCode.ENTITY_ID]), [mover.playerId]);
+  assert.strictEqual(received(near).length, 1, 'the update that moved it away is not sent');
+
+  server.shutdown();
+});
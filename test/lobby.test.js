@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser } = require('../src/Protocol/parser');
+const { Lobby, listRooms } = require('../src/lobby');
+const { MessageType, OperationCode, ParameterCode, ErrorCode } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * A room as the server keeps it
+ */
+function createRoom(id, options = {}) {
+  return {
+    id,
+    lobby: 'default',
+    players: new Set(options.players || []),
+    properties: options.properties || {},
+    publicProperties: options.publicProperties || ['map', 'mode'],
+    maxPlayers: options.maxPlayers || 0,
+    passwordHash: null,
+    visible: options.visible !== false,
+    open: options.open !== false
+  };
+}
+
+/**
+ * The server's room map
+ */
+function createRooms(...rooms) {
+  return new Map(rooms.map(room => [room.id, room]));
+}
+
+test('filters rooms by public property values', () => {
+  const rooms = [
+    createRoom('a', { properties: { map: 'desert' } }),
+    createRoom('b', { properties: { map: 'forest' } }),
+    createRoom('c', { properties: { map: 'desert', secret: 1 } })
+  ];
+
+  assert.deepStrictEqual(listRooms(rooms, { filter: { map: 'desert' } }).map(room => room.id), ['a', 'c']);
+  assert.deepStrictEqual(listRooms(rooms, { filter: { secret: 1 } }), [], 'private properties cannot be filtered on');
+});
+
+test('only lists joinable rooms when asked to', () => {
+  const rooms = [
+    createRoom('full', { maxPlayers: 2, players: [1, 2] }),
+    createRoom('closed', { open: false }),
+    createRoom('free', { maxPlayers: 2, players: [1] })
+  ];
+
+  assert.deepStrictEqual(listRooms(rooms).map(room => room.id), ['full', 'closed', 'free']);
+  assert.deepStrictEqual(listRooms(rooms, { onlyJoinable: true }).map(room => room.id), ['free']);
+});
+
+test('describes rooms with their counts and public properties only', () => {
+  const [entry] = listRooms([createRoom('a', { maxPlayers: 4, players: [1], properties: { map: 'desert', seed: 9 } })]);
+
+  assert.deepStrictEqual(entry, {
+    id: 'a',
+    playerCount: 1,
+    maxPlayers: 4,
+    open: true,
+    hasPassword: false,
+    properties: { map: 'desert' }
+  });
+});
+
+test('sorts by player count or a public property, with missing values last', () => {
+  const rooms = [
+    createRoom('a', { players: [1], properties: { mode: 'ctf' } }),
+    createRoom('b', { players: [1, 2, 3] }),
+    createRoom('c', { players: [1, 2], properties: { mode: 'dm' } })
+  ];
+
+  assert.deepStrictEqual(listRooms(rooms, { sortBy: 'playerCount', sortDescending: true }).map(room => room.id), ['b', 'c', 'a']);
+  assert.deepStrictEqual(listRooms(rooms, { sortBy: 'mode', sortDescending: true }).map(room => room.id), ['c', 'a', 'b']);
+  assert.deepStrictEqual(listRooms(rooms, { sortBy: 'playerCount', limit: 1 }).map(room => room.id), ['a']);
+});
+
+test('pushes added, changed and removed rooms to subscribers', () => {
+  const desert = createRoom('desert', { properties: { map: 'desert' } });
+  const rooms = createRooms(desert);
+  const sent = [];
+  const lobby = new Lobby(rooms, { send: (clientId, data) => sent.push({ clientId, data: ArchiveParser.decode(data).data }) });
+
+  lobby.subscribe(7, { filter: { map: 'desert' } }, listRooms(rooms.values(), { filter: { map: 'desert' } }));
+
+  rooms.set('dunes', createRoom('dunes', { properties: { map: 'desert' } }));
+  rooms.set('forest', createRoom('forest', { properties: { map: 'forest' } }));
+  lobby.roomChanged('dunes');
+  lobby.roomChanged('forest');
+  lobby.flush();
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].clientId, 7);
+  assert.deepStrictEqual(sent[0].data.rooms.map(room => room.id), ['dunes']);
+
+  rooms.delete('desert');
+  lobby.roomChanged('desert');
+  lobby.roomChanged('forest');
+  lobby.flush();
+
+  assert.strictEqual(sent.length, 2);
+  assert.deepStrictEqual(sent[1].data.removedRooms, ['desert']);
+  assert.deepStrictEqual(sent[1].data.rooms, []);
+  lobby.close();
+});
+
+test('collects changes until the update interval passes', async () => {
+  const rooms = createRooms(createRoom('a'));
+  const sent = [];
+  const lobby = new Lobby(rooms, { send: (clientId, data) => sent.push(data), updateInterval: 10 });
+
+  lobby.subscribe(1, {}, []);
+  lobby.roomChanged('a');
+  lobby.roomChanged('a');
+  assert.strictEqual(sent.length, 0);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+
+  assert.strictEqual(sent.length, 1);
+  lobby.close();
+});
+
+/**
+ * Send a room operation and return the server's answer
+ */
+async function request(client, operationCode, values) {
+  client.messages.length = 0;
+  sendObject(client, MessageType.ROOM, operationCode, values);
+  await tick();
+
+  return client.messages.find(message => message.operationCode === operationCode);
+}
+
+test('lists and matches only the rooms of the client\'s lobby', async () => {
+  const { server, transport } = createServer({ lobbies: { ranked: { maxPlayers: 2, publicProperties: ['map'] } } });
+  const [casual, ranked] = [await connectClient(transport), await connectClient(transport)];
+
+  await request(ranked, OperationCode.ROOM.JOIN_LOBBY, { lobbyName: 'ranked' });
+  await request(ranked, OperationCode.ROOM.CREATE, { roomId: 'duel', properties: { map: 'desert', seed: 1 } });
+  await request(casual, OperationCode.ROOM.CREATE, { roomId: 'party' });
+
+  assert.strictEqual(server.rooms.get('duel').lobby, 'ranked');
+  assert.strictEqual(server.rooms.get('duel').maxPlayers, 2, 'the lobby\'s defaults apply');
+
+  const casualList = await request(casual, OperationCode.ROOM.LIST, {});
+  assert.deepStrictEqual(casualList.parameters[ParameterCode.ROOM_LIST].map(room => room.id), ['party']);
+
+  const [duel] = (await request(ranked, OperationCode.ROOM.LIST, {})).parameters[ParameterCode.ROOM_LIST];
+  assert.deepStrictEqual(duel.properties, { map: 'desert' });
+
+  await request(casual, OperationCode.ROOM.LEAVE, {});
+  const random = await request(casual, OperationCode.ROOM.JOIN_RANDOM, {});
+  assert.strictEqual(random.parameters[ParameterCode.ERROR_CODE], ErrorCode.NO_MATCH);
+
+  server.shutdown();
+});
+
+test('counts the rooms and players of each lobby', async () => {
+  const { server, transport } = createServer({ lobbies: { ranked: {} } });
+  const [first, second] = [await connectClient(transport), await connectClient(transport)];
+
+  await request(first, OperationCode.ROOM.CREATE, { roomId: 'a' });
+  await request(second, OperationCode.ROOM.JOIN, { roomId: 'a' });
+
+  const stats = await request(first, OperationCode.ROOM.LOBBY_STATS, {});
+  const counts = stats.parameters[ParameterCode.LOBBY_STATS].map(({ name, roomCount, playerCount }) => ({ name, roomCount, playerCount }));
+  assert.deepStrictEqual(counts, [
+    { name: 'default', roomCount: 1, playerCount: 2 },
+    { name: 'ranked', roomCount: 0, playerCount: 0 }
+  ]);
+
+  const missing = await request(first, OperationCode.ROOM.LOBBY_STATS, { lobbyName: 'custom' });
+  assert.strictEqual(missing.parameters[ParameterCode.ERROR_CODE], ErrorCode.LOBBY_NOT_FOUND);
+
+  const unknown = await request(first, OperationCode.ROOM.JOIN_LOBBY, { lobbyName: 'custom' });
+  assert.strictEqual(unknown.parameters[ParameterCode.ERROR_CODE], ErrorCode.LOBBY_NOT_FOUND);
+
+  server.shutdown();
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MessageType, OperationCode, ParameterCode, ErrorCode } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * A server with a room that host created and guest joined
+ */
+async function createRoomWithPlayers(options = {}) {
+  const { server, transport } = createServer(options);
+  const host = await connectClient(transport);
+  const guest = await connectClient(transport);
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  await tick();
+  sendObject(guest, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+
+  return { server, host, guest };
+}
+
+/**
+ * The master player IDs a client was told about, in order
+ */
+function masterChanges(client) {
+  return client.messages
+    .filter(message => message.operationName === 'SET_MASTER' && message.parameters.SUCCESS)
+    .map(message => message.parameters[ParameterCode.MASTER_ID]);
+}
+
+test('makes the creator the master of its room', async () => {
+  const { server, host, guest } = await createRoomWithPlayers();
+
+  const joined = guest.messages.find(message => message.operationName === 'JOIN');
+  assert.strictEqual(joined.parameters[ParameterCode.MASTER_ID], host.playerId);
+
+  server.shutdown();
+});
+
+test('moves mastership to the next player when the master leaves', async () => {
+  const { server, host, guest } = await createRoomWithPlayers();
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.LEAVE, {});
+  await tick();
+
+  assert.deepStrictEqual(masterChanges(guest), [guest.playerId]);
+
+  server.shutdown();
+});
+
+test('lets the master hand off mastership', async () => {
+  const { server, host, guest } = await createRoomWithPlayers();
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.SET_MASTER, { masterId: guest.playerId });
+  await tick();
+
+  assert.deepStrictEqual(masterChanges(host), [guest.playerId]);
+  assert.deepStrictEqual(masterChanges(guest), [guest.playerId]);
+
+  server.shutdown();
+});
+
+test('refuses a hand-off from anyone but the master or to a stranger', async () => {
+  const { server, host, guest } = await createRoomWithPlayers();
+
+  sendObject(guest, MessageType.ROOM, OperationCode.ROOM.SET_MASTER, { masterId: guest.playerId });
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.SET_MASTER, { masterId: 9999 });
+  await tick();
+
+  const refusal = message => message.operationName === 'SET_MASTER' && message.parameters.SUCCESS === false;
+  assert.strictEqual(guest.messages.find(refusal).parameters[ParameterCode.ERROR_CODE], ErrorCode.NOT_MASTER);
+  assert.strictEqual(host.messages.find(refusal).parameters[ParameterCode.ERROR_CODE], ErrorCode.PLAYER_NOT_FOUND);
+  assert.deepStrictEqual(masterChanges(guest), []);
+
+  server.shutdown();
+});
+
+test('moves mastership when the master disconnects', async () => {
+  const { server, host, guest } = await createRoomWithPlayers({ reconnectGracePeriod: 0 });
+
+  host.socket.close();
+  await tick();
+
+  assert.deepStrictEqual(masterChanges(guest), [guest.playerId]);
+
+  server.shutdown();
+});
+
+test('moves mastership away from a master that lost its connection', async () => {
+  const { server, host, guest } = await createRoomWithPlayers({ reconnectGracePeriod: 50 });
+
+  host.socket.close();
+  await tick();
+
+  assert.deepStrictEqual(masterChanges(guest), [guest.playerId]);
+  assert.strictEqual(server.rooms.get('game').players.size, 2, 'the master keeps its place until the grace period ends');
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  server.shutdown();
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MatchmakingQueue, pickRoom } = require('../src/matchmaking');
+const { MessageType, OperationCode, ParameterCode, FillStrategy, ErrorCode } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * Queue that records its matches and never runs a pass on its own
+ */
+function createQueue(options = {}) {
+  const matches = [];
+  const queue = new MatchmakingQueue({ matchInterval: 60000, ...options, onMatch: group => matches.push(group) });
+
+  return { queue, matches };
+}
+
+/**
+ * A room as the server keeps it
+ */
+function createRoom(id, options = {}) {
+  return {
+    id,
+    players: new Set(options.players || []),
+    properties: options.properties || {},
+    publicProperties: ['map'],
+    maxPlayers: options.maxPlayers || 0,
+    passwordHash: options.passwordHash || null,
+    visible: true,
+    open: true
+  };
+}
+
+test('picks the oldest, a random or the next room in turn', () => {
+  const rooms = [createRoom('a'), createRoom('b'), createRoom('c')];
+
+  assert.strictEqual(pickRoom(rooms, {}, FillStrategy.FILL_OLDEST).id, 'a');
+  assert.deepStrictEqual([0, 1, 2, 3].map(turn => pickRoom(rooms, {}, FillStrategy.SERIAL, turn).id), ['a', 'b', 'c', 'a']);
+  assert.ok(rooms.includes(pickRoom(rooms, {}, FillStrategy.RANDOM)));
+});
+
+test('never picks a full, filtered out or password-protected room', () => {
+  const rooms = [
+    createRoom('full', { maxPlayers: 1, players: [1], properties: { map: 'desert' } }),
+    createRoom('locked', { passwordHash: Buffer.alloc(32), properties: { map: 'desert' } }),
+    createRoom('forest', { properties: { map: 'forest' } }),
+    createRoom('desert', { properties: { map: 'desert' } })
+  ];
+
+  assert.strictEqual(pickRoom(rooms, { map: 'desert' }, FillStrategy.FILL_OLDEST).id, 'desert');
+  assert.strictEqual(pickRoom(rooms, { map: 'snow' }, FillStrategy.FILL_OLDEST), undefined);
+});
+
+test('groups players within the skill range', () => {
+  const { queue, matches } = createQueue({ groupSize: 2, skillRange: 100 });
+
+  queue.add(1, { skill: 1000 });
+  queue.add(2, { skill: 1500 });
+  queue.add(3, { skill: 1080 });
+  queue.match();
+
+  assert.deepStrictEqual(matches.map(group => group.map(ticket => ticket.clientId)), [[1, 3]]);
+  assert.strictEqual(queue.size, 1);
+  queue.close();
+});
+
+test('keeps every player of a group within the skill range of each other', () => {
+  const { queue, matches } = createQueue({ groupSize: 3, skillRange: 100 });
+
+  queue.add(1, { skill: 1000 });
+  queue.add(2, { skill: 900 });
+  queue.add(3, { skill: 1100 });
+  queue.match();
+
+  assert.deepStrictEqual(matches, []);
+
+  queue.add(4, { skill: 950 });
+  queue.match();
+
+  assert.deepStrictEqual(matches.map(group => group.map(ticket => ticket.clientId)), [[1, 2, 4]]);
+  queue.close();
+});
+
+test('only groups players of the same region', () => {
+  const { queue, matches } = createQueue({ groupSize: 2 });
+
+  queue.add(1, { skill: 1000, region: 'eu' });
+  queue.add(2, { skill: 1000, region: 'us' });
+  queue.match();
+
+  assert.deepStrictEqual(matches, []);
+  queue.close();
+});
+
+test('widens the skill range and the region the longer players wait', () => {
+  const { queue, matches } = createQueue({ groupSize: 2, skillRange: 100, widenBy: 100, widenInterval: 1000, anyRegionAfter: 10000 });
+
+  queue.add(1, { skill: 1000, region: 'eu' });
+  queue.add(2, { skill: 1250, region: 'eu' });
+  queue.add(3, { skill: 1000, region: 'us' });
+  const queuedAt = queue.tickets.get(1).queuedAt;
+
+  queue.match(queuedAt + 1000);
+  assert.deepStrictEqual(matches, []);
+
+  queue.match(queuedAt + 2000);
+  assert.deepStrictEqual(matches.map(group => group.map(ticket => ticket.clientId)), [[1, 2]]);
+
+  queue.add(4, { skill: 1000, region: 'eu' });
+  queue.tickets.get(4).queuedAt = queuedAt;
+  queue.match(queuedAt + 10000);
+  assert.deepStrictEqual(matches.map(group => group.map(ticket => ticket.clientId)), [[1, 2], [3, 4]]);
+  queue.close();
+});
+
+test('gives up on players that waited too long', () => {
+  const timedOut = [];
+  const { queue, matches } = createQueue({ timeout: 5000, onTimeout: ticket => timedOut.push(ticket.clientId) });
+
+  queue.add(1, { skill: 1000 });
+  queue.match(queue.tickets.get(1).queuedAt + 5000);
+
+  assert.deepStrictEqual(timedOut, [1]);
+  assert.deepStrictEqual(matches, []);
+  assert.strictEqual(queue.size, 0);
+});
+
+test('joins a random matching room, creating one when asked to', async () => {
+  const { server, transport } = createServer();
+  const [first, second, third] = [await connectClient(transport), await connectClient(transport), await connectClient(transport)];
+
+  sendObject(first, MessageType.ROOM, OperationCode.ROOM.JOIN_RANDOM, { filter: { map: 'desert' } });
+  await tick();
+
+  const refused = first.messages.find(message => message.operationName === 'JOIN_RANDOM');
+  assert.strictEqual(refused.parameters[ParameterCode.ERROR_CODE], ErrorCode.NO_MATCH);
+
+  sendObject(second, MessageType.ROOM, OperationCode.ROOM.JOIN_RANDOM, { filter: { map: 'desert' }, createIfNone: true, maxPlayers: 2 });
+  await tick();
+  sendObject(third, MessageType.ROOM, OperationCode.ROOM.JOIN_RANDOM, { filter: { map: 'desert' } });
+  await tick();
+
+  const created = second.messages.find(message => message.operationName === 'JOIN_RANDOM');
+  const joined = third.messages.find(message => message.operationName === 'JOIN_RANDOM');
+  assert.strictEqual(joined.parameters[ParameterCode.ROOM_ID], created.parameters[ParameterCode.ROOM_ID]);
+  assert.strictEqual(server.rooms.get(created.parameters[ParameterCode.ROOM_ID]).players.size, 2);
+
+  server.shutdown();
+});
+
+test('puts queued players into a new room together', async () => {
+  const { server, transport } = createServer({ lobbies: { default: { matchmaking: { matchInterval: 10 } } } });
+  const [first, second] = [await connectClient(transport), await connectClient(transport)];
+
+  sendObject(first, MessageType.ROOM, OperationCode.ROOM.QUEUE_JOIN, { properties: { skill: 1000 } });
+  sendObject(second, MessageType.ROOM, OperationCode.ROOM.QUEUE_JOIN, { properties: { skill: 1050 } });
+  await tick();
+  await tick();
+
+  const [firstJoin, secondJoin] = [first, second].map(client => client.messages.find(message => message.operationName === 'JOIN'));
+  assert.ok(firstJoin && secondJoin, 'both players were put into a room');
+  assert.strictEqual(firstJoin.parameters[ParameterCode.ROOM_ID], secondJoin.parameters[ParameterCode.ROOM_ID]);
+  assert.strictEqual(server.rooms.size, 1);
+
+  server.shutdown();
+});
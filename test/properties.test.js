@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MessageType, OperationCode, ParameterCode } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * Set a client's own player properties
+ */
+function setProperties(client, properties, removedProperties) {
+  sendObject(client, MessageType.ROOM, OperationCode.ROOM.PLAYER_PROPERTIES, { properties, removedProperties });
+}
+
+/**
+ * The PLAYER_PROPERTIES notifications a client received
+ */
+function propertyChanges(client) {
+  return client.messages.filter(message => message.operationName === 'PLAYER_PROPERTIES');
+}
+
+test('lists every player with its properties in the join response', async () => {
+  const { server, transport } = createServer();
+  const [host, guest] = [await connectClient(transport), await connectClient(transport)];
+
+  setProperties(host, { nickname: 'ada', team: 'red' });
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  await tick();
+  setProperties(guest, { nickname: 'bob' });
+  sendObject(guest, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+
+  const joined = guest.messages.find(message => message.operationName === 'JOIN');
+  const players = joined.parameters[ParameterCode.PLAYERS].map(({ playerId, properties }) => ({ playerId, properties }));
+  assert.deepStrictEqual(players, [
+    { playerId: host.playerId, properties: { nickname: 'ada', team: 'red' } },
+    { playerId: guest.playerId, properties: { nickname: 'bob' } }
+  ]);
+
+  const notification = host.messages.find(message => message.operationName === 'JOIN' &&
+    message.parameters[ParameterCode.PLAYER_ID] === guest.playerId);
+  assert.deepStrictEqual(notification.parameters[ParameterCode.PROPERTIES], { nickname: 'bob' });
+
+  server.shutdown();
+});
+
+test('sends only the properties that changed to the whole room', async () => {
+  const { server, transport } = createServer();
+  const [host, guest] = [await connectClient(transport), await connectClient(transport)];
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  await tick();
+  sendObject(guest, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+
+  setProperties(guest, { team: 'blue', ready: false });
+  await tick();
+  setProperties(guest, { team: 'green', ready: true }, ['team']);
+  await tick();
+  setProperties(guest, { ready: true });
+  await tick();
+
+  const changes = propertyChanges(host);
+  assert.strictEqual(changes.length, 2, 'a request that changes nothing is not sent');
+  assert.ok(changes.every(message => message.parameters[ParameterCode.PLAYER_ID] === guest.playerId));
+  assert.deepStrictEqual(changes[0].parameters[ParameterCode.PROPERTIES], { team: 'blue', ready: false });
+  assert.deepStrictEqual(changes[1].parameters[ParameterCode.PROPERTIES], { team: 'green', ready: true });
+  assert.strictEqual(changes[1].parameters[ParameterCode.REMOVED_PROPERTIES], undefined, 'a key set and removed at once is kept');
+
+  setProperties(guest, {}, ['team']);
+  await tick();
+
+  assert.deepStrictEqual(propertyChanges(host)[2].parameters[ParameterCode.REMOVED_PROPERTIES], ['team']);
+  assert.strictEqual(propertyChanges(guest).length, 3, 'the player receives its own changes as confirmation');
+
+  server.shutdown();
+});
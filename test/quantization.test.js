@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { MessageType, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+/**
+ * Send a vector through quantized encoding and back
+ */
+function roundTrip(dataType, vector, format) {
+  const data = new ArchiveWriter(MessageType.EVENT, 0x01)
+    .addParameter(ParameterCode.POSITION, dataType, vector, format)
+    .encode();
+
+  return ArchiveParser.parse(data).parameters[ParameterCode.POSITION];
+}
+
+test('keeps vectors to the chosen precision', () => {
+  assert.deepStrictEqual(roundTrip(DataType.QUANTIZED_VECTOR3, [10.5, 0, -3.2]), [10.5, 0, -3.2]);
+  assert.deepStrictEqual(roundTrip(DataType.QUANTIZED_VECTOR2, [1.26, -7.04], { range: 100, precision: 0.1 }), [1.3, -7]);
+});
+
+test('clamps components to the range', () => {
+  assert.deepStrictEqual(roundTrip(DataType.QUANTIZED_VECTOR2, [250, -250], { range: 100, precision: 1 }), [100, -100]);
+});
+
+test('refuses a vector with the wrong number of components', () => {
+  const writer = new ArchiveWriter(MessageType.EVENT, 0x01);
+
+  assert.throws(() => writer.addParameter(ParameterCode.POSITION, DataType.QUANTIZED_VECTOR3, [1, 2]),
+    /needs 3 components, got 2/);
+  assert.throws(() => writer.addParameter(ParameterCode.POSITION, DataType.QUANTIZED_VECTOR2, [1, 2, 3]),
+    /needs 2 components, got 3/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { MessageType, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+/**
+ * Send a quaternion through QUANTIZED_QUATERNION encoding and back
+ */
+function roundTrip(quaternion) {
+  const data = new ArchiveWriter(MessageType.EVENT, 0x01)
+    .addParameter(ParameterCode.ROTATION, DataType.QUANTIZED_QUATERNION, quaternion)
+    .encode();
+
+  return ArchiveParser.parse(data).parameters[ParameterCode.ROTATION];
+}
+
+test('keeps the identity rotation exact', () => {
+  assert.deepStrictEqual(roundTrip([0, 0, 0, 1]), [0, 0, 0, 1]);
+});
+
+test('keeps half turns about each axis exact', () => {
+  assert.deepStrictEqual(roundTrip([1, 0, 0, 0]), [1, 0, 0, 0]);
+  assert.deepStrictEqual(roundTrip([0, 1, 0, 0]), [0, 1, 0, 0]);
+  assert.deepStrictEqual(roundTrip([0, 0, 1, 0]), [0, 0, 1, 0]);
+});
+
+test('keeps quarter turns about each axis', () => {
+  for (const axis of [0, 1, 2]) {
+    const quaternion = [0, 0, 0, Math.SQRT1_2];
+    quaternion[axis] = Math.SQRT1_2;
+
+    const decoded = roundTrip(quaternion);
+
+    for (let i = 0; i < 4; i++) {
+      if (quaternion[i] === 0) {
+        assert.strictEqual(decoded[i], 0);
+      } else {
+        assert.ok(Math.abs(decoded[i] - Math.SQRT1_2) < 1e-12, `component ${i} is ${decoded[i]}`);
+      }
+    }
+  }
+});
+
+test('stays close to any other rotation', () => {
+  const length = Math.hypot(0.1, -0.5, 0.3, 0.8);
+  const quaternion = [0.1, -0.5, 0.3, 0.8].map(v => v / length);
+
+  const decoded = roundTrip(quaternion);
+
+  for (let i = 0; i < 4; i++) {
+    assert.ok(Math.abs(decoded[i] - quaternion[i]) < 0.002, `component ${i} is ${decoded[i]}`);
+  }
+});
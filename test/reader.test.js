@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser, ArchiveReader } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+/**
+ * EVENT.STATE with values of fixed and variable size
+ */
+function createMessage() {
+  return new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.STATE)
+    .addParameter(ParameterCode.PLAYER_ID, DataType.INT, 42)
+    .addParameter(ParameterCode.PROPERTIES, DataType.DICTIONARY, { name: 'ada', tags: ['a', 'b'] })
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'jump')
+    .addParameter(ParameterCode.POSITION, DataType.VECTOR3, [1, 2, 3])
+    .encode();
+}
+
+test('finds a parameter without decoding the others', () => {
+  const reader = new ArchiveReader(createMessage());
+
+  assert.strictEqual(reader.messageType, MessageType.EVENT);
+  assert.strictEqual(reader.operationCode, OperationCode.EVENT.STATE);
+  assert.strictEqual(reader.find(ParameterCode.ACTION), 'jump');
+  assert.deepStrictEqual(reader.find(ParameterCode.POSITION), [1, 2, 3]);
+  assert.strictEqual(reader.find(ParameterCode.HEALTH), undefined);
+});
+
+test('walks every parameter in order', () => {
+  const reader = new ArchiveReader(createMessage());
+  const codes = [];
+  const values = [];
+
+  while (reader.next()) {
+    codes.push(reader.paramCode);
+    values.push(reader.readValue());
+  }
+
+  assert.deepStrictEqual(codes, [ParameterCode.PLAYER_ID, ParameterCode.PROPERTIES, ParameterCode.ACTION, ParameterCode.POSITION]);
+  assert.deepStrictEqual(values, [42, { name: 'ada', tags: ['a', 'b'] }, 'jump', [1, 2, 3]]);
+});
+
+test('reads another message after a reset', () => {
+  const reader = new ArchiveReader(createMessage());
+  const other = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.JOIN)
+    .addParameter(ParameterCode.ROOM_ID, DataType.STRING, 'lobby')
+    .encode();
+
+  reader.reset(other);
+
+  assert.strictEqual(reader.messageType, MessageType.ROOM);
+  assert.strictEqual(reader.find(ParameterCode.ROOM_ID), 'lobby');
+});
+
+test('rejects a corrupted message', () => {
+  const data = createMessage();
+  data[6] ^= 0xFF;
+
+  assert.throws(() => new ArchiveReader(data), /CRC check failed/);
+  assert.doesNotThrow(() => new ArchiveReader(data, { verifyCRC: false }));
+});
+
+test('keeps encoded messages apart from the pooled working buffers', () => {
+  const first = createMessage();
+  const copy = Buffer.from(first);
+
+  for (let i = 0; i < 20; i++) {
+    createMessage();
+  }
+
+  assert.deepStrictEqual(first, copy);
+});
+
+test('reuses a writer for the next message', () => {
+  const writer = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'first');
+  const first = writer.encode();
+
+  assert.strictEqual(writer.encode(), first);
+
+  const second = writer.reset(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'second')
+    .encode();
+
+  assert.strictEqual(ArchiveParser.parse(first).parameters[ParameterCode.ACTION], 'first');
+  assert.strictEqual(ArchiveParser.parse(second).parameters[ParameterCode.ACTION], 'second');
+});
+
+test('grows the working buffer for large parameters', () => {
+  const data = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'x'.repeat(5000))
+    .encode();
+
+  assert.strictEqual(new ArchiveReader(data).find(ParameterCode.ACTION).length, 5000);
+});
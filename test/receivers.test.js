@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { MessageType, OperationCode, ParameterCode, DataType, ReceiverGroup } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * A room with a master and two more players
+ */
+async function createRoomWithPlayers() {
+  const { server, transport } = createServer();
+  const players = [await connectClient(transport), await connectClient(transport), await connectClient(transport)];
+
+  sendObject(players[0], MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  await tick();
+  sendObject(players[1], MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  sendObject(players[2], MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+
+  return { server, players };
+}
+
+/**
+ * Raise an event and return the indexes of the players that received it
+ * @param {Function} addReceivers - Adds the receiver parameters to the event's writer
+ */
+async function raise(players, sender, addReceivers) {
+  for (const player of players) {
+    player.messages.length = 0;
+  }
+
+  const writer = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'hello');
+  addReceivers(writer);
+  sender.connection.send(writer.encode());
+  await tick();
+
+  return players
+    .map((player, index) => player.messages.some(message => message.operationName === 'RAISE') ? index : -1)
+    .filter(index => index !== -1);
+}
+
+test('sends an event to the others by default', async () => {
+  const { server, players } = await createRoomWithPlayers();
+
+  assert.deepStrictEqual(await raise(players, players[1], () => {}), [0, 2]);
+
+  server.shutdown();
+});
+
+test('sends an event to a receiver group', async () => {
+  const { server, players } = await createRoomWithPlayers();
+
+  const toAll = writer => writer.addParameter(ParameterCode.RECEIVERS, DataType.BYTE, ReceiverGroup.ALL);
+  const toMaster = writer => writer.addParameter(ParameterCode.RECEIVERS, DataType.BYTE, ReceiverGroup.MASTER_CLIENT);
+
+  assert.deepStrictEqual(await raise(players, players[1], toAll), [0, 1, 2]);
+  assert.deepStrictEqual(await raise(players, players[1], toMaster), [0]);
+
+  server.shutdown();
+});
+
+test('sends an event only to the listed players', async () => {
+  const { server, players } = await createRoomWithPlayers();
+
+  const toTargets = writer => writer
+    .addParameter(ParameterCode.TARGET_PLAYERS, DataType.ARRAY, [players[2].playerId, 9999], DataType.INT)
+    .addParameter(ParameterCode.RECEIVERS, DataType.BYTE, ReceiverGroup.ALL);
+
+  assert.deepStrictEqual(await raise(players, players[0], toTargets), [2]);
+
+  server.shutdown();
+});
+
+test('sends an event only to the subscribers of its interest group', async () => {
+  const { server, players } = await createRoomWithPlayers();
+
+  sendObject(players[0], MessageType.EVENT, OperationCode.EVENT.CHANGE_GROUPS, { addGroups: ['red', 'chat'] });
+  sendObject(players[1], MessageType.EVENT, OperationCode.EVENT.CHANGE_GROUPS, { addGroups: ['red'] });
+  sendObject(players[2], MessageType.EVENT, OperationCode.EVENT.CHANGE_GROUPS, { addGroups: ['blue'] });
+  await tick();
+
+  const toRed = writer => writer
+    .addParameter(ParameterCode.INTEREST_GROUP, DataType.STRING, 'red')
+    .addParameter(ParameterCode.RECEIVERS, DataType.BYTE, ReceiverGroup.ALL);
+
+  assert.deepStrictEqual(await raise(players, players[2], toRed), [0, 1]);
+
+  sendObject(players[1], MessageType.EVENT, OperationCode.EVENT.CHANGE_GROUPS, { removeGroups: ['red'] });
+  await tick();
+
+  assert.deepStrictEqual(await raise(players, players[2], toRed), [0]);
+
+  server.shutdown();
+});
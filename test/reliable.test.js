@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser, ArchiveConnection } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+/**
+ * Connection on a fake socket that records what it sends
+ */
+function createConnection(options = {}, socketProperties = {}) {
+  const socket = { readyState: 1, sent: [], send(data) { this.sent.push(data); }, close() {}, ...socketProperties };
+  const connection = new ArchiveConnection(socket, options);
+  const delivered = [];
+
+  connection.onMessage = message => delivered.push(message.parameters[ParameterCode.SEQUENCE]);
+
+  const receive = sequence => {
+    const data = new ArchiveWriter(MessageType.RELIABLE, 0x01)
+      .addParameter(ParameterCode.SEQUENCE, DataType.UINT, sequence)
+      .encode();
+    socket.onmessage({ data: data.buffer.slice(data.byteOffset, data.byteOffset + data.length) });
+  };
+
+  return { connection, socket, delivered, receive };
+}
+
+test('delivers reliable messages in order without duplicates', () => {
+  const { connection, delivered, receive } = createConnection();
+
+  [1, 3, 2, 2, 1, 4].forEach(receive);
+
+  assert.deepStrictEqual(delivered, [1, 2, 3, 4]);
+  connection.close();
+});
+
+test('waits for the first message when it arrives out of order', () => {
+  const { connection, delivered, receive } = createConnection();
+
+  [2, 1, 3, 3, 5, 4].forEach(receive);
+
+  assert.deepStrictEqual(delivered, [1, 2, 3, 4, 5]);
+  connection.close();
+});
+
+test('acknowledges every copy of a message', () => {
+  const { connection, socket, receive } = createConnection();
+
+  [1, 1].forEach(receive);
+
+  assert.strictEqual(socket.sent.filter(data => data[0] === MessageType.ACK).length, 2);
+  connection.close();
+});
+
+test('follows the sequence across the wraparound', () => {
+  const { connection, delivered, receive } = createConnection();
+  connection.nextSequence = 0xFFFFFFFE;
+
+  [0xFFFFFFFF, 1, 0xFFFFFFFE].forEach(receive);
+
+  assert.deepStrictEqual(delivered, [0xFFFFFFFE, 0xFFFFFFFF, 1]);
+  connection.close();
+});
+
+test('skips a gap that is never filled', async () => {
+  const { connection, delivered, receive } = createConnection({ gapTimeout: 20 });
+  const errors = [];
+  connection.onError = error => errors.push(error.type);
+
+  [1, 3].forEach(receive);
+  await new Promise(resolve => setTimeout(resolve, 60));
+
+  assert.deepStrictEqual(delivered, [1, 3]);
+  assert.deepStrictEqual(errors, ['SEQUENCE_GAP']);
+  connection.close();
+});
+
+test('numbers control messages over a transport that may lose them', () => {
+  const { connection, socket } = createConnection({}, { reliable: false });
+
+  connection.send(ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.LEAVE, {}).encode());
+  connection.send(ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.HEARTBEAT, { timestamp: 1 }).encode());
+
+  const [leave, heartbeat] = socket.sent.map(data => ArchiveParser.parse(data));
+  assert.strictEqual(leave.parameters[ParameterCode.SEQUENCE], 1);
+  assert.strictEqual(heartbeat.parameters[ParameterCode.SEQUENCE], undefined);
+  assert.deepStrictEqual(Array.from(connection.pendingAcks.keys()), [1]);
+  connection.close();
+});
+
+test('backs off the retransmission timeout until the next round-trip sample', async () => {
+  const { connection, socket } = createConnection({ maxRetransmitTimeout: 1000 });
+  connection._updateRoundTripTime(10);
+  const ack = sequence => {
+    const data = new ArchiveWriter(MessageType.ACK, 0x01)
+      .addParameter(ParameterCode.SEQUENCE, DataType.UINT, sequence)
+      .encode();
+    socket.onmessage({ data: data.buffer.slice(data.byteOffset, data.byteOffset + data.length) });
+  };
+
+  const lost = connection.sendReliable(0x01);
+  await new Promise(resolve => setTimeout(resolve, 700));
+
+  assert.strictEqual(connection.retransmitTimeout, 800);
+  ack(lost);
+
+  const timed = connection.sendReliable(0x01);
+  ack(timed);
+
+  assert.ok(connection.retransmitTimeout < 800, `timeout is ${connection.retransmitTimeout}`);
+  connection.close();
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveConnection } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { createConnectRequest } = require('../src/Protocol/handshake');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * Open a new connection and resume a session on it instead of authenticating
+ * @returns {Promise<Object>} { connection, socket, messages, response }
+ */
+function resume(transport, resumeToken) {
+  return new Promise(resolve => {
+    const socket = transport.connect();
+    const connection = new ArchiveConnection(socket);
+    const client = { connection, socket, messages: [] };
+
+    connection.onMessage = message => {
+      client.messages.push(message);
+
+      if (message.operationName === 'AUTH') {
+        connection.send(ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.RESUME, { resumeToken }).encode());
+      } else if (message.operationName === 'RESUME') {
+        client.response = message;
+        setTimeout(() => resolve(client), 20);
+      }
+    };
+
+    connection.send(createConnectRequest().encode());
+  });
+}
+
+/**
+ * Raise an event in the client's room
+ */
+function raise(client, action) {
+  client.connection.send(new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.ACTION, DataType.STRING, action)
+    .encode());
+}
+
+/**
+ * A room with a host and a guest
+ */
+async function createRoomWithPlayers(options = {}) {
+  const { server, transport } = createServer({ reconnectGracePeriod: 1000, ...options });
+  const host = await connectClient(transport);
+  const guest = await connectClient(transport);
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  await tick();
+  sendObject(guest, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+
+  return { server, transport, host, guest };
+}
+
+/**
+ * The inactive flags a client was told about for a player
+ */
+function statusChanges(client, playerId) {
+  return client.messages
+    .filter(message => message.operationName === 'PLAYER_STATUS' && message.parameters[ParameterCode.PLAYER_ID] === playerId)
+    .map(message => message.parameters[ParameterCode.INACTIVE]);
+}
+
+test('keeps a dropped player in its room and delivers what it missed', async () => {
+  const { server, transport, host, guest } = await createRoomWithPlayers();
+
+  guest.socket.close();
+  await tick();
+  raise(host, 'spawn');
+  raise(host, 'score');
+  await tick();
+
+  assert.strictEqual(server.rooms.get('game').players.size, 2);
+  assert.deepStrictEqual(statusChanges(host, guest.playerId), [true]);
+
+  const resumed = await resume(transport, guest.resumeToken);
+
+  assert.strictEqual(resumed.response.parameters.SUCCESS, true);
+  assert.strictEqual(resumed.response.parameters[ParameterCode.PLAYER_ID], guest.playerId);
+  assert.strictEqual(resumed.response.parameters[ParameterCode.ROOM_ID], 'game');
+  assert.deepStrictEqual(resumed.messages
+    .filter(message => message.operationName === 'RAISE')
+    .map(message => message.parameters[ParameterCode.ACTION]), ['spawn', 'score']);
+  assert.deepStrictEqual(statusChanges(host, guest.playerId), [true, false]);
+
+  raise(host, 'after');
+  await tick();
+  assert.ok(resumed.messages.some(message => message.parameters[ParameterCode.ACTION] === 'after'), 'the new connection receives the room');
+
+  server.shutdown();
+});
+
+test('accepts a resume token only once', async () => {
+  const { server, transport, guest } = await createRoomWithPlayers();
+
+  guest.socket.close();
+  await tick();
+
+  const first = await resume(transport, guest.resumeToken);
+  first.socket.close();
+  await tick();
+
+  const second = await resume(transport, guest.resumeToken);
+  assert.strictEqual(second.response.parameters.SUCCESS, false);
+  assert.strictEqual(second.response.parameters[ParameterCode.REASON], 'Unknown or expired resume token');
+
+  const third = await resume(transport, first.response.parameters[ParameterCode.RESUME_TOKEN]);
+  assert.strictEqual(third.response.parameters.SUCCESS, true, 'the fresh token works');
+
+  server.shutdown();
+});
+
+test('removes a player that does not come back in time', async () => {
+  const { server, transport, guest } = await createRoomWithPlayers({ reconnectGracePeriod: 30 });
+
+  guest.socket.close();
+  await new Promise(resolve => setTimeout(resolve, 60));
+
+  assert.strictEqual(server.rooms.get('game').players.size, 1);
+
+  const late = await resume(transport, guest.resumeToken);
+  assert.strictEqual(late.response.parameters.SUCCESS, false);
+
+  server.shutdown();
+});
+
+test('refuses to resume a session that missed too much', async () => {
+  const { server, transport, host, guest } = await createRoomWithPlayers({ maxMissedBytes: 100 });
+
+  guest.socket.close();
+  await tick();
+  raise(host, 'x'.repeat(200));
+  await tick();
+
+  const resumed = await resume(transport, guest.resumeToken);
+
+  assert.strictEqual(resumed.response.parameters.SUCCESS, false);
+  assert.strictEqual(resumed.response.parameters[ParameterCode.REASON], 'Too many missed messages');
+  assert.strictEqual(server.rooms.get('game').players.size, 1);
+
+  server.shutdown();
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { RoomState } = require('../src/roomState');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * Send a plain state update for one of the client's entities
+ */
+function sendState(client, entityId, position, health) {
+  const writer = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.STATE)
+    .addParameter(ParameterCode.PLAYER_ID, DataType.INT, client.playerId)
+    .addParameter(ParameterCode.ENTITY_ID, DataType.INT, entityId)
+    .addParameter(ParameterCode.POSITION, DataType.VECTOR3, position);
+
+  if (health !== undefined) {
+    writer.addParameter(ParameterCode.HEALTH, DataType.INT, health);
+  }
+
+  client.connection.send(writer.encode());
+}
+
+/**
+ * The state messages a client received for an entity
+ */
+function statesOf(client, entityId) {
+  return client.messages.filter(message => message.parameters[ParameterCode.ENTITY_ID] === entityId);
+}
+
+test('merges updates into the latest state of each entity', () => {
+  const state = new RoomState();
+
+  state.update(1, 5, new Map([[ParameterCode.POSITION, { type: DataType.VECTOR3, value: [0, 0, 0] }]]));
+  state.update(1, 5, new Map([[ParameterCode.HEALTH, { type: DataType.INT, value: 80 }]]));
+  state.update(2, 5, new Map([[ParameterCode.HEALTH, { type: DataType.INT, value: 50 }]]));
+
+  const entities = Array.from(state);
+  assert.strictEqual(entities.length, 2, 'entities of different players are kept apart');
+  assert.deepStrictEqual(Array.from(entities[0].state.keys()), [ParameterCode.POSITION, ParameterCode.HEALTH]);
+
+  state.removeOwner(1);
+  assert.deepStrictEqual(Array.from(state, entity => entity.ownerId), [2]);
+});
+
+test('keeps only the tracked parameters', () => {
+  const state = new RoomState({ trackedParameters: [ParameterCode.POSITION] });
+
+  state.update(1, 5, new Map([[ParameterCode.HEALTH, { type: DataType.INT, value: 80 }]]));
+  assert.strictEqual(state.size, 0);
+
+  state.update(1, 5, new Map([
+    [ParameterCode.POSITION, { type: DataType.VECTOR3, value: [1, 2, 3] }],
+    [ParameterCode.HEALTH, { type: DataType.INT, value: 80 }]
+  ]));
+  assert.deepStrictEqual(Array.from(Array.from(state)[0].state.keys()), [ParameterCode.POSITION]);
+});
+
+test('sends a late joiner a snapshot of the room', async () => {
+  const { server, transport } = createServer();
+  const [host, late] = [await connectClient(transport), await connectClient(transport)];
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  await tick();
+  sendState(host, 1, [0, 0, 0], 100);
+  sendState(host, 1, [4, 5, 6]);
+  sendState(host, 2, [7, 8, 9]);
+  await tick();
+
+  sendObject(late, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+
+  const [first] = statesOf(late, 1);
+  assert.deepStrictEqual(first.parameters[ParameterCode.POSITION], [4, 5, 6]);
+  assert.strictEqual(first.parameters[ParameterCode.HEALTH], 100);
+  assert.strictEqual(first.parameters[ParameterCode.PLAYER_ID], host.playerId);
+  assert.deepStrictEqual(statesOf(late, 2)[0].parameters[ParameterCode.POSITION], [7, 8, 9]);
+
+  server.shutdown();
+});
+
+test('sends a snapshot on request, without the entities of players that left', async () => {
+  const { server, transport } = createServer({ trackedStateParameters: [ParameterCode.POSITION] });
+  const [host, guest] = [await connectClient(transport), await connectClient(transport)];
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'game' });
+  await tick();
+  sendObject(guest, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'game' });
+  await tick();
+  sendState(host, 1, [1, 1, 1], 100);
+  sendState(guest, 2, [2, 2, 2]);
+  await tick();
+  sendObject(guest, MessageType.ROOM, OperationCode.ROOM.LEAVE, {});
+  await tick();
+
+  host.messages.length = 0;
+  sendObject(host, MessageType.EVENT, OperationCode.EVENT.REQUEST_SNAPSHOT, {});
+  await tick();
+
+  const [snapshot] = statesOf(host, 1);
+  assert.deepStrictEqual(snapshot.parameters[ParameterCode.POSITION], [1, 1, 1]);
+  assert.strictEqual(snapshot.parameters[ParameterCode.HEALTH], undefined, 'untracked parameters are not kept');
+  assert.deepStrictEqual(statesOf(host, 2), []);
+
+  server.shutdown();
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MessageType, OperationCode, ParameterCode, ErrorCode } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+/**
+ * Ask to join a room and return the server's answer
+ */
+async function join(client, values) {
+  client.messages.length = 0;
+  sendObject(client, MessageType.ROOM, OperationCode.ROOM.JOIN, values);
+  await tick();
+
+  return client.messages.find(message => message.operationName === 'JOIN');
+}
+
+test('refuses to join a full room', async () => {
+  const { server, transport } = createServer();
+  const [host, guest, late] = [await connectClient(transport), await connectClient(transport), await connectClient(transport)];
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'duel', maxPlayers: 2 });
+  await tick();
+
+  assert.strictEqual((await join(guest, { roomId: 'duel' })).parameters.SUCCESS, true);
+
+  const refused = await join(late, { roomId: 'duel' });
+  assert.strictEqual(refused.parameters.SUCCESS, false);
+  assert.strictEqual(refused.parameters[ParameterCode.ERROR_CODE], ErrorCode.ROOM_FULL);
+
+  server.shutdown();
+});
+
+test('asks for the room password', async () => {
+  const { server, transport } = createServer();
+  const [host, guest] = [await connectClient(transport), await connectClient(transport)];
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'club', password: 'sesame' });
+  await tick();
+
+  const wrong = await join(guest, { roomId: 'club', password: 'guess' });
+  assert.strictEqual(wrong.parameters[ParameterCode.ERROR_CODE], ErrorCode.WRONG_PASSWORD);
+
+  const missing = await join(guest, { roomId: 'club' });
+  assert.strictEqual(missing.parameters[ParameterCode.ERROR_CODE], ErrorCode.WRONG_PASSWORD);
+
+  assert.strictEqual((await join(guest, { roomId: 'club', password: 'sesame' })).parameters.SUCCESS, true);
+
+  server.shutdown();
+});
+
+test('refuses to join a room the master closed', async () => {
+  const { server, transport } = createServer();
+  const [host, guest] = [await connectClient(transport), await connectClient(transport)];
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'match' });
+  await tick();
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.PROPERTIES, { open: false });
+  await tick();
+
+  const refused = await join(guest, { roomId: 'match' });
+  assert.strictEqual(refused.parameters[ParameterCode.ERROR_CODE], ErrorCode.ROOM_CLOSED);
+
+  const missing = await join(guest, { roomId: 'nowhere' });
+  assert.strictEqual(missing.parameters[ParameterCode.ERROR_CODE], ErrorCode.ROOM_NOT_FOUND);
+
+  server.shutdown();
+});
+
+test('leaves hidden rooms out of the room list', async () => {
+  const { server, transport } = createServer();
+  const [host, browser] = [await connectClient(transport), await connectClient(transport)];
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'secret', visible: false });
+  await tick();
+  sendObject(browser, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'public', password: 'pw' });
+  await tick();
+
+  host.messages.length = 0;
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.LIST, {});
+  await tick();
+
+  const list = host.messages.find(message => message.operationName === 'LIST');
+  const rooms = list.parameters[ParameterCode.ROOM_LIST];
+  assert.deepStrictEqual(rooms.map(room => room.id), ['public']);
+  assert.strictEqual(rooms[0].hasPassword, true);
+
+  server.shutdown();
+});
+
+test('keeps an empty room until its TTL runs out', async () => {
+  const { server, transport } = createServer();
+  const host = await connectClient(transport);
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'brief' });
+  await tick();
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.LEAVE, {});
+  await tick();
+
+  assert.strictEqual(server.rooms.has('brief'), false);
+
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'lingering', emptyRoomTtl: 50 });
+  await tick();
+  sendObject(host, MessageType.ROOM, OperationCode.ROOM.LEAVE, {});
+  await tick();
+
+  assert.strictEqual(server.rooms.has('lingering'), true);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(server.rooms.has('lingering'), false);
+
+  server.shutdown();
+});
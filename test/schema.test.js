@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { SchemaRegistry, MessageSchemas } = require('../src/Protocol/schema');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+test('encodes and decodes a message by field name', () => {
+  const data = ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.JOIN, {
+    playerId: 66,
+    roomId: 'Game'
+  }).encode();
+
+  const message = ArchiveParser.decode(data);
+
+  assert.deepStrictEqual(message.data, { playerId: 66, roomId: 'Game' });
+  assert.strictEqual(message.parameterTypes[ParameterCode.PLAYER_ID], DataType.INT);
+});
+
+test('rejects unknown and missing required fields when encoding', () => {
+  assert.throws(
+    () => ArchiveWriter.fromObject(MessageType.ROOM, OperationCode.ROOM.JOIN, { nickname: 'ada' }),
+    /Unknown field "nickname"/
+  );
+  assert.throws(
+    () => ArchiveWriter.fromObject(MessageType.EVENT, OperationCode.EVENT.STATE, {}),
+    /Missing required field "playerId"/
+  );
+});
+
+test('rejects a parameter sent with another data type when decoding', () => {
+  const data = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.JOIN)
+    .addParameter(ParameterCode.ROOM_ID, DataType.INT, 12)
+    .encode();
+
+  assert.throws(() => ArchiveParser.decode(data), /has data type/);
+});
+
+test('accepts other data types when told not to check them', () => {
+  const data = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.JOIN)
+    .addParameter(ParameterCode.ROOM_ID, DataType.INT, 12)
+    .encode();
+
+  assert.deepStrictEqual(MessageSchemas.decode(ArchiveParser.parse(data), { checkTypes: false }), { roomId: 12 });
+});
+
+test('leaves out parameters the schema does not declare', () => {
+  const data = new ArchiveWriter(MessageType.ROOM, OperationCode.ROOM.JOIN)
+    .addParameter(ParameterCode.ROOM_ID, DataType.STRING, 'Game')
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'wave')
+    .encode();
+
+  assert.deepStrictEqual(ArchiveParser.decode(data).data, { roomId: 'Game' });
+});
+
+test('keeps games\' own messages in a separate registry', () => {
+  const registry = new SchemaRegistry()
+    .register(MessageType.EVENT, 0x40, {
+      score: { code: ParameterCode.PROPERTIES, type: DataType.UINT, required: true }
+    });
+
+  const data = ArchiveWriter.fromObject(MessageType.EVENT, 0x40, { score: 1200 }, registry).encode();
+
+  assert.deepStrictEqual(ArchiveParser.decode(data, registry).data, { score: 1200 });
+  assert.throws(() => ArchiveParser.decode(data), /No schema registered/);
+});
+
+test('refuses two fields with the same parameter code', () => {
+  assert.throws(() => new SchemaRegistry().register(MessageType.EVENT, 0x40, {
+    a: { code: ParameterCode.PROPERTIES, type: DataType.UINT },
+    b: { code: ParameterCode.PROPERTIES, type: DataType.INT }
+  }), /used by both "a" and "b"/);
+});
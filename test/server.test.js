@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { MessageType, OperationCode, ParameterCode, DataType, ErrorCode } = require('../src/Protocol/constants');
+const { tick, createServer, connectClient, sendObject } = require('./helpers/server');
+
+test('snapshots state from a UDP client without its message numbers', async () => {
+  const { server, transport } = createServer();
+  const watcher = await connectClient(transport);
+  const mover = await connectClient(transport, { socket: { reliable: false, maxMessageSize: 1200 } });
+
+  sendObject(watcher, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'arena' });
+  await tick();
+  sendObject(mover, MessageType.ROOM, OperationCode.ROOM.JOIN, { roomId: 'arena' });
+  await tick();
+
+  mover.connection.send(new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.STATE)
+    .addParameter(ParameterCode.PLAYER_ID, DataType.INT, mover.playerId)
+    .addParameter(ParameterCode.ENTITY_ID, DataType.INT, 7)
+    .addParameter(ParameterCode.POSITION, DataType.VECTOR3, [1, 2, 3])
+    .encode());
+  await tick();
+
+  const [entity] = server.rooms.get('arena').state.entities.values();
+  assert.deepStrictEqual(Array.from(entity.state.keys()), [ParameterCode.POSITION]);
+
+  watcher.messages.length = 0;
+  sendObject(watcher, MessageType.EVENT, OperationCode.EVENT.REQUEST_SNAPSHOT, {});
+  await tick();
+
+  const snapshot = watcher.messages.find(message => message.parameters[ParameterCode.ENTITY_ID] === 7);
+  assert.ok(snapshot, 'the watcher received the entity');
+  assert.deepStrictEqual(snapshot.parameters[ParameterCode.POSITION], [1, 2, 3]);
+  assert.strictEqual(snapshot.parameters[ParameterCode.SEQUENCE], undefined);
+  assert.strictEqual(snapshot.parameters[ParameterCode.TIMESTAMP], undefined);
+
+  server.shutdown();
+});
+
+test('answers version 1 clients in the original layout', async () => {
+  const { server, transport } = createServer();
+  const legacy = await connectClient(transport, {
+    connect: ArchiveWriter.fromObject(MessageType.SYSTEM, OperationCode.SYSTEM.CONNECT, {})
+  });
+
+  sendObject(legacy, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'old' });
+  sendObject(legacy, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'old' });
+  legacy.connection.send(new ArchiveWriter(MessageType.SYSTEM, OperationCode.SYSTEM.HEARTBEAT)
+    .addParameter(ParameterCode.TIMESTAMP, DataType.UINT, 1000)
+    .encode());
+  await tick();
+
+  const [created, exists] = legacy.messages.filter(message => message.operationName === 'CREATE');
+  assert.strictEqual(created.parameters.PROPERTIES, true);
+  assert.strictEqual(created.parameters.SUCCESS, undefined);
+  assert.strictEqual(exists.parameters.PROPERTIES, false);
+  assert.ok(legacy.messages.some(message => message.operationName === 'HEARTBEAT'), 'the heartbeat was answered');
+
+  server.shutdown();
+});
+
+test('removes a created room its creator cannot join', async () => {
+  const { server, transport } = createServer();
+  const creator = await connectClient(transport);
+
+  sendObject(creator, MessageType.ROOM, OperationCode.ROOM.CREATE, { roomId: 'locked', open: false });
+  await tick();
+
+  const response = creator.messages.find(message => message.operationName === 'CREATE');
+  assert.strictEqual(response.parameters.SUCCESS, false);
+  assert.strictEqual(response.parameters[ParameterCode.ERROR_CODE], ErrorCode.ROOM_CLOSED);
+  assert.strictEqual(server.rooms.has('locked'), false);
+
+  server.shutdown();
+});
+
+test('removes a room created for a random join that fails', async () => {
+  const { server, transport } = createServer({ lobbies: { default: { open: false } } });
+  const player = await connectClient(transport);
+
+  sendObject(player, MessageType.ROOM, OperationCode.ROOM.JOIN_RANDOM, { createIfNone: true });
+  await tick();
+
+  const response = player.messages.find(message => message.operationName === 'JOIN_RANDOM');
+  assert.strictEqual(response.parameters.SUCCESS, false);
+  assert.strictEqual(response.parameters[ParameterCode.ERROR_CODE], ErrorCode.ROOM_CLOSED);
+  assert.strictEqual(server.rooms.size, 0);
+
+  server.shutdown();
+});
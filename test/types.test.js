@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ArchiveParser, ArchiveReader } = require('../src/Protocol/parser');
+const { ArchiveWriter } = require('../src/Protocol/writer');
+const { TypeRegistry, CustomTypes } = require('../src/Protocol/types');
+const { MessageType, OperationCode, ParameterCode, DataType } = require('../src/Protocol/constants');
+
+const COLOR = 0x80;
+const UNKNOWN = 0x9F;
+
+/**
+ * An RGB color, sent as three bytes
+ */
+class Color {
+  constructor(r, g, b) {
+    this.r = r;
+    this.g = g;
+    this.b = b;
+  }
+}
+
+CustomTypes.register(COLOR, {
+  name: 'Color',
+  encode: color => Buffer.from([color.r, color.g, color.b]),
+  decode: bytes => new Color(bytes[0], bytes[1], bytes[2]),
+  is: value => value instanceof Color
+});
+
+/**
+ * Encode a value as the PROPERTIES parameter and parse it back
+ */
+function roundTrip(value, dataType) {
+  const data = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.PROPERTIES, dataType, value)
+    .encode();
+
+  return ArchiveParser.parse(data).parameters[ParameterCode.PROPERTIES];
+}
+
+test('round-trips a registered custom type', () => {
+  assert.deepStrictEqual(roundTrip(new Color(255, 128, 0), COLOR), new Color(255, 128, 0));
+});
+
+test('recognizes custom values inside dictionaries and arrays', () => {
+  const team = { name: 'red', color: new Color(255, 0, 0), palette: [new Color(1, 2, 3), new Color(4, 5, 6)] };
+
+  assert.deepStrictEqual(roundTrip(team, DataType.DICTIONARY), team);
+});
+
+test('passes the bytes of unknown custom types through', () => {
+  const bytes = roundTrip(Buffer.from([1, 2, 3, 4]), UNKNOWN);
+
+  assert.deepStrictEqual(bytes, Buffer.from([1, 2, 3, 4]));
+});
+
+test('lets the reader skip custom values', () => {
+  const data = new ArchiveWriter(MessageType.EVENT, OperationCode.EVENT.RAISE)
+    .addParameter(ParameterCode.PROPERTIES, COLOR, new Color(9, 9, 9))
+    .addParameter(ParameterCode.ACTION, DataType.STRING, 'paint')
+    .encode();
+
+  assert.strictEqual(new ArchiveReader(data).find(ParameterCode.ACTION), 'paint');
+});
+
+test('refuses reserved and duplicate type codes', () => {
+  const registry = new TypeRegistry();
+  const definition = { name: 'Thing', encode: () => Buffer.alloc(0), decode: () => null };
+
+  assert.throws(() => registry.register(DataType.STRING, definition), /reserved/);
+  assert.throws(() => registry.register(0x20, definition), /reserved/);
+
+  registry.register(0x81, definition);
+  assert.throws(() => registry.register(0x81, definition), /already registered as "Thing"/);
+});
+
+test('refuses an encoder that does not return bytes', () => {
+  const registry = new TypeRegistry().register(0x81, { name: 'Broken', encode: () => 'text', decode: () => null });
+
+  assert.throws(() => registry.encode(0x81, {}), /must return a Buffer/);
+});